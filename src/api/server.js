@@ -0,0 +1,70 @@
+const express = require('express');
+const winston = require('winston');
+const { createTelegramWebhook } = require('./telegram-webhook');
+
+// Create logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'combined.log' }),
+  ],
+});
+
+/**
+ * Create the HTTP API
+ * @param {Object} options - API dependencies
+ * @param {JobTracker} options.jobTracker - Job tracker used to look up jobs
+ * @param {string} [options.apiToken] - Bearer token required on job routes; the job routes are
+ *   only served when set, since jobs hold users' IDs, links and summaries
+ * @param {Object} [options.telegramWebhook] - Options of {@link createTelegramWebhook}; the
+ *   Telegram webhook route is only served when set
+ * @returns {express.Application} The Express application
+ */
+function createApiServer({ jobTracker, apiToken, telegramWebhook }) {
+  const app = express();
+  app.use(express.json());
+
+  if (telegramWebhook) {
+    app.use(createTelegramWebhook(telegramWebhook));
+  }
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  if (!apiToken) {
+    logger.warn('API_TOKEN is not set; the job status API is disabled');
+    return app;
+  }
+
+  const requireToken = (req, res, next) => {
+    if (req.get('Authorization') !== `Bearer ${apiToken}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    return next();
+  };
+
+  app.get('/jobs/:jobId', requireToken, async (req, res) => {
+    try {
+      const job = await jobTracker.getJob(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      return res.json(job);
+    } catch (error) {
+      logger.error('Error fetching job', {
+        error: error.message,
+        stack: error.stack,
+        jobId: req.params.jobId,
+      });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return app;
+}
+
+module.exports = { createApiServer };
@@ -0,0 +1,63 @@
+const { createApiServer } = require('./server');
+
+/**
+ * Send a GET request to an app listening on a random port
+ * @param {express.Application} app - The Express application
+ * @param {string} path - The request path
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<{status: number, body: Object|string}>} The response status and body, parsed
+ *   if it is JSON
+ */
+async function get(app, path, headers = {}) {
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { headers });
+    const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+    return {
+      status: response.status,
+      body: isJson ? await response.json() : await response.text(),
+    };
+  } finally {
+    server.close();
+  }
+}
+
+describe('createApiServer', () => {
+  const job = { id: 'abc', state: 'done', url: 'https://a.test' };
+  const jobTracker = { getJob: jest.fn(async (jobId) => (jobId === 'abc' ? job : null)) };
+
+  it('serves the health check without a token', async () => {
+    const app = createApiServer({ jobTracker });
+
+    await expect(get(app, '/health')).resolves.toEqual({ status: 200, body: { status: 'ok' } });
+  });
+
+  it('does not serve jobs when no API token is configured', async () => {
+    const app = createApiServer({ jobTracker });
+
+    const response = await get(app, '/jobs/abc');
+
+    expect(response.status).toBe(404);
+    expect(jobTracker.getJob).not.toHaveBeenCalled();
+  });
+
+  it('rejects job requests without the token', async () => {
+    const app = createApiServer({ jobTracker, apiToken: 'secret' });
+
+    await expect(get(app, '/jobs/abc', { Authorization: 'Bearer wrong' })).resolves.toEqual({
+      status: 401,
+      body: { error: 'Unauthorized' },
+    });
+  });
+
+  it('returns a job to a request with the token', async () => {
+    const app = createApiServer({ jobTracker, apiToken: 'secret' });
+    const headers = { Authorization: 'Bearer secret' };
+
+    await expect(get(app, '/jobs/abc', headers)).resolves.toEqual({ status: 200, body: job });
+    await expect(get(app, '/jobs/missing', headers)).resolves.toEqual({
+      status: 404,
+      body: { error: 'Job not found' },
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const express = require('express');
+const winston = require('winston');
+const { INGESTION_CONFIG } = require('../config/constants');
+
+// Create logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'combined.log' }),
+  ],
+});
+
+/**
+ * Compare a received secret with the expected one in constant time
+ * @param {string} [received] - The secret sent with the request
+ * @param {string} expected - The configured secret
+ * @returns {boolean} True if the secrets match
+ */
+function isValidSecret(received, expected) {
+  if (!received) {
+    return false;
+  }
+  const receivedBuffer = Buffer.from(received);
+  const expectedBuffer = Buffer.from(expected);
+  return (
+    receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer)
+  );
+}
+
+/**
+ * Create the route receiving Telegram updates in webhook mode
+ * Telegram sends the secret given to `setWebhook` in the `X-Telegram-Bot-Api-Secret-Token` header;
+ * requests without it are rejected.
+ * @param {Object} options - Webhook dependencies
+ * @param {TelegramGateway} options.telegram - Dispatches the received updates to their handlers
+ * @param {string} options.secretToken - The webhook secret
+ * @returns {express.Router} Router serving `INGESTION_CONFIG.WEBHOOK_PATH`
+ */
+function createTelegramWebhook({ telegram, secretToken }) {
+  const router = express.Router();
+
+  router.post(INGESTION_CONFIG.WEBHOOK_PATH, (req, res) => {
+    if (!isValidSecret(req.get('X-Telegram-Bot-Api-Secret-Token'), secretToken)) {
+      logger.warn('Rejected Telegram update with an invalid secret', { ip: req.ip });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      telegram.handleUpdate(req.body);
+    } catch (error) {
+      // Telegram resends updates until it gets a 2xx, so a bad update is logged and dropped
+      logger.error('Error handling Telegram update', {
+        error: error.message,
+        stack: error.stack,
+        updateId: req.body && req.body.update_id,
+      });
+    }
+    return res.sendStatus(200);
+  });
+
+  return router;
+}
+
+module.exports = { createTelegramWebhook };
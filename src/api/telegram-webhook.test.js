@@ -0,0 +1,71 @@
+const express = require('express');
+const { createTelegramWebhook } = require('./telegram-webhook');
+const { INGESTION_CONFIG } = require('../config/constants');
+
+/**
+ * Post a Telegram update to the webhook route of an app listening on a random port
+ * @param {express.Application} app - The Express application
+ * @param {Object} update - The Telegram update
+ * @param {string} [secret] - Value of the secret token header
+ * @returns {Promise<number>} The response status
+ */
+async function postUpdate(app, update, secret) {
+  const server = app.listen(0);
+  try {
+    const response = await fetch(
+      `http://127.0.0.1:${server.address().port}${INGESTION_CONFIG.WEBHOOK_PATH}`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(secret && { 'X-Telegram-Bot-Api-Secret-Token': secret }),
+        },
+        body: JSON.stringify(update),
+      },
+    );
+    return response.status;
+  } finally {
+    server.close();
+  }
+}
+
+describe('createTelegramWebhook', () => {
+  /**
+   * Create an app serving the webhook route with a mocked gateway
+   * @returns {express.Application} The app, with the gateway on `app.locals.telegram`
+   */
+  function createApp() {
+    const telegram = { handleUpdate: jest.fn() };
+    const app = express();
+    app.use(express.json());
+    app.use(createTelegramWebhook({ telegram, secretToken: 'secret' }));
+    app.locals.telegram = telegram;
+    return app;
+  }
+
+  it('dispatches updates sent with the secret', async () => {
+    const app = createApp();
+
+    await expect(postUpdate(app, { update_id: 1 }, 'secret')).resolves.toBe(200);
+    expect(app.locals.telegram.handleUpdate).toHaveBeenCalledWith({ update_id: 1 });
+  });
+
+  it.each([undefined, 'wrong', 'secret-but-longer'])(
+    'rejects updates sent with secret %p',
+    async (secret) => {
+      const app = createApp();
+
+      await expect(postUpdate(app, { update_id: 1 }, secret)).resolves.toBe(401);
+      expect(app.locals.telegram.handleUpdate).not.toHaveBeenCalled();
+    },
+  );
+
+  it('acknowledges updates that fail, so Telegram does not resend them', async () => {
+    const app = createApp();
+    app.locals.telegram.handleUpdate.mockImplementation(() => {
+      throw new Error('Bad update');
+    });
+
+    await expect(postUpdate(app, { update_id: 1 }, 'secret')).resolves.toBe(200);
+  });
+});
@@ -20,23 +20,302 @@ const STREAMS = {
   NOTION: 'stream:notion',
 };
 
+/**
+ * Message bus delivery configuration
+ * @type {Object}
+ */
+const MESSAGE_BUS_CONFIG = {
+  /** Maximum delivery attempts before a message is dead-lettered */
+  MAX_ATTEMPTS: 3,
+  /** Initial retry delay in milliseconds */
+  RETRY_DELAY_MS: 1000,
+  /** Maximum retry delay in milliseconds */
+  MAX_RETRY_DELAY_MS: 30000,
+  /** Prefix for per-stream dead-letter streams */
+  DLQ_PREFIX: 'stream:dlq:',
+  /** Idle time in milliseconds after which a pending message is considered stale */
+  RECLAIM_MIN_IDLE_MS: 300000,
+  /**
+   * Interval in milliseconds at which a consumer refreshes its claim on the message it is handling,
+   * so handlers running longer than `RECLAIM_MIN_IDLE_MS` are not taken over
+   */
+  CLAIM_REFRESH_MS: 60000,
+  /** Interval in milliseconds between stale message scans */
+  RECLAIM_INTERVAL_MS: 60000,
+  /** Maximum deliveries of a reclaimed message before it is dead-lettered */
+  MAX_DELIVERIES: 5,
+  /** Approximate number of entries each stream, including dead-letter streams, is trimmed to */
+  STREAM_MAX_LENGTH: 10000,
+};
+
+/**
+ * Telegram ingestion configuration
+ * @type {Object}
+ */
+const INGESTION_CONFIG = {
+  /** Maximum links turned into jobs from one Telegram message */
+  MAX_URLS_PER_MESSAGE: 10,
+  /** Saved links listed by `/recent` and `/search` */
+  LIST_LIMIT: 10,
+  /** Maximum tags a user can set with the "Change tags" button */
+  MAX_TAGS: 10,
+  /** Path of the Express route receiving Telegram updates in webhook mode */
+  WEBHOOK_PATH: '/telegram/webhook',
+  /** Update types the bot asks Telegram for */
+  ALLOWED_UPDATES: ['message', 'callback_query'],
+};
+
+/**
+ * Telegram gateway configuration
+ * Telegram allows about one message per second to a chat, 20 per minute to a group and 30 per
+ * second overall.
+ * @type {Object}
+ */
+const TELEGRAM_CONFIG = {
+  /** Longest text Telegram accepts in one message; longer messages are split */
+  MAX_MESSAGE_LENGTH: 4096,
+  /** Characters kept free in each part of a split HTML message for the tags closing it */
+  HTML_SPLIT_RESERVE: 100,
+  /** Minimum time between messages to one private chat */
+  CHAT_SEND_INTERVAL_MS: 1000,
+  /** Minimum time between messages to one group */
+  GROUP_SEND_INTERVAL_MS: 3000,
+  /** Minimum time between any two messages */
+  GLOBAL_SEND_INTERVAL_MS: 35,
+  /** Times a request is retried after Telegram answers 429 Too Many Requests */
+  MAX_RATE_LIMIT_RETRIES: 3,
+};
+
+/**
+ * Ways the ingestion process can receive Telegram updates, set with `TELEGRAM_MODE`
+ * @type {Object.<string, string>}
+ */
+const INGESTION_MODES = {
+  /** Ask Telegram for updates; only one process may poll a bot at a time */
+  POLLING: 'polling',
+  /** Telegram posts updates to an Express endpoint, which may be load balanced */
+  WEBHOOK: 'webhook',
+};
+
+/**
+ * Actions of the buttons on a saved link's result message
+ * A button's callback data is `<action>:<job id>`.
+ * @type {Object.<string, string>}
+ */
+const RESULT_ACTIONS = {
+  /** Run the job through the pipeline again */
+  RESUMMARIZE: 'resummarize',
+  /** Run the job through the pipeline again, asking for a detailed summary */
+  LONGER_SUMMARY: 'longer',
+  /** Ask the user for new tags for the Notion page */
+  CHANGE_TAGS: 'tags',
+  /** Delete the saved link and its Notion page */
+  DELETE: 'delete',
+};
+
+/**
+ * Pipeline worker configuration
+ * @type {Object}
+ */
+const WORKER_CONFIG = {
+  /** Default number of concurrent consumers per pipeline stage in one process */
+  DEFAULT_CONCURRENCY: 2,
+};
+
+/**
+ * States a submitted link goes through in the pipeline
+ * @type {Object.<string, string>}
+ */
+const JOB_STATES = {
+  /** Published to the ingestion stream */
+  QUEUED: 'queued',
+  /** Platform detection in progress */
+  DETECTING: 'detecting',
+  /** Content fetching in progress */
+  SCRAPING: 'scraping',
+  /** Summarization in progress */
+  SUMMARIZING: 'summarizing',
+  /** Saving to Notion in progress */
+  SAVING: 'saving',
+  /** Saved to Notion */
+  DONE: 'done',
+  /** Processing failed */
+  FAILED: 'failed',
+};
+
+/**
+ * Job tracking configuration
+ * @type {Object}
+ */
+const JOB_CONFIG = {
+  /** Redis key prefix for job status hashes */
+  KEY_PREFIX: 'job:',
+  /** Time-to-live of a job status record in seconds */
+  TTL_SECONDS: 604800, // 7 days
+  /** Redis key prefix for per-user lists of saved links */
+  HISTORY_PREFIX: 'history:',
+  /** Maximum saved links kept in a user's history */
+  HISTORY_LIMIT: 100,
+};
+
+/**
+ * Per-user Notion workspace configuration
+ * @type {Object}
+ */
+const WORKSPACE_CONFIG = {
+  /** Redis key prefix for the Notion workspace a user connected with `/connect` */
+  KEY_PREFIX: 'workspace:',
+};
+
+/**
+ * Group chat configuration
+ * @type {Object}
+ */
+const GROUP_CONFIG = {
+  /** Redis key prefix for the settings of a group chat */
+  KEY_PREFIX: 'group:',
+  /** Notion property attributing a group's pages to the member who sent the link */
+  SAVED_BY_PROPERTY: 'Saved by',
+};
+
+/**
+ * When the bot processes the links posted in a group chat
+ * @type {Object.<string, string>}
+ */
+const GROUP_MODES = {
+  /** Only links in messages that mention the bot or reply to it */
+  MENTION: 'mention',
+  /** Every link posted in the group */
+  AUTO: 'auto',
+};
+
+/**
+ * Roles of the users allowed to use the bot
+ * @type {Object.<string, string>}
+ */
+const ROLES = {
+  /** Can invite and remove users; not limited by the daily link quota */
+  ADMIN: 'admin',
+  /** Can save links up to the daily link quota */
+  MEMBER: 'member',
+};
+
+/**
+ * Access control configuration
+ * @type {Object}
+ */
+const ACCESS_CONFIG = {
+  /** Redis hash mapping the IDs of users admitted with an invite code to their role */
+  USERS_KEY: 'access:users',
+  /** Redis key prefix for unused invite codes */
+  INVITE_PREFIX: 'invite:',
+  /** Time-to-live of an unused invite code in seconds */
+  INVITE_TTL_SECONDS: 604800, // 7 days
+  /** Links a member may save per day unless DAILY_LINK_QUOTA is set */
+  DAILY_LINK_QUOTA: 50,
+  /** Redis key prefix for the number of links a user saved today; the keys expire at midnight */
+  LINK_QUOTA_PREFIX: 'quota:links:',
+};
+
 /**
  * Regular expressions for platform detection
  * @type {Object.<string, RegExp>}
  */
 const PLATFORM_PATTERNS = {
+  /** PDF, Word and plain text documents, checked first so e.g. PDFs on GitHub are documents */
+  DOCUMENT: /\.(?:pdf|docx|txt|md)(?:[?#]|$)|arxiv\.org\/pdf\//i,
   /** YouTube video platform */
   YOUTUBE: /(?:youtube\.com|youtu\.be)/,
-  /** Instagram social media platform */
-  INSTAGRAM: /(?:instagram\.com|instagr\.am)/,
-  /** Twitter/X social media platform */
-  TWITTER: /(?:twitter\.com|x\.com)/,
+  /** Instagram social media platform, matched on the host so e.g. notinstagram.com is not */
+  INSTAGRAM: /^https?:\/\/(?:[\w-]+\.)?(?:instagram\.com|instagr\.am)(?:[/?#:]|$)/i,
+  /** Twitter/X social media platform, matched on the host so e.g. dropbox.com is not */
+  TWITTER: /^https?:\/\/(?:[\w-]+\.)?(?:twitter|x)\.com(?:[/?#:]|$)/i,
   /** LinkedIn professional network */
   LINKEDIN: /(?:linkedin\.com)/,
   /** Article and documentation platforms */
   ARTICLE: /(?:medium\.com|dev\.to|github\.com|wikipedia\.org)/,
 };
 
+/**
+ * Supported document formats, by the Content-Type and file extensions that identify them
+ * @type {Object.<string, {mimeTypes: string[], extensions: string[]}>}
+ */
+const DOCUMENT_FORMATS = {
+  pdf: { mimeTypes: ['application/pdf', 'application/x-pdf'], extensions: ['.pdf'] },
+  docx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+  },
+  text: { mimeTypes: ['text/plain', 'text/markdown'], extensions: ['.txt', '.md'] },
+};
+
+/**
+ * Content scraper configuration
+ * @type {Object}
+ */
+const SCRAPER_CONFIG = {
+  /** Timeout for plain HTTP requests in milliseconds */
+  REQUEST_TIMEOUT_MS: 15000,
+  /** User agent sent with plain HTTP requests */
+  USER_AGENT:
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+  /** Public tweet data endpoint used by Twitter's embed widgets */
+  TWITTER_SYNDICATION_URL: 'https://cdn.syndication.twimg.com/tweet-result',
+  /** Twitter oEmbed endpoint, used when the syndication endpoint fails */
+  TWITTER_OEMBED_URL: 'https://publish.twitter.com/oembed',
+  /** Maximum number of tweets followed up a thread */
+  MAX_THREAD_LENGTH: 25,
+  /** Public Instagram embed page, `{shortcode}` is replaced with the post's shortcode */
+  INSTAGRAM_EMBED_URL: 'https://www.instagram.com/p/{shortcode}/embed/captioned/',
+  /** Largest page body accepted from a plain HTTP request, in bytes */
+  MAX_RESPONSE_BYTES: 5 * 1024 * 1024,
+  /** Largest document accepted for text extraction, in bytes */
+  MAX_DOCUMENT_BYTES: 25 * 1024 * 1024,
+  /** Largest file the Bot API lets bots download, in bytes */
+  TELEGRAM_FILE_MAX_BYTES: 20 * 1024 * 1024,
+  /** Fewest words of main content a plain HTTP response needs before the browser is skipped */
+  STATIC_MIN_WORDS: 100,
+  /** Pages with fewer words of main content are checked for challenges, paywalls and login walls */
+  BLOCKED_PAGE_MAX_WORDS: 300,
+  /** Time given to a bot challenge to resolve itself in the browser, in milliseconds */
+  CHALLENGE_WAIT_MS: 10000,
+  /** Retry pages still showing a challenge or CAPTCHA with the browser's `headed` profile */
+  RETRY_CHALLENGES_HEADED: true,
+};
+
+/**
+ * Shared Playwright browser configuration
+ * @type {Object}
+ */
+const BROWSER_POOL_CONFIG = {
+  /** Maximum pages open at the same time */
+  MAX_PAGES: 4,
+  /** Maximum per-domain browser contexts kept open */
+  MAX_CONTEXTS: 10,
+  /** Time without open pages after which the browser is closed, in milliseconds */
+  IDLE_TIMEOUT_MS: 60000,
+  /** Page navigation timeout in milliseconds */
+  NAVIGATION_TIMEOUT_MS: 30000,
+};
+
+/**
+ * Scraping error codes that retrying will not fix
+ * The scraper reports these to the user instead of failing the pipeline stage.
+ * @type {Object.<string, string>}
+ */
+const SCRAPING_ERROR_CODES = {
+  /** Content is deleted, private or otherwise not publicly available */
+  CONTENT_UNAVAILABLE: 'CONTENT_UNAVAILABLE',
+  /** Content is behind a login wall */
+  LOGIN_REQUIRED: 'LOGIN_REQUIRED',
+  /** An anti-bot service showed a challenge page instead of the content */
+  BOT_CHALLENGE: 'BOT_CHALLENGE',
+  /** The site asked for a CAPTCHA */
+  CAPTCHA: 'CAPTCHA',
+  /** Content is behind a paywall */
+  PAYWALL: 'PAYWALL',
+};
+
 /**
  * Required environment variables
  * @type {string[]}
@@ -44,14 +323,84 @@ const PLATFORM_PATTERNS = {
 const REQUIRED_ENV_VARS = [
   /** Telegram bot authentication token */
   'TELEGRAM_BOT_TOKEN',
-  /** Notion API authentication key */
-  'NOTION_API_KEY',
-  /** Google Gemini API key */
-  'GEMINI_API_KEY',
   /** Redis connection URL */
   'REDIS_URL',
 ];
 
+/**
+ * Environment variables required when `TELEGRAM_MODE` is `webhook`
+ * @type {string[]}
+ */
+const WEBHOOK_ENV_VARS = [
+  /** Port of the HTTP server receiving updates */
+  'API_PORT',
+  /** Public base URL Telegram posts updates to, e.g. behind a reverse proxy */
+  'TELEGRAM_WEBHOOK_URL',
+  /** Secret Telegram sends with every update */
+  'TELEGRAM_WEBHOOK_SECRET',
+];
+
+/**
+ * LLM providers the summarizer can use, selected with `LLM_PROVIDER` and `LLM_FALLBACK_PROVIDER`
+ * @type {Object.<string, string>}
+ */
+const LLM_PROVIDERS = {
+  /** Google Gemini */
+  GEMINI: 'gemini',
+  /** OpenAI */
+  OPENAI: 'openai',
+  /** Any server with an OpenAI-compatible API, e.g. Ollama or llama.cpp */
+  OPENAI_COMPATIBLE: 'openai-compatible',
+};
+
+/**
+ * LLM configuration
+ * @type {Object}
+ */
+const LLM_CONFIG = {
+  /** Model used when none is configured, by provider; OpenAI-compatible servers need one set */
+  DEFAULT_MODELS: {
+    gemini: 'gemini-2.0-flash',
+    openai: 'gpt-4o-mini',
+  },
+  /** API key variable used when a provider has no `LLM_API_KEY` of its own, by provider */
+  API_KEY_ENV_VARS: {
+    gemini: 'GEMINI_API_KEY',
+    openai: 'OPENAI_API_KEY',
+  },
+  /** Default sampling temperature */
+  TEMPERATURE: 0.7,
+  /** Default maximum tokens of a response */
+  MAX_TOKENS: 2048,
+  /** Default retries of a failed request before falling back to the next provider */
+  MAX_RETRIES: 3,
+  /** Time a rate-limited provider is skipped for while a fallback is configured */
+  RATE_LIMIT_COOLDOWN_MS: 60000,
+  /** Context window in tokens of known models, by model name */
+  CONTEXT_WINDOWS: {
+    'gemini-2.0-flash': 1048576,
+    'gemini-2.0-flash-lite': 1048576,
+    'gemini-1.5-flash': 1048576,
+    'gemini-1.5-pro': 2097152,
+    'gpt-4o': 128000,
+    'gpt-4o-mini': 128000,
+    'gpt-4.1': 1047576,
+    'gpt-4.1-mini': 1047576,
+  },
+  /** Context window assumed for other models unless `LLM_CONTEXT_WINDOW` is set, e.g. local ones */
+  DEFAULT_CONTEXT_WINDOW: 8192,
+  /** Average characters per token, used to estimate the tokens of a text */
+  CHARS_PER_TOKEN: 4,
+  /** Tokens of a request kept for the prompt's instructions rather than content */
+  PROMPT_RESERVE_TOKENS: 1000,
+  /** Smallest chunk of content sent in one request, in tokens */
+  MIN_CHUNK_TOKENS: 1000,
+  /** Largest chunk of content sent in one request, in tokens, however large the context window */
+  MAX_CHUNK_TOKENS: 100000,
+  /** Times partial summaries are summarized again before they are cut to fit */
+  MAX_REDUCE_ROUNDS: 3,
+};
+
 /**
  * Cache configuration
  * @type {Object}
@@ -89,8 +438,28 @@ const LOG_CONFIG = {
 
 module.exports = {
   STREAMS,
+  MESSAGE_BUS_CONFIG,
+  INGESTION_CONFIG,
+  TELEGRAM_CONFIG,
+  INGESTION_MODES,
+  RESULT_ACTIONS,
+  WORKER_CONFIG,
+  JOB_STATES,
+  JOB_CONFIG,
+  WORKSPACE_CONFIG,
+  GROUP_CONFIG,
+  GROUP_MODES,
+  ROLES,
+  ACCESS_CONFIG,
   PLATFORM_PATTERNS,
+  DOCUMENT_FORMATS,
+  SCRAPER_CONFIG,
+  BROWSER_POOL_CONFIG,
+  SCRAPING_ERROR_CODES,
   REQUIRED_ENV_VARS,
+  WEBHOOK_ENV_VARS,
+  LLM_PROVIDERS,
+  LLM_CONFIG,
   CACHE_CONFIG,
   RATE_LIMIT_CONFIG,
   LOG_CONFIG,
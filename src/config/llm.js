@@ -0,0 +1,49 @@
+/**
+ * LLM provider settings
+ * The summarizer uses the provider of `LLM_PROVIDER` and falls back to the one of
+ * `LLM_FALLBACK_PROVIDER`. Each provider is configured by variables with its prefix, e.g.
+ * `LLM_MODEL` and `LLM_FALLBACK_MODEL`.
+ */
+const { getEnvVar, getPositiveIntEnvVar, getNumberEnvVar } = require('../utils/env-validator');
+const { LLM_PROVIDERS, LLM_CONFIG } = require('./constants');
+
+/**
+ * Read the settings of one provider from the environment variables with a prefix
+ * @param {string} prefix - `LLM_` for the primary provider, `LLM_FALLBACK_` for the fallback
+ * @param {string} [defaultProvider] - Provider used when `<prefix>PROVIDER` is not set
+ * @returns {Object|null} `{ provider, model, apiKey, baseUrl, temperature, maxTokens,
+ *   maxRetries, contextWindow }`, or null if no provider is selected
+ * @throws {EnvValidationError} If a numeric setting is not a valid number
+ */
+function getProviderConfig(prefix, defaultProvider) {
+  const provider = getEnvVar(`${prefix}PROVIDER`, defaultProvider);
+  if (!provider) {
+    return null;
+  }
+
+  const apiKeyVar = LLM_CONFIG.API_KEY_ENV_VARS[provider];
+  return {
+    provider,
+    model: getEnvVar(`${prefix}MODEL`),
+    apiKey: getEnvVar(`${prefix}API_KEY`, apiKeyVar && getEnvVar(apiKeyVar)),
+    baseUrl: getEnvVar(`${prefix}BASE_URL`),
+    temperature: getNumberEnvVar(`${prefix}TEMPERATURE`, undefined, { min: 0 }),
+    maxTokens: getPositiveIntEnvVar(`${prefix}MAX_TOKENS`),
+    maxRetries: getNumberEnvVar(`${prefix}MAX_RETRIES`, undefined, { min: 0, integer: true }),
+    contextWindow: getPositiveIntEnvVar(`${prefix}CONTEXT_WINDOW`),
+  };
+}
+
+/**
+ * Get the configured LLM providers
+ * @returns {Object[]} Provider settings in the order they are tried, primary first
+ * @throws {EnvValidationError} If a numeric setting is not a valid number
+ */
+function getLLMProviders() {
+  return [
+    getProviderConfig('LLM_', LLM_PROVIDERS.GEMINI),
+    getProviderConfig('LLM_FALLBACK_'),
+  ].filter(Boolean);
+}
+
+module.exports = { getLLMProviders };
@@ -0,0 +1,50 @@
+const { getLLMProviders } = require('./llm');
+const { EnvValidationError } = require('../utils/env-validator');
+
+describe('getLLMProviders', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = {};
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('reads the primary and fallback providers', () => {
+    Object.assign(process.env, {
+      LLM_PROVIDER: 'openai-compatible',
+      LLM_TEMPERATURE: '0',
+      LLM_MAX_TOKENS: '1024',
+      LLM_MAX_RETRIES: '0',
+      LLM_CONTEXT_WINDOW: '32768',
+      LLM_FALLBACK_PROVIDER: 'openai',
+      OPENAI_API_KEY: 'sk-test',
+    });
+
+    expect(getLLMProviders()).toEqual([
+      expect.objectContaining({
+        provider: 'openai-compatible',
+        temperature: 0,
+        maxTokens: 1024,
+        maxRetries: 0,
+        contextWindow: 32768,
+      }),
+      expect.objectContaining({ provider: 'openai', apiKey: 'sk-test', maxTokens: undefined }),
+    ]);
+  });
+
+  it.each([
+    ['LLM_MAX_TOKENS', 'abc'],
+    ['LLM_CONTEXT_WINDOW', '0'],
+    ['LLM_FALLBACK_CONTEXT_WINDOW', '8192.5'],
+    ['LLM_MAX_RETRIES', '-1'],
+    ['LLM_TEMPERATURE', 'warm'],
+  ])('fails on %s=%s, naming the variable', (varName, value) => {
+    Object.assign(process.env, { LLM_FALLBACK_PROVIDER: 'openai', [varName]: value });
+
+    expect(getLLMProviders).toThrow(EnvValidationError);
+    expect(getLLMProviders).toThrow(varName);
+  });
+});
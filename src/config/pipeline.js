@@ -0,0 +1,89 @@
+/**
+ * Pipeline stage definitions
+ * Each stage consumes one stream and publishes its result to the next. Add a stage here to extend
+ * the workflow; see {@link Pipeline} for the stage format.
+ */
+const { STREAMS, JOB_STATES } = require('./constants');
+
+/**
+ * Build the pipeline stages for the given processors
+ * @param {Object} processors - Processor instances
+ * @param {PlatformDetector} processors.platformDetector - Detects the platform of a URL
+ * @param {YouTubeProcessor} processors.youtubeProcessor - Fetches YouTube metadata and transcripts
+ * @param {ContentScraper} processors.contentScraper - Scrapes all other platforms
+ * @param {ContentSummarizer} processors.contentSummarizer - Summarizes and tags content
+ * @param {NotionProcessor} processors.notionProcessor - Saves results to Notion
+ * @returns {PipelineStage[]} The stage definitions
+ */
+function createPipelineStages({
+  platformDetector,
+  youtubeProcessor,
+  contentScraper,
+  contentSummarizer,
+  notionProcessor,
+}) {
+  return [
+    {
+      name: 'platform-detection',
+      input: STREAMS.INGESTION,
+      output: STREAMS.PLATFORM_DETECTION,
+      processor: platformDetector,
+      state: JOB_STATES.DETECTING,
+    },
+    {
+      name: 'youtube-fetching',
+      input: STREAMS.PLATFORM_DETECTION,
+      output: STREAMS.SCRAPING,
+      processor: youtubeProcessor,
+      state: JOB_STATES.SCRAPING,
+      when: (message) => message.platform === 'youtube',
+      progressMessage: 'Fetching video metadata and transcript from YouTube...',
+    },
+    {
+      name: 'content-fetching',
+      input: STREAMS.PLATFORM_DETECTION,
+      output: STREAMS.SCRAPING,
+      processor: contentScraper,
+      state: JOB_STATES.SCRAPING,
+      when: (message) => message.platform !== 'youtube',
+      progressMessage: (message) => `Extracting content from ${message.platform}...`,
+    },
+    {
+      name: 'summarization',
+      input: STREAMS.SCRAPING,
+      output: STREAMS.SUMMARIZATION,
+      processor: contentSummarizer,
+      state: JOB_STATES.SUMMARIZING,
+      when: (message) => !message.scrapingFailed,
+      progressMessage: 'Generating summary and tags...',
+    },
+    {
+      // Content that cannot be scraped (private, deleted, login wall) is reported, not summarized
+      name: 'scraping-failure',
+      input: STREAMS.SCRAPING,
+      when: (message) => message.scrapingFailed,
+      finalState: JOB_STATES.FAILED,
+      failureMessage: (message) => message.error,
+    },
+    {
+      name: 'notion',
+      input: STREAMS.SUMMARIZATION,
+      processor: notionProcessor,
+      state: JOB_STATES.SAVING,
+      finalState: JOB_STATES.DONE,
+      when: (message) => !message.summarizationFailed,
+      // Finishing the job replaces the status message with the saved page's card
+      progressMessage: 'Saving to Notion...',
+    },
+    {
+      // If summarization failed, do not proceed to Notion and notify user
+      name: 'summarization-failure',
+      input: STREAMS.SUMMARIZATION,
+      when: (message) => message.summarizationFailed,
+      finalState: JOB_STATES.FAILED,
+      failureMessage: 'Unable to detect the page contents for summarization.',
+    },
+  ];
+}
+
+module.exports = { createPipelineStages };
@@ -1,15 +1,30 @@
 require('dotenv').config();
 const winston = require('winston');
-const { validateEnv } = require('./utils/env-validator');
-const { STREAMS } = require('./config/constants');
+const { validateEnv, getEnvVar, getPositiveIntEnvVar } = require('./utils/env-validator');
+const {
+  WORKER_CONFIG,
+  INGESTION_CONFIG,
+  INGESTION_MODES,
+  WEBHOOK_ENV_VARS,
+  ACCESS_CONFIG,
+} = require('./config/constants');
+const { createPipelineStages } = require('./config/pipeline');
+const { getLLMProviders } = require('./config/llm');
 const IngestionProcessor = require('./processors/ingestion-processor');
 const PlatformDetector = require('./processors/platform-detector');
 const ContentScraper = require('./processors/content-scraper');
 const ContentSummarizer = require('./processors/content-summarizer');
 const NotionProcessor = require('./processors/notion-processor');
 const YouTubeProcessor = require('./processors/youtube-processor');
+const JobTracker = require('./processors/job-tracker');
+const WorkspaceStore = require('./processors/workspace-store');
+const AccessControl = require('./processors/access-control');
+const GroupStore = require('./processors/group-store');
 const MessageBus = require('./utils/MessageBus');
-const { sendTelegramMessage } = require('./utils/telegram');
+const Pipeline = require('./utils/Pipeline');
+const ProgressReporter = require('./utils/ProgressReporter');
+const TelegramGateway = require('./utils/TelegramGateway');
+const { createApiServer } = require('./api/server');
 
 // Create logger instance
 const logger = winston.createLogger({
@@ -22,107 +37,117 @@ const logger = winston.createLogger({
   ],
 });
 
+/**
+ * Read a comma-separated list of Telegram IDs from an environment variable
+ * @param {string} name - Environment variable name
+ * @returns {string[]} The IDs, empty if the variable is not set
+ */
+function getIdList(name) {
+  return getEnvVar(name, '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
 // Validate environment variables
 validateEnv();
 
 // Initialize message bus
 const messageBus = new MessageBus(process.env.REDIS_URL);
 
+// Number of messages each stage handles in parallel in this process
+const concurrency = getPositiveIntEnvVar('WORKER_CONCURRENCY', WORKER_CONFIG.DEFAULT_CONCURRENCY);
+
+// Extra worker processes only run the pipeline stages; a single process receives Telegram updates
+const ingestionEnabled = getEnvVar('INGESTION_ENABLED', 'true') !== 'false';
+
+// In webhook mode Telegram posts updates to the API server, so any number of ingestion processes
+// can run behind a reverse proxy
+const ingestionMode = getEnvVar('TELEGRAM_MODE', INGESTION_MODES.POLLING);
+const webhookEnabled = ingestionEnabled && ingestionMode === INGESTION_MODES.WEBHOOK;
+if (webhookEnabled) {
+  validateEnv(WEBHOOK_ENV_VARS);
+}
+
+// One Telegram connection shared by every processor
+const telegram = new TelegramGateway(process.env.TELEGRAM_BOT_TOKEN);
+
 // Initialize workflow processors
-const ingestionProcessor = new IngestionProcessor(process.env.TELEGRAM_BOT_TOKEN);
+const ingestionProcessor = ingestionEnabled ? new IngestionProcessor(telegram) : null;
 const platformDetector = new PlatformDetector();
-const contentScraper = new ContentScraper();
-const contentSummarizer = new ContentSummarizer(process.env.GEMINI_API_KEY);
-const notionProcessor = new NotionProcessor(process.env.NOTION_API_KEY);
+const contentScraper = new ContentScraper(telegram);
+const contentSummarizer = new ContentSummarizer(getLLMProviders(), telegram);
+// Users can connect their own Notion workspace when tokens can be stored encrypted
+const workspaceStore = process.env.WORKSPACE_ENCRYPTION_KEY
+  ? new WorkspaceStore(process.env.REDIS_URL, process.env.WORKSPACE_ENCRYPTION_KEY)
+  : null;
+const groupStore = new GroupStore(process.env.REDIS_URL);
+const notionProcessor = new NotionProcessor(process.env.NOTION_API_KEY, workspaceStore, groupStore);
 const youtubeProcessor = new YouTubeProcessor(process.env.YOUTUBE_API_KEY);
+const jobTracker = new JobTracker(process.env.REDIS_URL);
+const progressReporter = new ProgressReporter(telegram);
+// Only admins, allowlisted IDs and invited users may use the bot unless OPEN_ACCESS is on, within
+// their daily link quota
+const accessControl = ingestionEnabled
+  ? new AccessControl(process.env.REDIS_URL, {
+      adminIds: getIdList('ADMIN_USER_IDS'),
+      allowedIds: getIdList('ALLOWED_CHAT_IDS'),
+      dailyLinkQuota: getPositiveIntEnvVar('DAILY_LINK_QUOTA', ACCESS_CONFIG.DAILY_LINK_QUOTA),
+      openAccess: getEnvVar('OPEN_ACCESS', 'false') === 'true',
+    })
+  : null;
 
 // Set up message flow
 async function setupMessageFlow() {
-  // Clear all existing streams before starting
-  await messageBus.clearStreams();
-
-  // Ingestion -> Platform Detection
-  messageBus.subscribe(
-    STREAMS.INGESTION,
-    'platform-detection-group',
-    'platform-detection-1',
-    async (message) => {
-      const result = await platformDetector.processMessage(message);
-      if (message.chatId && result.platform) {
-        await sendTelegramMessage(message.chatId, `🔎 Platform detected: ${result.platform}`);
-      }
-      await messageBus.publish(STREAMS.PLATFORM_DETECTION, result);
-    },
-  );
-
-  // Platform Detection -> YouTube or Content Scraping
-  messageBus.subscribe(
-    STREAMS.PLATFORM_DETECTION,
-    'content-fetching-group',
-    'content-fetching-1',
-    async (message) => {
-      let result;
-      if (message.platform === 'youtube') {
-        if (message.chatId) {
-          await sendTelegramMessage(
-            message.chatId,
-            '🎬 Extracting video ID and metadata from YouTube...',
-          );
-        }
-        result = await youtubeProcessor.processMessage(message);
-        if (message.chatId) {
-          await sendTelegramMessage(message.chatId, '📝 Analyzing transcript...');
-        }
-      } else {
-        if (message.chatId) {
-          await sendTelegramMessage(
-            message.chatId,
-            `🔎 Extracting content from ${message.platform}...`,
-          );
-        }
-        result = await contentScraper.processMessage(message);
-      }
-      await messageBus.publish(STREAMS.SCRAPING, result);
-    },
-  );
-
-  // Content Scraping/YouTube -> Summarization
-  messageBus.subscribe(
-    STREAMS.SCRAPING,
-    'summarization-group',
-    'summarization-1',
-    async (message) => {
-      if (message.chatId) {
-        await sendTelegramMessage(message.chatId, '🤖 Starting content summarization...');
-      }
-      const result = await contentSummarizer.processMessage(message);
-      await messageBus.publish(STREAMS.SUMMARIZATION, result);
-    },
-  );
-
-  // Summarization -> Notion
-  messageBus.subscribe(STREAMS.SUMMARIZATION, 'notion-group', 'notion-1', async (message) => {
-    // If summarization failed, do not proceed to Notion and notify user
-    if (message.summarizationFailed) {
-      if (message.chatId) {
-        await sendTelegramMessage(
-          message.chatId,
-          "⚠️ Sorry, couldn't process the link. Unable to detect the page contents for summarization.",
-        );
-      } else {
-        logger.error('Missing chatId for summarization failure notification', { message });
-      }
-      return;
-    }
-    if (message.chatId) {
-      await sendTelegramMessage(message.chatId, '🗂️ Saving to Notion...');
-    }
-    await notionProcessor.processMessage(message);
-    // Do not send the final success message here; NotionProcessor handles it.
+  const pipeline = new Pipeline(messageBus, {
+    progress: progressReporter,
+    concurrency,
+    jobTracker,
   });
+  const stages = createPipelineStages({
+    platformDetector,
+    youtubeProcessor,
+    contentScraper,
+    contentSummarizer,
+    notionProcessor,
+  });
+  stages.forEach((stage) => pipeline.register(stage));
+  pipeline.start();
+
+  // Reprocess messages left pending by a crashed or stopped worker
+  messageBus.startRecovery();
 
   // Update IngestionProcessor to use message bus
-  ingestionProcessor.setMessageBus(messageBus);
+  if (ingestionProcessor) {
+    ingestionProcessor.setMessageBus(messageBus);
+    ingestionProcessor.setJobTracker(jobTracker);
+    ingestionProcessor.setNotionProcessor(notionProcessor);
+    ingestionProcessor.setWorkspaceStore(workspaceStore);
+    ingestionProcessor.setAccessControl(accessControl);
+    ingestionProcessor.setGroupStore(groupStore);
+    ingestionProcessor.setProgressReporter(progressReporter);
+  }
+
+  // Serve job status, and Telegram updates in webhook mode, over HTTP when a port is configured
+  const apiPort = getEnvVar('API_PORT');
+  const webhookSecret = getEnvVar('TELEGRAM_WEBHOOK_SECRET');
+  if (apiPort) {
+    createApiServer({
+      jobTracker,
+      apiToken: getEnvVar('API_TOKEN'),
+      telegramWebhook: webhookEnabled ? { telegram, secretToken: webhookSecret } : undefined,
+    }).listen(apiPort, () => {
+      logger.info('API server listening', { port: apiPort });
+    });
+  }
+
+  if (ingestionProcessor) {
+    await telegram.start({
+      mode: ingestionMode,
+      webhookUrl: `${getEnvVar('TELEGRAM_WEBHOOK_URL', '').replace(/\/$/, '')}${INGESTION_CONFIG.WEBHOOK_PATH}`,
+      secretToken: webhookSecret,
+    });
+  }
 }
 
 // Log startup
@@ -134,13 +159,18 @@ setupMessageFlow().catch((error) => {
   process.exit(1);
 });
 
-// Handle process termination
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received. Shutting down gracefully...');
+/**
+ * Stop background work and close the shared browser before exiting
+ * @param {string} signal - The signal that was received
+ */
+async function shutdown(signal) {
+  logger.info(`${signal} received. Shutting down gracefully...`);
+  messageBus.stopRecovery();
+  await telegram.stop();
+  await contentScraper.close();
   process.exit(0);
-});
+}
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received. Shutting down gracefully...');
-  process.exit(0);
-});
+// Handle process termination
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const BaseProcessor = require('./base-processor');
+const MonitoringProcessor = require('./monitoring-processor');
+const { ROLES, ACCESS_CONFIG } = require('../config/constants');
+
+/**
+ * Decides who may use the bot and how many links they may save
+ * Admins and allowlisted user or chat IDs come from the configuration; other users join with a
+ * single-use invite code created by an admin and are kept in a Redis hash. Everyone else is only a
+ * member when open access is turned on. Members' daily link quotas are counted by a
+ * {@link MonitoringProcessor} in Redis, one key per user that expires at midnight, so every
+ * ingestion process shares them.
+ */
+class AccessControl extends BaseProcessor {
+  /**
+   * Create a new AccessControl
+   * @param {string} [redisUrl=process.env.REDIS_URL] - Redis connection URL
+   * @param {Object} [options] - Access options
+   * @param {Array<number|string>} [options.adminIds=[]] - Telegram user IDs of the admins
+   * @param {Array<number|string>} [options.allowedIds=[]] - User IDs, and chat IDs whose
+   *   participants may all use the bot, allowed as members
+   * @param {number} [options.dailyLinkQuota=ACCESS_CONFIG.DAILY_LINK_QUOTA] - Links a member may
+   *   save per day
+   * @param {boolean} [options.openAccess=false] - Let anyone who finds the bot use it as a member
+   * @param {MonitoringProcessor} [options.monitor] - Counts the daily link quotas
+   */
+  constructor(
+    redisUrl = process.env.REDIS_URL,
+    {
+      adminIds = [],
+      allowedIds = [],
+      dailyLinkQuota = ACCESS_CONFIG.DAILY_LINK_QUOTA,
+      openAccess = false,
+      monitor,
+    } = {},
+  ) {
+    super();
+    this.redis = new Redis(redisUrl);
+    this.adminIds = new Set(adminIds.map(String));
+    this.allowedIds = new Set(allowedIds.map(String));
+    this.dailyLinkQuota = dailyLinkQuota;
+    this.monitor =
+      monitor || new MonitoringProcessor({ quotaLimit: dailyLinkQuota, redis: this.redis });
+    this.open = openAccess;
+
+    if (this.open) {
+      this.logWarning('Open access is on; anyone can use the bot');
+    } else if (!this.adminIds.size && !this.allowedIds.size) {
+      this.logWarning(
+        'No admins or allowed IDs configured and open access is off; nobody can use the bot',
+      );
+    }
+    this.logInfo('Access control initialized', {
+      admins: this.adminIds.size,
+      allowedIds: this.allowedIds.size,
+      dailyLinkQuota,
+      openAccess,
+    });
+  }
+
+  /**
+   * Generate a prefixed invite key
+   * @private
+   * @param {string} code - Invite code
+   * @returns {string} Prefixed key
+   */
+  _inviteKey(code) {
+    return `${ACCESS_CONFIG.INVITE_PREFIX}${code}`;
+  }
+
+  /**
+   * Generate a prefixed link quota key
+   * @private
+   * @param {number|string} userId - Telegram user ID
+   * @returns {string} Prefixed key
+   */
+  _quotaKey(userId) {
+    return `${ACCESS_CONFIG.LINK_QUOTA_PREFIX}${userId}`;
+  }
+
+  /**
+   * Get the role of a user in a chat
+   * @param {number|string} userId - Telegram user ID
+   * @param {number|string} [chatId] - Telegram chat ID
+   * @returns {Promise<string|null>} One of {@link ROLES}, or null if the user may not use the bot
+   */
+  async getRole(userId, chatId) {
+    if (this.adminIds.has(String(userId))) {
+      return ROLES.ADMIN;
+    }
+
+    const role = await this.redis.hget(ACCESS_CONFIG.USERS_KEY, String(userId));
+    if (role) {
+      return role;
+    }
+    if (
+      this.open ||
+      this.allowedIds.has(String(userId)) ||
+      (chatId !== undefined && this.allowedIds.has(String(chatId)))
+    ) {
+      return ROLES.MEMBER;
+    }
+    return null;
+  }
+
+  /**
+   * Check if a user's access comes from the configuration rather than an invite
+   * @param {number|string} userId - Telegram user ID
+   * @returns {boolean} True if the user is a configured admin or allowlisted
+   */
+  isConfigured(userId) {
+    return this.adminIds.has(String(userId)) || this.allowedIds.has(String(userId));
+  }
+
+  /**
+   * Create a single-use invite code
+   * @param {number|string} createdBy - Telegram user ID of the admin creating the code
+   * @param {string} [role=ROLES.MEMBER] - Role given to the user redeeming the code
+   * @returns {Promise<string>} The invite code
+   */
+  async createInvite(createdBy, role = ROLES.MEMBER) {
+    const code = crypto.randomBytes(6).toString('hex');
+    await this.redis.set(
+      this._inviteKey(code),
+      JSON.stringify({ role, createdBy: String(createdBy) }),
+      'EX',
+      ACCESS_CONFIG.INVITE_TTL_SECONDS,
+    );
+    this.logInfo('Invite created', { createdBy, role });
+    return code;
+  }
+
+  /**
+   * Admit a user with an invite code, using the code up
+   * @param {string} code - The invite code
+   * @param {number|string} userId - Telegram user ID of the user joining
+   * @returns {Promise<string|null>} The user's new role, or null if the code is unknown, used or
+   *   expired
+   */
+  async redeemInvite(code, userId) {
+    const [[, invite]] = await this.redis
+      .multi()
+      .get(this._inviteKey(code))
+      .del(this._inviteKey(code))
+      .exec();
+    if (!invite) {
+      return null;
+    }
+
+    const { role, createdBy } = JSON.parse(invite);
+    await this.redis.hset(ACCESS_CONFIG.USERS_KEY, String(userId), role);
+    this.logInfo('Invite redeemed', { userId, role, createdBy });
+    return role;
+  }
+
+  /**
+   * Revoke the access of a user admitted with an invite code
+   * Users allowed by the configuration keep their access; see {@link AccessControl#isConfigured}.
+   * @param {number|string} userId - Telegram user ID
+   * @returns {Promise<boolean>} True if the user had joined with an invite code
+   */
+  async removeUser(userId) {
+    const removed = await this.redis.hdel(ACCESS_CONFIG.USERS_KEY, String(userId));
+    this.logInfo('User removed', { userId });
+    return removed > 0;
+  }
+
+  /**
+   * List the users who may use the bot
+   * Chats on the allowlist are listed like users.
+   * @returns {Promise<Object[]>} `{ userId, role, configured }` of every admin and member
+   */
+  async listUsers() {
+    const users = new Map();
+    for (const id of this.allowedIds) {
+      users.set(id, { userId: id, role: ROLES.MEMBER, configured: true });
+    }
+    const joined = await this.redis.hgetall(ACCESS_CONFIG.USERS_KEY);
+    for (const [userId, role] of Object.entries(joined || {})) {
+      users.set(userId, { userId, role, configured: users.has(userId) });
+    }
+    for (const id of this.adminIds) {
+      users.set(id, { userId: id, role: ROLES.ADMIN, configured: true });
+    }
+    return [...users.values()];
+  }
+
+  /**
+   * Reserve links in a user's daily quota before they are queued
+   * The reservation is atomic, so concurrent messages cannot go over the quota together. Admins
+   * have no quota.
+   * @param {number|string} userId - Telegram user ID
+   * @param {string} role - The user's role
+   * @param {number} [count=1] - Links about to be saved
+   * @returns {Promise<boolean>} True if the links fit in the quota and were counted
+   */
+  async reserveLinkQuota(userId, role, count = 1) {
+    if (role === ROLES.ADMIN) {
+      return true;
+    }
+    try {
+      await this.monitor.reserveQuota(this._quotaKey(userId), count, this.dailyLinkQuota);
+      return true;
+    } catch (error) {
+      if (error.code !== 'QUOTA_EXCEEDED') {
+        throw error;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Give back links reserved with {@link AccessControl#reserveLinkQuota} that were never queued
+   * @param {number|string} userId - Telegram user ID
+   * @param {string} role - The user's role
+   * @param {number} [count=1] - Links reserved
+   * @returns {Promise<void>}
+   */
+  async releaseLinkQuota(userId, role, count = 1) {
+    if (role === ROLES.ADMIN) {
+      return;
+    }
+    await this.monitor.releaseQuota(this._quotaKey(userId), count);
+  }
+
+  /**
+   * Get how much of a user's daily link quota was used
+   * @param {number|string} userId - Telegram user ID
+   * @returns {Promise<{used: number, limit: number, resetTime: Date}>} Links saved today, the daily
+   *   limit and when the quota resets
+   */
+  async getLinkQuota(userId) {
+    const { used, resetTime } = await this.monitor.getQuotaUsage(this._quotaKey(userId));
+    return { used, limit: this.dailyLinkQuota, resetTime };
+  }
+}
+
+module.exports = AccessControl;
@@ -0,0 +1,149 @@
+jest.mock('ioredis');
+
+const AccessControl = require('./access-control');
+const AppError = require('../utils/errors/AppError');
+const { ROLES } = require('../config/constants');
+
+/**
+ * Create a stand-in for the MonitoringProcessor counting the link quotas
+ * @param {number} used - Links already saved today
+ * @param {number} limit - Daily link quota
+ * @returns {Object} The fake monitor
+ */
+function createMonitor(used, limit) {
+  const monitor = {
+    used,
+    reserveQuota: jest.fn(async (key, cost) => {
+      if (monitor.used + cost > limit) {
+        throw new AppError('Daily quota limit exceeded', 'QUOTA_EXCEEDED');
+      }
+      monitor.used += cost;
+    }),
+    releaseQuota: jest.fn(async (key, cost) => {
+      monitor.used -= cost;
+    }),
+    getQuotaUsage: jest.fn(async () => ({ used: monitor.used, resetTime: new Date(0) })),
+  };
+  return monitor;
+}
+
+describe('AccessControl', () => {
+  describe('getRole', () => {
+    it('gives nobody access when nothing is configured and open access is off', async () => {
+      const accessControl = new AccessControl('redis://test');
+      accessControl.redis.hget = jest.fn().mockResolvedValue(null);
+
+      await expect(accessControl.getRole(1, 1)).resolves.toBeNull();
+    });
+
+    it('makes everyone a member with open access', async () => {
+      const accessControl = new AccessControl('redis://test', { openAccess: true });
+      accessControl.redis.hget = jest.fn().mockResolvedValue(null);
+
+      await expect(accessControl.getRole(1, 1)).resolves.toBe(ROLES.MEMBER);
+    });
+
+    it('recognizes admins and allowlisted chats', async () => {
+      const accessControl = new AccessControl('redis://test', {
+        adminIds: [1],
+        allowedIds: [-100],
+      });
+      accessControl.redis.hget = jest.fn().mockResolvedValue(null);
+
+      await expect(accessControl.getRole(1)).resolves.toBe(ROLES.ADMIN);
+      await expect(accessControl.getRole(2, -100)).resolves.toBe(ROLES.MEMBER);
+      await expect(accessControl.getRole(2, 2)).resolves.toBeNull();
+    });
+  });
+
+  describe('invites', () => {
+    /**
+     * Create an access control whose Redis keeps strings and the user hash in memory
+     * @returns {AccessControl} The access control
+     */
+    function createAccessControl() {
+      const accessControl = new AccessControl('redis://test', { adminIds: [1] });
+      const values = new Map();
+      const users = new Map();
+      accessControl.redis = {
+        set: jest.fn(async (key, value) => values.set(key, value)),
+        hset: jest.fn(async (key, field, value) => users.set(field, value)),
+        hget: jest.fn(async (key, field) => users.get(field) || null),
+        multi: jest.fn(() => {
+          const commands = [];
+          const transaction = {
+            get: (key) => {
+              commands.push(() => values.get(key) || null);
+              return transaction;
+            },
+            del: (key) => {
+              commands.push(() => Number(values.delete(key)));
+              return transaction;
+            },
+            exec: async () => commands.map((command) => [null, command()]),
+          };
+          return transaction;
+        }),
+      };
+      return accessControl;
+    }
+
+    it('admits a user once per invite code', async () => {
+      const accessControl = createAccessControl();
+
+      const code = await accessControl.createInvite(1, ROLES.ADMIN);
+
+      await expect(accessControl.redeemInvite(code, 5)).resolves.toBe(ROLES.ADMIN);
+      await expect(accessControl.getRole(5)).resolves.toBe(ROLES.ADMIN);
+      await expect(accessControl.redeemInvite(code, 6)).resolves.toBeNull();
+      await expect(accessControl.getRole(6)).resolves.toBeNull();
+    });
+
+    it('rejects unknown codes', async () => {
+      await expect(createAccessControl().redeemInvite('nope', 5)).resolves.toBeNull();
+    });
+  });
+
+  describe('reserveLinkQuota', () => {
+    it("reserves links under the user's quota key until the quota is used up", async () => {
+      const monitor = createMonitor(1, 2);
+      const accessControl = new AccessControl('redis://test', { dailyLinkQuota: 2, monitor });
+
+      await expect(accessControl.reserveLinkQuota(7, ROLES.MEMBER)).resolves.toBe(true);
+      await expect(accessControl.reserveLinkQuota(7, ROLES.MEMBER)).resolves.toBe(false);
+      expect(monitor.reserveQuota).toHaveBeenCalledWith('quota:links:7', 1, 2);
+      await expect(accessControl.getLinkQuota(7)).resolves.toMatchObject({ used: 2, limit: 2 });
+    });
+
+    it('does not count links of admins', async () => {
+      const monitor = createMonitor(0, 0);
+      const accessControl = new AccessControl('redis://test', { monitor });
+
+      await expect(accessControl.reserveLinkQuota(7, ROLES.ADMIN)).resolves.toBe(true);
+      expect(monitor.reserveQuota).not.toHaveBeenCalled();
+    });
+
+    it('passes on Redis errors', async () => {
+      const monitor = createMonitor(0, 2);
+      monitor.reserveQuota.mockRejectedValue(new Error('Connection is closed'));
+      const accessControl = new AccessControl('redis://test', { monitor });
+
+      await expect(accessControl.reserveLinkQuota(7, ROLES.MEMBER)).rejects.toThrow(
+        'Connection is closed',
+      );
+    });
+  });
+
+  describe('releaseLinkQuota', () => {
+    it('gives back a reserved link', async () => {
+      const monitor = createMonitor(0, 2);
+      const accessControl = new AccessControl('redis://test', { monitor });
+
+      await accessControl.reserveLinkQuota(7, ROLES.MEMBER);
+      await accessControl.releaseLinkQuota(7, ROLES.MEMBER);
+
+      expect(monitor.releaseQuota).toHaveBeenCalledWith('quota:links:7', 1);
+      expect(monitor.used).toBe(0);
+    });
+  });
+});
@@ -1,20 +1,49 @@
+const axios = require('axios');
 const BaseProcessor = require('./base-processor');
-const { chromium } = require('playwright');
+const BrowserPool = require('../utils/BrowserPool');
+const AppError = require('../utils/errors/AppError');
+const {
+  decodeEntities,
+  stripTags,
+  getAttribute,
+  getMetaContent,
+  extractJsonLd,
+} = require('../utils/html');
+const { extractMainContent } = require('../utils/content-extractor');
+const { detectBlockedPage } = require('../utils/blocked-page');
+const { getDocumentFormat, extractDocument } = require('../utils/document-extractor');
+const { SCRAPER_CONFIG, SCRAPING_ERROR_CODES } = require('../config/constants');
 
 /**
- * Scrapes content from various platforms using Playwright or API stubs
+ * Blocked page codes a real browser may get past, by waiting out the challenge or retrying with
+ * the `headed` profile
+ * @type {Set<string>}
+ */
+const BROWSER_RETRYABLE_CODES = new Set([
+  SCRAPING_ERROR_CODES.BOT_CHALLENGE,
+  SCRAPING_ERROR_CODES.CAPTCHA,
+]);
+
+/**
+ * Scrapes content from various platforms using plain HTTP, Playwright, public embed endpoints or
+ * API stubs
  */
 class ContentScraper extends BaseProcessor {
   /**
    * Create a new ContentScraper
+   * @param {TelegramGateway} telegram - Telegram gateway used to download files sent to the bot
+   * @param {BrowserPool} [browserPool] - Optional shared browser pool
    */
-  constructor() {
+  constructor(telegram, browserPool) {
     super();
+    this.telegram = telegram;
+    this.browserPool = browserPool || new BrowserPool();
     this.scrapers = {
       youtube: this.scrapeYoutube.bind(this),
       instagram: this.scrapeInstagram.bind(this),
       twitter: this.scrapeTwitter.bind(this),
       linkedin: this.scrapeLinkedIn.bind(this),
+      document: this.scrapeDocument.bind(this),
       article: this.scrapeArticle.bind(this),
       unknown: this.scrapeGeneric.bind(this),
     };
@@ -22,35 +51,56 @@ class ContentScraper extends BaseProcessor {
   }
 
   /**
-   * Process a message to scrape content based on platform
-   * @param {Object} message - The message containing url and platform
+   * Process a message to scrape content based on platform, or the file sent on Telegram
+   * Content that can never be scraped (private, deleted, behind a login) is not an error: the
+   * message is returned with `scrapingFailed` set and the reason in `error`.
+   * @param {Object} message - The message containing a url or file, and its platform
    * @returns {Promise<Object>} The message with scraped content
    * @throws {Error} If scraping fails
    */
   async processMessage(message) {
     try {
-      const { url, platform } = message;
-      this.logInfo('Starting content scraping', { url, platform });
+      const { url, platform, file } = message;
+      this.logInfo('Starting content scraping', { url, platform, fileName: file && file.fileName });
 
-      if (!url) {
-        throw new Error('URL is required for content scraping');
+      if (!url && !file) {
+        throw new Error('URL or file is required for content scraping');
       }
 
       const scraper = this.scrapers[platform] || this.scrapers.unknown;
-      const content = await scraper(url);
+      const { fetchTier, fetchReason, ...content } = file
+        ? await this.scrapeTelegramFile(file, message.caption)
+        : await scraper(url);
 
       this.logInfo('Content scraping completed', {
         url,
         platform,
         contentType: content.type,
+        fetchTier,
       });
 
       return {
         ...message,
         content,
+        ...(fetchTier && { fetchTier, fetchReason }),
         scrapedAt: new Date().toISOString(),
       };
     } catch (error) {
+      if (AppError.isAppError(error) && Object.values(SCRAPING_ERROR_CODES).includes(error.code)) {
+        this.logWarning('Content cannot be scraped', {
+          url: message.url,
+          platform: message.platform,
+          code: error.code,
+          reason: error.message,
+        });
+        return {
+          ...message,
+          scrapingFailed: true,
+          error: error.message,
+          errorCode: error.code,
+          scrapedAt: new Date().toISOString(),
+        };
+      }
       await this.handleError(error, { url: message.url, platform: message.platform });
       throw error;
     }
@@ -74,95 +124,371 @@ class ContentScraper extends BaseProcessor {
   }
 
   /**
-   * Stub for Instagram scraping (to be implemented)
-   * @param {string} url - Instagram post URL
-   * @returns {Promise<Object>} Post metadata
+   * Scrape an Instagram post or reel from its public embed page
+   * Reads the media data embedded in the page's scripts, falling back to the caption markup.
+   * Other Instagram links, such as profiles, are scraped as web pages.
+   * @param {string} url - Instagram post or reel URL
+   * @returns {Promise<Object>} Post content and metadata
+   * @throws {AppError} If the post is private or unavailable
    */
   async scrapeInstagram(url) {
-    this.logInfo('Instagram scraping not implemented', { url });
-    return {
+    const match = url.match(/\/(?:[\w.]+\/)?(?:p|reels?|tv)\/([\w-]+)/);
+    if (!match) {
+      this.logInfo('Instagram link is not a post, scraping as a web page', { url });
+      return this.scrapeGeneric(url);
+    }
+    const shortcode = match[1];
+    this.logInfo('Starting Instagram post scraping', { url, shortcode });
+
+    const response = await axios.get(
+      SCRAPER_CONFIG.INSTAGRAM_EMBED_URL.replace('{shortcode}', shortcode),
+      {
+        headers: { 'User-Agent': SCRAPER_CONFIG.USER_AGENT },
+        timeout: SCRAPER_CONFIG.REQUEST_TIMEOUT_MS,
+        validateStatus: () => true,
+      },
+    );
+    const html = typeof response.data === 'string' ? response.data : '';
+    const finalUrl = (response.request.res && response.request.res.responseUrl) || url;
+
+    if (/\/accounts\/login/.test(finalUrl)) {
+      throw new AppError(
+        'This Instagram post is only visible to logged-in users.',
+        SCRAPING_ERROR_CODES.LOGIN_REQUIRED,
+        { url },
+      );
+    }
+
+    const media = this._extractInstagramMedia(html);
+    const post = media
+      ? this._parseInstagramMedia(media, url)
+      : this._parseInstagramEmbedHtml(html, url);
+
+    if (response.status !== 200 || !post || (!post.caption && !post.mediaUrls.length)) {
+      throw new AppError(
+        'This Instagram post is private or unavailable.',
+        SCRAPING_ERROR_CODES.CONTENT_UNAVAILABLE,
+        { url, status: response.status },
+      );
+    }
+
+    const content = {
       type: 'instagram',
       url,
-      caption: 'Post caption will be extracted here',
-      mediaType: 'image/video',
-      username: 'instagram_username',
+      title: post.username
+        ? `Instagram ${post.mediaType} by @${post.username}`
+        : `Instagram ${post.mediaType}`,
+      ...post,
+      hashtags: Array.from(new Set(post.caption.match(/#[\p{L}\p{N}_]+/gu) || [])),
     };
+
+    this.logInfo('Instagram post scraping completed', {
+      url,
+      shortcode,
+      mediaType: content.mediaType,
+      mediaCount: content.mediaUrls.length,
+      fromEmbeddedData: !!media,
+    });
+
+    return content;
   }
 
   /**
-   * Stub for Twitter scraping (to be implemented)
-   * @param {string} url - Twitter post URL
-   * @returns {Promise<Object>} Tweet metadata
+   * Scrape a tweet and the thread leading up to it from Twitter's public embed endpoints
+   * Uses the syndication endpoint behind embedded tweets and falls back to oEmbed, which only
+   * provides the text of a single tweet. Other Twitter/X links, such as profiles and searches, are
+   * scraped as web pages.
+   * @param {string} url - Twitter/X post URL
+   * @returns {Promise<Object>} Tweet content and metadata
+   * @throws {AppError} If the tweet is unavailable
    */
   async scrapeTwitter(url) {
-    this.logInfo('Twitter scraping not implemented', { url });
-    return {
+    const tweetId = this._extractTweetId(url);
+    if (!tweetId) {
+      this.logInfo('Twitter link is not a tweet, scraping as a web page', { url });
+      return this.scrapeGeneric(url);
+    }
+    this.logInfo('Starting tweet scraping', { url, tweetId });
+
+    let thread;
+    try {
+      thread = await this._fetchTweetThread(tweetId);
+    } catch (error) {
+      if (error.code === SCRAPING_ERROR_CODES.CONTENT_UNAVAILABLE) {
+        throw error;
+      }
+      this.logWarning('Tweet syndication failed, falling back to oEmbed', {
+        url,
+        error: error.message,
+      });
+      thread = [await this._fetchTweetOEmbed(url, tweetId)];
+    }
+
+    const tweet = thread[thread.length - 1];
+    const content = {
       type: 'twitter',
       url,
-      text: 'Tweet content will be extracted here',
-      author: 'twitter_username',
-      timestamp: new Date().toISOString(),
+      title: `Tweet by ${tweet.author}`,
+      text: thread.map((item) => item.text).join('\n\n'),
+      author: tweet.author,
+      authorName: tweet.authorName,
+      timestamp: tweet.timestamp,
+      media: thread.flatMap((item) => item.media),
+      thread,
     };
+
+    this.logInfo('Tweet scraping completed', {
+      url,
+      tweetId,
+      threadLength: thread.length,
+      mediaCount: content.media.length,
+    });
+
+    return content;
   }
 
   /**
-   * Stub for LinkedIn scraping (to be implemented)
+   * Scrape a LinkedIn post from its public page
+   * Reads the post from the page's JSON-LD, falling back to Open Graph tags.
    * @param {string} url - LinkedIn post URL
-   * @returns {Promise<Object>} Post metadata
+   * @returns {Promise<Object>} Post content and metadata
+   * @throws {AppError} If the post is private, behind the login wall or unavailable
    */
   async scrapeLinkedIn(url) {
-    this.logInfo('LinkedIn scraping not implemented', { url });
-    return {
+    this.logInfo('Starting LinkedIn post scraping', { url });
+
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': SCRAPER_CONFIG.USER_AGENT,
+        'Accept-Language': 'en-US,en;q=0.9',
+      },
+      timeout: SCRAPER_CONFIG.REQUEST_TIMEOUT_MS,
+      validateStatus: () => true,
+    });
+    const html = typeof response.data === 'string' ? response.data : '';
+    const finalUrl = (response.request.res && response.request.res.responseUrl) || url;
+
+    // LinkedIn answers requests it considers automated with a non-standard 999
+    if (response.status === 999) {
+      throw new AppError(
+        'LinkedIn blocked the request for this post. Please try again later.',
+        SCRAPING_ERROR_CODES.BOT_CHALLENGE,
+        { url, status: response.status },
+      );
+    }
+
+    const post = extractJsonLd(html).find((item) =>
+      ['SocialMediaPosting', 'DiscussionForumPosting', 'Article'].includes(item['@type']),
+    );
+    const ogTitle = getMetaContent(html, 'og:title');
+    const ogDescription = getMetaContent(html, 'og:description');
+
+    if (!post && !ogDescription) {
+      if (this._isLinkedInLoginWall(finalUrl, html)) {
+        throw new AppError(
+          'This LinkedIn post is private or only visible to logged-in members.',
+          SCRAPING_ERROR_CODES.LOGIN_REQUIRED,
+          { url },
+        );
+      }
+      throw new AppError(
+        'This LinkedIn post was deleted or is unavailable.',
+        SCRAPING_ERROR_CODES.CONTENT_UNAVAILABLE,
+        { url, status: response.status },
+      );
+    }
+
+    const author = (post && post.author) || {};
+    const content = {
       type: 'linkedin',
       url,
-      title: 'LinkedIn Post',
-      description: 'Post content will be extracted here',
-      author: 'linkedin_user',
-      timestamp: new Date().toISOString(),
+      title: (post && post.headline) || ogTitle || 'LinkedIn Post',
+      description: (post && (post.articleBody || post.text)) || ogDescription,
+      // og:title reads "<Author> on LinkedIn: <post>" when JSON-LD is missing
+      author: author.name || (ogTitle && (ogTitle.match(/^(.+?) on LinkedIn:/) || [])[1]) || null,
+      authorHeadline: author.jobTitle || author.description || this._extractLinkedInHeadline(html),
+      authorUrl: author.url || null,
+      timestamp: (post && post.datePublished) || null,
+      sharedUrl:
+        (post && post.sharedContent && post.sharedContent.url) ||
+        this._extractLinkedInSharedLink(html),
+    };
+
+    this.logInfo('LinkedIn post scraping completed', {
+      url,
+      hasJsonLd: !!post,
+      hasAuthor: !!content.author,
+      hasSharedUrl: !!content.sharedUrl,
+    });
+
+    return content;
+  }
+
+  /**
+   * Download a PDF, DOCX or plain text document and extract its text
+   * Links that turn out to serve a web page are scraped as generic pages.
+   * @param {string} url - Document URL
+   * @returns {Promise<Object>} Document text and metadata
+   * @throws {AppError} If the document is unavailable or contains no text
+   */
+  async scrapeDocument(url) {
+    this.logInfo('Starting document scraping', { url });
+
+    const response = await axios.get(url, {
+      headers: { 'User-Agent': SCRAPER_CONFIG.USER_AGENT },
+      timeout: SCRAPER_CONFIG.REQUEST_TIMEOUT_MS,
+      maxContentLength: SCRAPER_CONFIG.MAX_DOCUMENT_BYTES,
+      responseType: 'arraybuffer',
+      validateStatus: () => true,
+    });
+
+    if (response.status === 404 || response.status === 410) {
+      throw new AppError(
+        'This document no longer exists.',
+        SCRAPING_ERROR_CODES.CONTENT_UNAVAILABLE,
+        { url, status: response.status },
+      );
+    }
+    if (response.status < 200 || response.status >= 300) {
+      throw new AppError(`Document request failed with status ${response.status}`, 'API_ERROR', {
+        url,
+        status: response.status,
+      });
+    }
+
+    const finalUrl = (response.request.res && response.request.res.responseUrl) || url;
+    const format = getDocumentFormat(response.headers['content-type'], finalUrl);
+    if (!format) {
+      this.logInfo('Link is not a document, scraping as a web page', {
+        url,
+        contentType: response.headers['content-type'],
+      });
+      return this.scrapeGeneric(url);
+    }
+
+    const fileName = decodeURIComponent(new URL(finalUrl).pathname.split('/').pop() || '');
+    return this._extractDocumentContent(Buffer.from(response.data), format, { url, fileName });
+  }
+
+  /**
+   * Extract a file sent to the bot on Telegram
+   * Documents are downloaded and their text extracted here; images are only described, since
+   * the summarizer downloads and reads them itself.
+   * @param {Object} file - The `file` of an ingested message
+   * @param {string} [caption] - The caption sent with the file
+   * @returns {Promise<Object>} File content and metadata
+   * @throws {AppError} If the document contains no text
+   */
+  async scrapeTelegramFile(file, caption) {
+    this.logInfo('Starting Telegram file scraping', {
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      kind: file.kind,
+    });
+
+    if (file.kind === 'image') {
+      return {
+        type: 'image',
+        title: (caption && caption.split('\n')[0]) || file.fileName,
+        fileId: file.fileId,
+        fileName: file.fileName,
+        mimeType: file.mimeType,
+        caption: caption || '',
+      };
+    }
+
+    const buffer = await this.telegram.downloadFile(file.fileId);
+    const format = getDocumentFormat(file.mimeType, file.fileName) || 'text';
+    const content = await this._extractDocumentContent(buffer, format, {
+      url: null,
+      fileName: file.fileName,
+    });
+    return caption ? { ...content, description: caption } : content;
+  }
+
+  /**
+   * Extract a downloaded document's text and metadata
+   * @private
+   * @param {Buffer} buffer - The document file
+   * @param {string} format - Document format from `getDocumentFormat`
+   * @param {Object} source - Where the document came from
+   * @param {string|null} source.url - Document URL, null for uploaded files
+   * @param {string} source.fileName - Document file name, used when it has no title
+   * @returns {Promise<Object>} Document text and metadata
+   * @throws {AppError} If the document contains no text
+   */
+  async _extractDocumentContent(buffer, format, { url, fileName }) {
+    const document = await extractDocument(buffer, format);
+    if (!document.text) {
+      throw new AppError(
+        'This document has no extractable text. It may be a scanned image or password protected.',
+        SCRAPING_ERROR_CODES.CONTENT_UNAVAILABLE,
+        { url, fileName, format },
+      );
+    }
+
+    const wordCount = document.text.split(/\s+/).length;
+    const content = {
+      type: 'document',
+      url,
+      title: document.title || fileName || 'Untitled document',
+      content: document.text,
+      format,
+      fileName,
+      pageCount: document.pageCount,
+      wordCount,
+      author: document.author || 'Unknown',
+      publishedAt: document.createdAt,
     };
+
+    this.logInfo('Document scraping completed', {
+      url,
+      fileName,
+      format,
+      pageCount: document.pageCount,
+      wordCount,
+      hasTitle: !!document.title,
+    });
+
+    return content;
   }
 
   /**
-   * Scrape an article using Playwright
+   * Scrape an article, using a plain HTTP request when possible and Playwright otherwise
    * @param {string} url - Article URL
    * @returns {Promise<Object>} Article content and metadata
    * @throws {Error} If scraping fails
    */
   async scrapeArticle(url) {
-    let browser;
     try {
       this.logInfo('Starting article scraping', { url });
-      browser = await chromium.launch();
-      const page = await browser.newPage();
-
-      // Set timeout for navigation
-      await page.goto(url, {
-        waitUntil: 'domcontentloaded',
-        timeout: 30000,
-      });
+      const { html, finalUrl, fetchTier, fetchReason } = await this._fetchPage(url);
+      const page = this._parsePage(html, finalUrl);
+      const author = getMetaContent(html, 'author');
+      const publishedAt = getMetaContent(html, 'article:published_time');
 
-      const [title, description, author, publishedAt] = await Promise.all([
-        page.title(),
-        this._extractMetaContent(page, 'meta[name="description"]'),
-        this._extractMetaContent(page, 'meta[name="author"]'),
-        this._extractMetaContent(page, 'meta[property="article:published_time"]'),
-      ]);
-
-      const html = await page.content();
       const content = {
         type: 'article',
         url,
-        title,
-        description: description || 'No description available',
-        content: html,
+        title: page.title,
+        description: page.description || 'No description available',
+        content: page.text,
+        headings: page.headings,
+        images: page.images,
+        links: page.links,
+        wordCount: page.wordCount,
         author: author || 'Unknown',
         publishedAt: publishedAt || new Date().toISOString(),
+        fetchTier,
+        fetchReason,
       };
 
       this.logInfo('Article scraping completed', {
         url,
-        title,
-        hasDescription: !!description,
+        title: page.title,
+        wordCount: page.wordCount,
+        fetchTier,
+        hasDescription: !!page.description,
         hasAuthor: !!author,
         hasPublishedAt: !!publishedAt,
       });
@@ -175,50 +501,41 @@ class ContentScraper extends BaseProcessor {
         stack: error.stack,
       });
       throw error;
-    } finally {
-      if (browser) {
-        await browser.close();
-      }
     }
   }
 
   /**
-   * Scrape a generic web page using Playwright
+   * Scrape a generic web page, using a plain HTTP request when possible and Playwright otherwise
    * @param {string} url - Web page URL
    * @returns {Promise<Object>} Page content and metadata
    * @throws {Error} If scraping fails
    */
   async scrapeGeneric(url) {
-    let browser;
     try {
       this.logInfo('Starting generic page scraping', { url });
-      browser = await chromium.launch();
-      const page = await browser.newPage();
-
-      // Set timeout for navigation
-      await page.goto(url, {
-        waitUntil: 'domcontentloaded',
-        timeout: 30000,
-      });
+      const { html, finalUrl, fetchTier, fetchReason } = await this._fetchPage(url);
+      const page = this._parsePage(html, finalUrl);
 
-      const [title, description] = await Promise.all([
-        page.title(),
-        this._extractMetaContent(page, 'meta[name="description"]'),
-      ]);
-
-      const html = await page.content();
       const content = {
         type: 'generic',
         url,
-        title,
-        description: description || 'No description available',
-        content: html,
+        title: page.title,
+        description: page.description || 'No description available',
+        content: page.text,
+        headings: page.headings,
+        images: page.images,
+        links: page.links,
+        wordCount: page.wordCount,
+        fetchTier,
+        fetchReason,
       };
 
       this.logInfo('Generic page scraping completed', {
         url,
-        title,
-        hasDescription: !!description,
+        title: page.title,
+        wordCount: page.wordCount,
+        fetchTier,
+        hasDescription: !!page.description,
       });
 
       return content;
@@ -229,26 +546,477 @@ class ContentScraper extends BaseProcessor {
         stack: error.stack,
       });
       throw error;
-    } finally {
-      if (browser) {
-        await browser.close();
+    }
+  }
+
+  /**
+   * Fetch a page's HTML, trying a plain HTTP request before a browser
+   * The browser is only used when the HTTP response is not usable: an error status, a blocked
+   * page, a non-HTML response or a page whose content is rendered with JavaScript. A page still
+   * showing a challenge or CAPTCHA in the browser is retried once with the `headed` profile.
+   * @private
+   * @param {string} url - Page URL
+   * @returns {Promise<Object>} The `html`, the `finalUrl` after redirects, the `fetchTier` used
+   *   (`http` or `browser`) and the `fetchReason` for that choice
+   * @throws {AppError} If the page is a challenge, CAPTCHA, paywall or login wall
+   */
+  async _fetchPage(url) {
+    let reason;
+    try {
+      const response = await this._fetchStaticPage(url);
+      reason = this._getEscalationReason(response);
+      if (!reason) {
+        return {
+          html: response.html,
+          finalUrl: response.finalUrl,
+          fetchTier: 'http',
+          fetchReason: 'static HTML contains the content',
+        };
+      }
+    } catch (error) {
+      if (AppError.isAppError(error)) {
+        throw error;
       }
+      reason = `request failed: ${error.message}`;
     }
+
+    this.logInfo('Escalating to browser', { url, reason });
+    let result = await this._loadInBrowser(url, 'default');
+
+    if (
+      result.blocked &&
+      BROWSER_RETRYABLE_CODES.has(result.blocked.code) &&
+      SCRAPER_CONFIG.RETRY_CHALLENGES_HEADED
+    ) {
+      this.logInfo('Retrying with headed browser profile', { url, code: result.blocked.code });
+      result = await this._loadInBrowser(url, 'headed');
+      reason = `${reason}; retried with headed profile`;
+    }
+
+    if (result.blocked) {
+      throw new AppError(result.blocked.reason, result.blocked.code, {
+        url,
+        fetchTier: 'browser',
+      });
+    }
+    return {
+      html: result.html,
+      finalUrl: result.finalUrl,
+      fetchTier: 'browser',
+      fetchReason: reason,
+    };
+  }
+
+  /**
+   * Load a page in the browser, giving bot challenges time to resolve themselves
+   * @private
+   * @param {string} url - Page URL
+   * @param {string} profile - Browser profile passed to the pool
+   * @returns {Promise<Object>} The `html`, the `finalUrl` and what `blocked` the page, if anything
+   */
+  async _loadInBrowser(url, profile) {
+    return this.browserPool.withPage(
+      url,
+      async (page) => {
+        await page.goto(url, { waitUntil: 'domcontentloaded' });
+        let result = await this._readBrowserPage(page);
+
+        // Challenge pages usually reload into the content after a few seconds of JavaScript checks
+        const deadline = Date.now() + SCRAPER_CONFIG.CHALLENGE_WAIT_MS;
+        while (
+          result.blocked &&
+          result.blocked.code === SCRAPING_ERROR_CODES.BOT_CHALLENGE &&
+          Date.now() < deadline
+        ) {
+          await page.waitForTimeout(1000);
+          result = await this._readBrowserPage(page).catch(() => result);
+        }
+
+        return result;
+      },
+      { profile },
+    );
   }
 
   /**
-   * Extract content from a meta tag
+   * Read the current HTML of a browser page and check whether it is blocked
    * @private
    * @param {Page} page - Playwright page object
-   * @param {string} selector - Meta tag selector
-   * @returns {Promise<string|null>} Meta tag content or null if not found
+   * @returns {Promise<Object>} The `html`, the `finalUrl` and what `blocked` the page, if anything
+   */
+  async _readBrowserPage(page) {
+    const html = await page.content();
+    const finalUrl = page.url();
+    const { wordCount } = extractMainContent(html, finalUrl);
+    return { html, finalUrl, blocked: detectBlockedPage(html, { url: finalUrl, wordCount }) };
+  }
+
+  /**
+   * Fetch a page with a plain HTTP GET request
+   * @private
+   * @param {string} url - Page URL
+   * @returns {Promise<Object>} The response `status`, `contentType`, `html` and `finalUrl`
    */
-  async _extractMetaContent(page, selector) {
+  async _fetchStaticPage(url) {
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': SCRAPER_CONFIG.USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+      },
+      timeout: SCRAPER_CONFIG.REQUEST_TIMEOUT_MS,
+      maxContentLength: SCRAPER_CONFIG.MAX_RESPONSE_BYTES,
+      responseType: 'text',
+      validateStatus: () => true,
+    });
+
+    return {
+      status: response.status,
+      contentType: String(response.headers['content-type'] || ''),
+      html: typeof response.data === 'string' ? response.data : '',
+      finalUrl: (response.request.res && response.request.res.responseUrl) || url,
+    };
+  }
+
+  /**
+   * Decide whether a plain HTTP response needs to be loaded in a browser instead
+   * @private
+   * @param {Object} response - Response from {@link ContentScraper#_fetchStaticPage}
+   * @returns {string|null} Why the browser is needed, or null if the response is usable
+   */
+  _getEscalationReason({ status, contentType, html, finalUrl }) {
+    if (status < 200 || status >= 300) {
+      return `HTTP status ${status}`;
+    }
+    if (contentType && !/html/i.test(contentType)) {
+      return `unexpected content type ${contentType.split(';')[0]}`;
+    }
+    const { wordCount } = extractMainContent(html, finalUrl);
+    // Paywalls and login walls are often only shown to clients that do not run JavaScript
+    const blocked = detectBlockedPage(html, { url: finalUrl, wordCount });
+    if (blocked) {
+      return blocked.reason;
+    }
+    if (wordCount < SCRAPER_CONFIG.STATIC_MIN_WORDS) {
+      return `static HTML has only ${wordCount} words`;
+    }
+    return null;
+  }
+
+  /**
+   * Extract the title, description and main content of a page
+   * @private
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - The page URL after redirects
+   * @returns {Object} Title, description and the fields returned by `extractMainContent`
+   */
+  _parsePage(html, pageUrl) {
+    const titleMatch = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    return {
+      title: titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '',
+      description: getMetaContent(html, 'description'),
+      ...extractMainContent(html, pageUrl),
+    };
+  }
+
+  /**
+   * Find the media object embedded in an Instagram embed page's scripts
+   * @private
+   * @param {string} html - Embed page HTML
+   * @returns {Object|null} The `shortcode_media` object or null if the page has none
+   */
+  _extractInstagramMedia(html) {
+    // The data is either a JSON string in `contextJSON` or passed to `__additionalDataLoaded`
+    const contextJson = html.match(/"contextJSON"\s*:\s*("(?:[^"\\]|\\.)*")/);
+    const additionalData = html.match(
+      /__additionalDataLoaded\(\s*'[^']*'\s*,\s*({[\s\S]*?})\s*\);/,
+    );
+
     try {
-      return await page.$eval(selector, (el) => el.content);
+      if (contextJson) {
+        const context = JSON.parse(JSON.parse(contextJson[1]));
+        return (context.gql_data && context.gql_data.shortcode_media) || null;
+      }
+      if (additionalData) {
+        const data = JSON.parse(additionalData[1]);
+        return data.shortcode_media || (data.graphql && data.graphql.shortcode_media) || null;
+      }
     } catch (error) {
+      this.logWarning('Could not parse Instagram embed data', { error: error.message });
+    }
+    return null;
+  }
+
+  /**
+   * Turn Instagram's embedded media data into post fields
+   * @private
+   * @param {Object} media - The `shortcode_media` object
+   * @param {string} url - The post URL
+   * @returns {Object} Username, caption, media type, posting date and media URLs
+   */
+  _parseInstagramMedia(media, url) {
+    const captionEdge = media.edge_media_to_caption && media.edge_media_to_caption.edges[0];
+    const items = media.edge_sidecar_to_children
+      ? media.edge_sidecar_to_children.edges.map(({ node }) => node)
+      : [media];
+
+    let mediaType = 'image';
+    if (media.__typename === 'GraphSidecar') {
+      mediaType = 'carousel';
+    } else if (media.__typename === 'GraphVideo' || media.is_video) {
+      mediaType = media.product_type === 'clips' || /\/reels?\//.test(url) ? 'reel' : 'video';
+    }
+
+    return {
+      username: (media.owner && media.owner.username) || null,
+      caption: captionEdge ? captionEdge.node.text : '',
+      mediaType,
+      postedAt: media.taken_at_timestamp
+        ? new Date(media.taken_at_timestamp * 1000).toISOString()
+        : null,
+      mediaUrls: items.map((item) => (item.is_video && item.video_url) || item.display_url),
+    };
+  }
+
+  /**
+   * Read post fields from the markup of an Instagram embed page
+   * @private
+   * @param {string} html - Embed page HTML
+   * @param {string} url - The post URL
+   * @returns {Object|null} Post fields or null if the page shows no post
+   */
+  _parseInstagramEmbedHtml(html, url) {
+    const username = html.match(/class="[^"]*CaptionUsername[^"]*"[^>]*>([^<]+)</);
+    if (!username) {
       return null;
     }
+
+    // The caption is the Caption block minus the username link and the comments that follow it
+    const captionBlock = html.match(
+      /<div class="Caption"[^>]*>([\s\S]*?)<div class="CaptionComments"/,
+    );
+    const caption = captionBlock
+      ? stripTags(captionBlock[1].replace(/<a[^>]*CaptionUsername[\s\S]*?<\/a>/, ''))
+      : '';
+    const image = (html.match(/<img[^>]*class="[^"]*EmbeddedMediaImage[^"]*"[^>]*>/) || [])[0];
+    const time = (html.match(/<time[^>]*>/) || [])[0];
+
+    let mediaType = 'image';
+    if (/\/reels?\//.test(url)) {
+      mediaType = 'reel';
+    } else if (/Sidecar/.test(html)) {
+      mediaType = 'carousel';
+    } else if (/"is_video"\s*:\s*true|GraphVideo/.test(html)) {
+      mediaType = 'video';
+    }
+
+    return {
+      username: decodeEntities(username[1].trim()),
+      caption,
+      mediaType,
+      postedAt: time ? getAttribute(time, 'datetime') : null,
+      mediaUrls: image ? [getAttribute(image, 'src')].filter(Boolean) : [],
+    };
+  }
+
+  /**
+   * Extract the tweet ID from a Twitter/X post URL
+   * @private
+   * @param {string} url - Twitter/X post URL
+   * @returns {string|null} The tweet ID, or null if the URL does not point to a tweet
+   */
+  _extractTweetId(url) {
+    const match = url.match(/\/status(?:es)?\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Fetch a tweet and, if it continues a thread by the same author, the tweets before it
+   * @private
+   * @param {string} tweetId - Tweet ID
+   * @returns {Promise<Object[]>} Parsed tweets, oldest first
+   * @throws {AppError} If the tweet is unavailable
+   */
+  async _fetchTweetThread(tweetId) {
+    let tweet = await this._fetchSyndicatedTweet(tweetId);
+    const thread = [this._parseSyndicatedTweet(tweet)];
+
+    // Only the ancestors of a tweet are public, so walk up the author's replies to themselves
+    while (
+      tweet.in_reply_to_status_id_str &&
+      tweet.in_reply_to_screen_name === tweet.user.screen_name &&
+      thread.length < SCRAPER_CONFIG.MAX_THREAD_LENGTH
+    ) {
+      try {
+        tweet = await this._fetchSyndicatedTweet(tweet.in_reply_to_status_id_str);
+      } catch (error) {
+        this.logWarning('Could not fetch earlier tweet in thread', {
+          tweetId: tweet.in_reply_to_status_id_str,
+          error: error.message,
+        });
+        break;
+      }
+      thread.unshift(this._parseSyndicatedTweet(tweet));
+    }
+
+    return thread;
+  }
+
+  /**
+   * Fetch raw tweet data from the syndication endpoint
+   * @private
+   * @param {string} tweetId - Tweet ID
+   * @returns {Promise<Object>} Raw tweet data
+   * @throws {AppError} If the tweet is private, deleted or otherwise unavailable
+   */
+  async _fetchSyndicatedTweet(tweetId) {
+    // Same token the embed widget derives from the tweet ID
+    const token = ((Number(tweetId) / 1e15) * Math.PI).toString(36).replace(/(0+|\.)/g, '');
+    const response = await axios.get(SCRAPER_CONFIG.TWITTER_SYNDICATION_URL, {
+      params: { id: tweetId, token, lang: 'en' },
+      headers: { 'User-Agent': SCRAPER_CONFIG.USER_AGENT },
+      timeout: SCRAPER_CONFIG.REQUEST_TIMEOUT_MS,
+      validateStatus: (status) => status === 200 || status === 404,
+    });
+
+    // Deleted and protected tweets come back as 404s or tombstones without a user
+    if (response.status === 404 || !response.data || !response.data.user) {
+      throw new AppError(
+        'Tweet is private, deleted or otherwise unavailable',
+        SCRAPING_ERROR_CODES.CONTENT_UNAVAILABLE,
+        { tweetId },
+      );
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Turn raw syndication data into a tweet record
+   * @private
+   * @param {Object} tweet - Raw tweet data
+   * @returns {Object} Tweet ID, text, author, timestamp and media URLs
+   */
+  _parseSyndicatedTweet(tweet) {
+    const entities = tweet.entities || {};
+    let text = tweet.text || '';
+
+    // Expand t.co links and drop the ones pointing at attached media
+    for (const { url, expanded_url: expandedUrl } of entities.urls || []) {
+      text = text.split(url).join(expandedUrl);
+    }
+    for (const { url } of entities.media || []) {
+      text = text.split(url).join('');
+    }
+
+    const media = (tweet.mediaDetails || []).map((item) => {
+      if (item.type === 'photo') {
+        return item.media_url_https;
+      }
+      // Videos and GIFs: prefer the highest bitrate MP4
+      const [best] = ((item.video_info && item.video_info.variants) || [])
+        .filter((variant) => variant.content_type === 'video/mp4')
+        .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+      return best ? best.url : item.media_url_https;
+    });
+
+    return {
+      id: tweet.id_str,
+      text: decodeEntities(text).trim(),
+      author: `@${tweet.user.screen_name}`,
+      authorName: tweet.user.name,
+      timestamp: new Date(tweet.created_at).toISOString(),
+      media,
+    };
+  }
+
+  /**
+   * Fetch a single tweet through oEmbed
+   * @private
+   * @param {string} url - Twitter/X post URL
+   * @param {string} tweetId - Tweet ID
+   * @returns {Promise<Object>} Tweet record without media
+   */
+  async _fetchTweetOEmbed(url, tweetId) {
+    const response = await axios.get(SCRAPER_CONFIG.TWITTER_OEMBED_URL, {
+      params: { url, omit_script: true, dnt: true },
+      headers: { 'User-Agent': SCRAPER_CONFIG.USER_AGENT },
+      timeout: SCRAPER_CONFIG.REQUEST_TIMEOUT_MS,
+    });
+
+    // <blockquote><p>text</p>&mdash; Name (@handle) <a href="...">May 5, 2024</a></blockquote>
+    const { html, author_name: authorName, author_url: authorUrl } = response.data;
+    const paragraph = html.match(/<p[^>]*>([\s\S]*?)<\/p>/i);
+    const dateLink = html.match(/<a[^>]*>([^<]+)<\/a>\s*<\/blockquote>/i);
+    const postedAt = dateLink && new Date(dateLink[1]);
+
+    return {
+      id: tweetId,
+      text: stripTags(paragraph ? paragraph[1] : html),
+      author: `@${authorUrl.split('/').pop()}`,
+      authorName,
+      timestamp: postedAt && !Number.isNaN(postedAt.getTime()) ? postedAt.toISOString() : null,
+      media: [],
+    };
+  }
+
+  /**
+   * Check whether a LinkedIn response is the login wall rather than a post
+   * @private
+   * @param {string} finalUrl - URL after redirects
+   * @param {string} html - Response body
+   * @returns {boolean} True if LinkedIn asked for a login
+   */
+  _isLinkedInLoginWall(finalUrl, html) {
+    return (
+      /\/(authwall|login|checkpoint|signup|uas\/login)/i.test(new URL(finalUrl).pathname) ||
+      /authwall|sign in to view|sign in to see/i.test(html)
+    );
+  }
+
+  /**
+   * Extract the post author's headline from a LinkedIn post page
+   * @private
+   * @param {string} html - Post page HTML
+   * @returns {string|null} The headline or null if not found
+   */
+  _extractLinkedInHeadline(html) {
+    const match = html.match(
+      /<p[^>]*class="[^"]*(?:actor__headline|author-card__headline|subline)[^"]*"[^>]*>([\s\S]*?)<\/p>/i,
+    );
+    return match ? stripTags(match[1]) || null : null;
+  }
+
+  /**
+   * Extract the article shared in a LinkedIn post
+   * @private
+   * @param {string} html - Post page HTML
+   * @returns {string|null} The shared article URL or null if the post shares none
+   */
+  _extractLinkedInSharedLink(html) {
+    for (const tag of html.match(/<a\b[^>]*>/gi) || []) {
+      const tracking = getAttribute(tag, 'data-tracking-control-name') || '';
+      const href = getAttribute(tag, 'href');
+      if (!href || !/article-content|article_title/.test(tracking)) {
+        continue;
+      }
+      // Outbound links go through LinkedIn's redirector
+      try {
+        const link = new URL(href);
+        return link.pathname.startsWith('/redir/') ? link.searchParams.get('url') || href : href;
+      } catch (_) {
+        return href;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Close the shared browser
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.browserPool.close();
   }
 }
 
@@ -0,0 +1,470 @@
+const axios = require('axios');
+const ContentScraper = require('./content-scraper');
+
+describe('ContentScraper', () => {
+  const scraper = new ContentScraper(null, {});
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('scrapeTwitter', () => {
+    /**
+     * Build a tweet as the syndication endpoint returns it
+     * @param {string} id - Tweet ID
+     * @param {string} text - Tweet text
+     * @param {string} [replyTo] - ID of the author's tweet this one replies to
+     * @returns {Object} The raw tweet
+     */
+    function syndicatedTweet(id, text, replyTo) {
+      return {
+        id_str: id,
+        text,
+        created_at: '2024-05-05T10:00:00.000Z',
+        user: { screen_name: 'jack', name: 'Jack' },
+        in_reply_to_status_id_str: replyTo,
+        in_reply_to_screen_name: replyTo && 'jack',
+      };
+    }
+
+    it('collects the thread leading up to a tweet', async () => {
+      const tweets = {
+        1: syndicatedTweet('1', 'First &amp; foremost'),
+        2: syndicatedTweet('2', 'Second', '1'),
+      };
+      jest
+        .spyOn(axios, 'get')
+        .mockImplementation(async (url, { params }) => ({ status: 200, data: tweets[params.id] }));
+
+      const content = await scraper.scrapeTwitter('https://x.com/jack/status/2');
+
+      expect(content).toEqual(
+        expect.objectContaining({
+          type: 'twitter',
+          title: 'Tweet by @jack',
+          text: 'First & foremost\n\nSecond',
+          author: '@jack',
+          authorName: 'Jack',
+        }),
+      );
+      expect(content.thread.map(({ id }) => id)).toEqual(['1', '2']);
+    });
+
+    it('fails on deleted tweets', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue({ status: 404, data: '' });
+
+      await expect(scraper.scrapeTwitter('https://x.com/jack/status/2')).rejects.toMatchObject({
+        code: 'CONTENT_UNAVAILABLE',
+      });
+    });
+
+    it('scrapes links without a tweet ID as web pages', async () => {
+      const page = { type: 'generic', url: 'https://x.com/jack' };
+      const scrapeGeneric = jest.spyOn(scraper, 'scrapeGeneric').mockResolvedValue(page);
+
+      await expect(scraper.scrapeTwitter('https://x.com/jack')).resolves.toBe(page);
+      expect(scrapeGeneric).toHaveBeenCalledWith('https://x.com/jack');
+    });
+  });
+
+  describe('scrapeInstagram', () => {
+    it('scrapes links that are not posts as web pages', async () => {
+      const page = { type: 'generic', url: 'https://www.instagram.com/someone/' };
+      const scrapeGeneric = jest.spyOn(scraper, 'scrapeGeneric').mockResolvedValue(page);
+
+      await expect(scraper.scrapeInstagram('https://www.instagram.com/someone/')).resolves.toBe(
+        page,
+      );
+      expect(scrapeGeneric).toHaveBeenCalledWith('https://www.instagram.com/someone/');
+    });
+
+    /**
+     * Build an axios response for an Instagram embed page
+     * @param {string} html - Page HTML
+     * @param {string} [finalUrl] - URL after redirects
+     * @returns {Object} The response
+     */
+    function embedResponse(html, finalUrl = 'https://www.instagram.com/p/abc/embed/captioned/') {
+      return { status: 200, data: html, request: { res: { responseUrl: finalUrl } } };
+    }
+
+    it('reads a carousel from the embedded media data', async () => {
+      const media = {
+        __typename: 'GraphSidecar',
+        owner: { username: 'someone' },
+        taken_at_timestamp: 1714903200,
+        edge_media_to_caption: { edges: [{ node: { text: 'Trip #travel #sea #travel' } }] },
+        edge_sidecar_to_children: {
+          edges: [
+            { node: { display_url: 'https://cdn.test/1.jpg' } },
+            {
+              node: {
+                is_video: true,
+                video_url: 'https://cdn.test/2.mp4',
+                display_url: 'https://cdn.test/2.jpg',
+              },
+            },
+          ],
+        },
+      };
+      const contextJson = JSON.stringify(JSON.stringify({ gql_data: { shortcode_media: media } }));
+      jest
+        .spyOn(axios, 'get')
+        .mockResolvedValue(embedResponse(`<script>{"contextJSON":${contextJson}}</script>`));
+
+      await expect(scraper.scrapeInstagram('https://www.instagram.com/p/abc/')).resolves.toEqual(
+        expect.objectContaining({
+          type: 'instagram',
+          title: 'Instagram carousel by @someone',
+          caption: 'Trip #travel #sea #travel',
+          hashtags: ['#travel', '#sea'],
+          postedAt: '2024-05-05T10:00:00.000Z',
+          mediaUrls: ['https://cdn.test/1.jpg', 'https://cdn.test/2.mp4'],
+        }),
+      );
+    });
+
+    it('falls back to the caption markup', async () => {
+      jest
+        .spyOn(axios, 'get')
+        .mockResolvedValue(
+          embedResponse(
+            '<div class="Caption"><a class="CaptionUsername" href="/someone">someone</a>' +
+              'New reel &amp; more<div class="CaptionComments"></div></div>' +
+              '<img class="EmbeddedMediaImage" src="https://cdn.test/1.jpg">',
+          ),
+        );
+
+      await expect(scraper.scrapeInstagram('https://www.instagram.com/reel/abc/')).resolves.toEqual(
+        expect.objectContaining({
+          username: 'someone',
+          caption: 'New reel & more',
+          mediaType: 'reel',
+          mediaUrls: ['https://cdn.test/1.jpg'],
+        }),
+      );
+    });
+
+    it.each([
+      [
+        'asks for a login',
+        embedResponse('', 'https://www.instagram.com/accounts/login/'),
+        'LOGIN_REQUIRED',
+      ],
+      ['shows no post', embedResponse('<html></html>'), 'CONTENT_UNAVAILABLE'],
+    ])('fails when the embed page %s', async (_, response, code) => {
+      jest.spyOn(axios, 'get').mockResolvedValue(response);
+
+      await expect(
+        scraper.scrapeInstagram('https://www.instagram.com/p/abc/'),
+      ).rejects.toMatchObject({ code });
+    });
+  });
+
+  describe('scrapeLinkedIn', () => {
+    /**
+     * Build an axios response for a LinkedIn page
+     * @param {number} status - HTTP status
+     * @param {string} html - Page HTML
+     * @param {string} [finalUrl] - URL after redirects
+     * @returns {Object} The response
+     */
+    function linkedInResponse(status, html, finalUrl = 'https://www.linkedin.com/posts/jane_1') {
+      return { status, data: html, request: { res: { responseUrl: finalUrl } } };
+    }
+
+    it('reads the post from its JSON-LD', async () => {
+      const post = {
+        '@type': 'SocialMediaPosting',
+        headline: 'Hiring',
+        articleBody: 'We are hiring engineers.',
+        datePublished: '2024-05-05T10:00:00.000Z',
+        author: { name: 'Jane Doe', url: 'https://www.linkedin.com/in/jane' },
+        sharedContent: { url: 'https://jobs.test/1' },
+      };
+      jest
+        .spyOn(axios, 'get')
+        .mockResolvedValue(
+          linkedInResponse(
+            200,
+            `<script type="application/ld+json">${JSON.stringify(post)}</script>`,
+          ),
+        );
+
+      await expect(
+        scraper.scrapeLinkedIn('https://www.linkedin.com/posts/jane_1'),
+      ).resolves.toEqual(
+        expect.objectContaining({
+          type: 'linkedin',
+          title: 'Hiring',
+          description: 'We are hiring engineers.',
+          author: 'Jane Doe',
+          authorUrl: 'https://www.linkedin.com/in/jane',
+          sharedUrl: 'https://jobs.test/1',
+        }),
+      );
+    });
+
+    it('falls back to Open Graph tags', async () => {
+      jest
+        .spyOn(axios, 'get')
+        .mockResolvedValue(
+          linkedInResponse(
+            200,
+            '<meta property="og:title" content="Jane Doe on LinkedIn: We are hiring">' +
+              '<meta property="og:description" content="We are hiring engineers.">',
+          ),
+        );
+
+      await expect(
+        scraper.scrapeLinkedIn('https://www.linkedin.com/posts/jane_1'),
+      ).resolves.toEqual(
+        expect.objectContaining({ author: 'Jane Doe', description: 'We are hiring engineers.' }),
+      );
+    });
+
+    it.each([
+      ['the request is blocked', linkedInResponse(999, ''), 'BOT_CHALLENGE'],
+      [
+        'the post is behind the login wall',
+        linkedInResponse(200, '', 'https://www.linkedin.com/authwall?trk=1'),
+        'LOGIN_REQUIRED',
+      ],
+      ['the post is gone', linkedInResponse(404, '<html></html>'), 'CONTENT_UNAVAILABLE'],
+    ])('fails when %s', async (_, response, code) => {
+      jest.spyOn(axios, 'get').mockResolvedValue(response);
+
+      await expect(
+        scraper.scrapeLinkedIn('https://www.linkedin.com/posts/jane_1'),
+      ).rejects.toMatchObject({ code });
+    });
+  });
+
+  describe('scrapeDocument', () => {
+    /**
+     * Build an axios response for a downloaded file
+     * @param {string} contentType - The response Content-Type
+     * @param {string} body - The response body
+     * @returns {Object} The response
+     */
+    function download(contentType, body) {
+      return {
+        status: 200,
+        headers: { 'content-type': contentType },
+        data: Buffer.from(body),
+        request: { res: { responseUrl: 'https://a.test/files/notes.txt' } },
+      };
+    }
+
+    it('extracts the text of a document', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue(download('text/plain', 'Meeting notes'));
+
+      await expect(scraper.scrapeDocument('https://a.test/files/notes.txt')).resolves.toEqual(
+        expect.objectContaining({
+          type: 'document',
+          title: 'notes.txt',
+          content: 'Meeting notes',
+          format: 'text',
+          wordCount: 2,
+        }),
+      );
+    });
+
+    it('scrapes links serving a web page as web pages', async () => {
+      const page = { type: 'generic' };
+      jest.spyOn(axios, 'get').mockResolvedValue(download('text/html', '<p>Hi</p>'));
+      jest.spyOn(scraper, 'scrapeGeneric').mockResolvedValue(page);
+
+      await expect(scraper.scrapeDocument('https://a.test/files/notes.txt')).resolves.toBe(page);
+    });
+
+    it('fails on documents without text', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue(download('text/plain', '  '));
+
+      await expect(scraper.scrapeDocument('https://a.test/files/notes.txt')).rejects.toMatchObject({
+        code: 'CONTENT_UNAVAILABLE',
+      });
+    });
+  });
+
+  describe('scrapeTelegramFile', () => {
+    it('describes images without downloading them', async () => {
+      const file = {
+        fileId: 'p1',
+        fileName: 'photo-p1.jpg',
+        mimeType: 'image/jpeg',
+        kind: 'image',
+      };
+
+      await expect(scraper.scrapeTelegramFile(file, 'Whiteboard\nfrom Monday')).resolves.toEqual({
+        type: 'image',
+        title: 'Whiteboard',
+        fileId: 'p1',
+        fileName: 'photo-p1.jpg',
+        mimeType: 'image/jpeg',
+        caption: 'Whiteboard\nfrom Monday',
+      });
+    });
+
+    it('downloads documents and extracts their text', async () => {
+      const telegram = { downloadFile: jest.fn().mockResolvedValue(Buffer.from('Meeting notes')) };
+      const fileScraper = new ContentScraper(telegram, {});
+      const file = { fileId: 'd1', fileName: 'notes', mimeType: 'text/plain', kind: 'document' };
+
+      await expect(fileScraper.scrapeTelegramFile(file, 'Notes')).resolves.toEqual(
+        expect.objectContaining({
+          type: 'document',
+          url: null,
+          title: 'notes',
+          content: 'Meeting notes',
+          description: 'Notes',
+        }),
+      );
+      expect(telegram.downloadFile).toHaveBeenCalledWith('d1');
+    });
+  });
+
+  describe('_fetchPage', () => {
+    const article = `<html><body><article><p>${'word '.repeat(200)}</p></article></body></html>`;
+
+    /**
+     * Build a plain HTTP response as `_fetchStaticPage` returns it
+     * @param {Object} [fields] - Fields overriding a usable HTML response
+     * @returns {Object} The response
+     */
+    function staticPage(fields = {}) {
+      return {
+        status: 200,
+        contentType: 'text/html; charset=utf-8',
+        html: article,
+        finalUrl: 'https://a.test/post',
+        ...fields,
+      };
+    }
+
+    it('uses the plain HTTP response when it contains the content', async () => {
+      jest.spyOn(scraper, '_fetchStaticPage').mockResolvedValue(staticPage());
+      const loadInBrowser = jest.spyOn(scraper, '_loadInBrowser');
+
+      await expect(scraper._fetchPage('https://a.test/post')).resolves.toEqual({
+        html: article,
+        finalUrl: 'https://a.test/post',
+        fetchTier: 'http',
+        fetchReason: 'static HTML contains the content',
+      });
+      expect(loadInBrowser).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [staticPage({ status: 403 }), 'HTTP status 403'],
+      [staticPage({ contentType: 'application/json' }), 'unexpected content type application/json'],
+      [staticPage({ html: '<div id="root"></div>' }), 'static HTML has only 0 words'],
+    ])('escalates to the browser: %#', async (response, reason) => {
+      jest.spyOn(scraper, '_fetchStaticPage').mockResolvedValue(response);
+      jest
+        .spyOn(scraper, '_loadInBrowser')
+        .mockResolvedValue({ html: article, finalUrl: 'https://a.test/post', blocked: null });
+
+      await expect(scraper._fetchPage('https://a.test/post')).resolves.toEqual(
+        expect.objectContaining({ fetchTier: 'browser', fetchReason: reason }),
+      );
+    });
+
+    it('escalates to the browser when the request fails', async () => {
+      jest.spyOn(scraper, '_fetchStaticPage').mockRejectedValue(new Error('socket hang up'));
+      jest
+        .spyOn(scraper, '_loadInBrowser')
+        .mockResolvedValue({ html: article, finalUrl: 'https://a.test/post', blocked: null });
+
+      await expect(scraper._fetchPage('https://a.test/post')).resolves.toEqual(
+        expect.objectContaining({ fetchReason: 'request failed: socket hang up' }),
+      );
+    });
+  });
+
+  describe('blocked pages', () => {
+    const challenge = {
+      html: '<title>Just a moment...</title>',
+      finalUrl: 'https://a.test/post',
+      blocked: { code: 'BOT_CHALLENGE', reason: 'a.test blocked the request.' },
+    };
+
+    it('retries a challenge with the headed browser profile', async () => {
+      jest.spyOn(scraper, '_fetchStaticPage').mockResolvedValue({
+        status: 403,
+        contentType: 'text/html',
+        html: challenge.html,
+        finalUrl: 'https://a.test/post',
+      });
+      const loadInBrowser = jest
+        .spyOn(scraper, '_loadInBrowser')
+        .mockResolvedValueOnce(challenge)
+        .mockResolvedValueOnce({ html: '<p>Post</p>', finalUrl: 'https://a.test/post' });
+
+      await expect(scraper._fetchPage('https://a.test/post')).resolves.toEqual(
+        expect.objectContaining({
+          fetchTier: 'browser',
+          fetchReason: 'HTTP status 403; retried with headed profile',
+        }),
+      );
+      expect(loadInBrowser.mock.calls.map(([, profile]) => profile)).toEqual(['default', 'headed']);
+    });
+
+    it('reports a page that stays blocked as not scrapable', async () => {
+      jest.spyOn(scraper, '_fetchStaticPage').mockRejectedValue(new Error('socket hang up'));
+      jest.spyOn(scraper, '_loadInBrowser').mockResolvedValue(challenge);
+
+      await expect(
+        scraper.processMessage({ url: 'https://a.test/post', platform: 'article' }),
+      ).resolves.toEqual(
+        expect.objectContaining({
+          scrapingFailed: true,
+          error: 'a.test blocked the request.',
+          errorCode: 'BOT_CHALLENGE',
+        }),
+      );
+    });
+  });
+
+  describe('_parseSyndicatedTweet', () => {
+    it('expands links, drops media links and picks the best video', () => {
+      const tweet = scraper._parseSyndicatedTweet({
+        id_str: '1',
+        text: 'Read https://t.co/a https://t.co/m',
+        created_at: '2024-05-05T10:00:00.000Z',
+        user: { screen_name: 'jack', name: 'Jack' },
+        entities: {
+          urls: [{ url: 'https://t.co/a', expanded_url: 'https://a.test/post' }],
+          media: [{ url: 'https://t.co/m' }],
+        },
+        mediaDetails: [
+          { type: 'photo', media_url_https: 'https://pbs.test/1.jpg' },
+          {
+            type: 'video',
+            media_url_https: 'https://pbs.test/2.jpg',
+            video_info: {
+              variants: [
+                { content_type: 'video/mp4', bitrate: 256000, url: 'https://video.test/low.mp4' },
+                { content_type: 'application/x-mpegURL', url: 'https://video.test/2.m3u8' },
+                { content_type: 'video/mp4', bitrate: 832000, url: 'https://video.test/high.mp4' },
+              ],
+            },
+          },
+        ],
+      });
+
+      expect(tweet.text).toBe('Read https://a.test/post');
+      expect(tweet.media).toEqual(['https://pbs.test/1.jpg', 'https://video.test/high.mp4']);
+    });
+  });
+
+  describe('_extractTweetId', () => {
+    it('finds the ID of a status link', () => {
+      expect(scraper._extractTweetId('https://twitter.com/jack/status/20?s=20')).toBe('20');
+    });
+
+    it('returns null for other links', () => {
+      expect(scraper._extractTweetId('https://twitter.com/search?q=news')).toBeNull();
+    });
+  });
+});
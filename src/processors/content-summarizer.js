@@ -1,42 +1,54 @@
 /**
  * Content Summarizer
  *
- * A processor that uses Google's Gemini AI to generate structured summaries and tags
- * from various types of content. It handles rate limiting, retries, and error cases
- * gracefully while providing user feedback through Telegram.
+ * A processor that uses an LLM to generate structured summaries and tags from various
+ * types of content. The LLM provider (Gemini, OpenAI or an OpenAI-compatible server) is
+ * selected by configuration, with an optional fallback provider. Content too long for one
+ * request is split into chunks that are summarized separately and then merged (map-reduce).
+ * It handles rate limiting, retries, and error cases gracefully; the pipeline reports progress
+ * to the user.
  */
 const BaseProcessor = require('./base-processor');
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
 const { PromptTemplate } = require('@langchain/core/prompts');
-const { sendTelegramMessage } = require('../utils/telegram');
+const { HumanMessage } = require('@langchain/core/messages');
 const extractLinks = require('../utils/extractLinks');
-const { AppError } = require('../utils/errors/AppError');
+const LLMClient = require('../utils/LLMClient');
+const { estimateTokens, splitIntoChunks } = require('../utils/text-chunker');
+const AppError = require('../utils/errors/AppError');
+const { LLM_CONFIG } = require('../config/constants');
+
+/**
+ * Summary length asked of the LLM, by `message.summaryLength`
+ * @type {Object.<string, string>}
+ */
+const SUMMARY_LENGTHS = {
+  short: 'a concise 3-5 sentence summary of the main points and key takeaways',
+  long: 'a detailed summary of 2-3 paragraphs covering the main points, arguments and key takeaways',
+};
 
 class ContentSummarizer extends BaseProcessor {
   /**
    * Creates a new ContentSummarizer instance
-   * @param {string} apiKey - Google API key for Gemini AI
-   * @throws {AppError} If API key is missing
+   * @param {Object[]} providers - LLM provider settings in the order they are tried, see
+   *   `getLLMProviders` in `src/config/llm.js`
+   * @param {TelegramGateway} telegram - Telegram gateway used to download images sent to the bot
+   * @throws {AppError} If no provider is given or a provider is misconfigured
    */
-  constructor(apiKey) {
+  constructor(providers, telegram) {
     super();
-    if (!apiKey) {
-      throw new AppError('GOOGLE_API_KEY is required', 'INVALID_CONFIG');
-    }
+    this.telegram = telegram;
 
-    // Initialize the LLM with the correct configuration and retry settings
-    this.llm = new ChatGoogleGenerativeAI({
-      model: 'gemini-2.0-flash',
-      maxOutputTokens: 2048,
-      temperature: 0.7,
-      apiKey: apiKey,
-      maxRetries: 3,
-      retryDelay: 5000, // 5 seconds initial delay
-    });
+    // Falls back to the next provider when one fails or is rate limited
+    this.llm = new LLMClient(providers);
+
+    // Summarizes one chunk of content too long for a single request
+    this.chunkPrompt = PromptTemplate.fromTemplate(
+      `You are summarizing part {part} of {parts} of a longer piece of content. Write a summary of this part that keeps its main points, facts and arguments, in at most {words} words. Respond ONLY with the summary as plain text.\n\nContent: {content}`,
+    );
 
     // Create a single prompt template for structured output
     this.structuredPrompt = PromptTemplate.fromTemplate(
-      `You are an intelligent content summarizer and tagger. Given the following content, return a JSON object with two fields: "summary" (a concise 3-5 sentence summary of the main points and key takeaways) and "tags" (an array of 5-7 relevant tags that best categorize the content).\n\nIf you are unable to access the content or face any errors, respond ONLY with the following format:\n{{{{\"error\": \"error message here\"}}}}\n\nContent: {content}\n\nRespond ONLY with a valid JSON object in the format below, and DO NOT include any Markdown formatting, code block markers, or extra text before or after the JSON:\n{{{{\n  \"summary\": \"...\",\n  \"tags\": [\"tag1\", \"tag2\", ...]\n}}}}`,
+      `You are an intelligent content summarizer and tagger. Given the following content, return a JSON object with two fields: "summary" ({length}) and "tags" (an array of 5-7 relevant tags that best categorize the content).\n\nIf you are unable to access the content or face any errors, respond ONLY with the following format:\n{{{{\"error\": \"error message here\"}}}}\n\nContent: {content}\n\nRespond ONLY with a valid JSON object in the format below, and DO NOT include any Markdown formatting, code block markers, or extra text before or after the JSON:\n{{{{\n  \"summary\": \"...\",\n  \"tags\": [\"tag1\", \"tag2\", ...]\n}}}}`,
     );
   }
 
@@ -46,12 +58,12 @@ class ContentSummarizer extends BaseProcessor {
    * @param {string} message.content - The content to summarize
    * @param {string} message.platform - The platform the content is from
    * @param {Object} [message.data] - Additional data for summarization
-   * @param {string} [message.chatId] - Telegram chat ID for notifications
+   * @param {string} [message.summaryLength='short'] - `short` or `long`, see SUMMARY_LENGTHS
    * @returns {Promise<Object>} The processed message with summary and tags
    * @throws {AppError} If content is missing or processing fails
    */
   async process(message) {
-    const { content, platform, data, chatId } = message;
+    const { content, platform, data } = message;
     const summaryContent = content ?? data;
 
     if (!summaryContent) {
@@ -64,27 +76,23 @@ class ContentSummarizer extends BaseProcessor {
     });
 
     try {
-      await sendTelegramMessage(chatId, `🔎 Analyzing content from *${platform}*...`);
-
       // Generate structured summary and tags in one call
       this.logInfo('Starting structured summary+tags generation', { platform });
-      await sendTelegramMessage(chatId, '✍️ Generating summary and tags (structured output)...');
 
       const prompt = await this.structuredPrompt.format({
-        content: JSON.stringify(summaryContent, null, 2),
+        content: this.buildPromptContent(summaryContent),
+        length: SUMMARY_LENGTHS[message.summaryLength] || SUMMARY_LENGTHS.short,
       });
 
       const response = await this.llm.invoke(prompt);
-      const parsed = await this.parseLLMResponse(response.content, platform, chatId);
+      const parsed = await this.parseLLMResponse(response.content);
 
       if (parsed.error) {
         return this.createErrorResponse(message, parsed.error, platform);
       }
 
       // Extract resources (links) from the content
-      const resources = extractLinks(
-        typeof summaryContent === 'string' ? summaryContent : JSON.stringify(summaryContent),
-      );
+      const resources = extractLinks(this.buildPromptContent(summaryContent));
 
       // Normal case: extract summary and tags
       this.logInfo('Generated summary and tags (structured)', {
@@ -93,9 +101,6 @@ class ContentSummarizer extends BaseProcessor {
         resources,
       });
 
-      await sendTelegramMessage(chatId, '✅ Summary and tags generated.');
-      await sendTelegramMessage(chatId, '📝 Saving to Notion...');
-
       return {
         ...message,
         summary: parsed.summary,
@@ -110,8 +115,6 @@ class ContentSummarizer extends BaseProcessor {
         platform: message.platform,
       });
 
-      await sendTelegramMessage(chatId, `❌ Summarization process failed: ${error.message}`);
-
       return this.createErrorResponse(message, error.message, platform);
     }
   }
@@ -121,105 +124,237 @@ class ContentSummarizer extends BaseProcessor {
    * @param {Object} message - The message to process
    * @param {string} message.content - The content to summarize
    * @param {string} [message.url] - The URL of the content
-   * @param {string} [message.chatId] - Telegram chat ID for notifications
+   * @param {string} [message.summaryLength='short'] - `short` or `long`, see SUMMARY_LENGTHS
+   * @param {Object} [options] - Stage options from the pipeline
+   * @param {Function} [options.onProgress] - Shows a status text to the user, e.g. the chunk
+   *   being summarized
    * @returns {Promise<Object>} The processed message with summary and tags
    * @throws {AppError} If processing fails after retries
    */
-  async processMessage(message) {
+  async processMessage(message, { onProgress } = {}) {
     try {
-      const { content, url, chatId } = message;
+      const { content, url, summaryLength } = message;
       this.logInfo('Starting content summarization', { url });
 
-      // Extract any links from the content
-      const resources = extractLinks(content);
+      const promptContent = this.buildPromptContent(content);
 
-      // Notify user about rate limit handling
-      if (chatId) {
-        await sendTelegramMessage(
-          chatId,
-          '⏳ Processing content (this may take a moment due to rate limits)...',
+      // Extract any links from the content
+      const resources = extractLinks(promptContent);
+
+      // Images sent on Telegram are summarized by the LLM looking at the image itself
+      const image =
+        content && content.type === 'image'
+          ? { mimeType: content.mimeType, data: await this.telegram.downloadFile(content.fileId) }
+          : null;
+
+      try {
+        const result = await this.invokeWithRetry(
+          await this.buildLLMInput(
+            image ? promptContent : await this.condenseContent(promptContent, onProgress),
+            image,
+            summaryLength,
+          ),
         );
-      }
 
-      let retryCount = 0;
-      const maxRetries = 3;
-      let lastError = null;
-
-      while (retryCount < maxRetries) {
-        try {
-          const result = await this.llm.invoke(await this.structuredPrompt.format({ content }));
-
-          const parsed = await this.parseLLMResponse(result.content, null, chatId);
-
-          if (parsed.error) {
-            throw new AppError(parsed.error, 'LLM_ERROR');
-          }
-
-          return {
-            ...message,
-            summary: parsed.summary,
-            tags: parsed.tags,
-            resources,
-          };
-        } catch (error) {
-          lastError = error;
-          if (error.status === 429) {
-            const retryDelay = Math.min(1000 * Math.pow(2, retryCount), 30000);
-            this.logInfo('Rate limit hit, retrying after delay', {
-              retryCount,
-              retryDelay,
-              error: error.message,
-            });
-
-            if (chatId) {
-              await sendTelegramMessage(
-                chatId,
-                `⏳ Rate limit reached. Retrying in ${retryDelay / 1000} seconds...`,
-              );
-            }
-
-            await new Promise((resolve) => setTimeout(resolve, retryDelay));
-            retryCount++;
-          } else {
-            throw error;
-          }
+        const parsed = await this.parseLLMResponse(result.content);
+
+        if (parsed.error) {
+          throw new AppError(parsed.error, 'LLM_ERROR');
         }
-      }
 
-      // If we've exhausted retries, return a fallback response
-      this.logInfo('Max retries reached, returning fallback response', {
-        error: lastError.message,
-      });
+        return {
+          ...message,
+          summary: parsed.summary,
+          tags: parsed.tags,
+          resources,
+        };
+      } catch (error) {
+        if (error.status !== 429) {
+          throw error;
+        }
 
-      if (chatId) {
-        await sendTelegramMessage(
-          chatId,
-          '⚠️ Unable to generate summary due to rate limits. Please try again in a few minutes.',
-        );
+        // If we've exhausted retries, return a fallback response
+        this.logInfo('Max retries reached, returning fallback response', {
+          error: error.message,
+        });
+
+        return {
+          ...message,
+          summary: 'Summary generation temporarily unavailable due to rate limits.',
+          tags: ['unprocessed', 'rate-limited'],
+          resources,
+          error: error.message,
+        };
       }
-
-      return {
-        ...message,
-        summary: 'Summary generation temporarily unavailable due to rate limits.',
-        tags: ['unprocessed', 'rate-limited'],
-        resources,
-        error: lastError.message,
-      };
     } catch (error) {
       await this.handleError(error, { url: message.url });
       throw error;
     }
   }
 
+  /**
+   * Sends a request to the LLM, retrying with exponential backoff while it is rate limited
+   * @param {string|HumanMessage[]} input - The LLM input
+   * @param {number} [maxRetries=3] - Attempts before giving up
+   * @returns {Promise<AIMessage>} The LLM response
+   * @throws {Error} The last error if every attempt was rate limited, or any other error
+   */
+  async invokeWithRetry(input, maxRetries = 3) {
+    for (let retryCount = 0; ; retryCount++) {
+      try {
+        return await this.llm.invoke(input);
+      } catch (error) {
+        if (error.status !== 429 || retryCount + 1 >= maxRetries) {
+          throw error;
+        }
+
+        const retryDelay = Math.min(1000 * Math.pow(2, retryCount), 30000);
+        this.logInfo('Rate limit hit, retrying after delay', {
+          retryCount,
+          retryDelay,
+          error: error.message,
+        });
+        await new Promise((resolve) => setTimeout(resolve, retryDelay));
+      }
+    }
+  }
+
+  /**
+   * Shortens content too long for one request by summarizing it chunk by chunk (map-reduce)
+   * Chunks fit the context window of every configured provider. Each chunk is summarized with a
+   * word budget that lets the summaries fit in one request; summaries that still do not fit are
+   * summarized again, and cut after `LLM_CONFIG.MAX_REDUCE_ROUNDS` rounds.
+   * @param {string} promptContent - Content from {@link ContentSummarizer#buildPromptContent}
+   * @param {Function} [onProgress] - Shows a status text to the user
+   * @returns {Promise<string>} The content itself if it fits in one request, otherwise the
+   *   summaries of its consecutive parts
+   */
+  async condenseContent(promptContent, onProgress) {
+    const chunkTokens = this.llm.getChunkTokens();
+    if (estimateTokens(promptContent) <= chunkTokens) {
+      return promptContent;
+    }
+
+    let text = promptContent;
+    for (let round = 1; estimateTokens(text) > chunkTokens; round++) {
+      if (round > LLM_CONFIG.MAX_REDUCE_ROUNDS) {
+        this.logWarning('Partial summaries still too long, cutting them', {
+          tokens: estimateTokens(text),
+          chunkTokens,
+        });
+        text = splitIntoChunks(text, chunkTokens)[0];
+        break;
+      }
+
+      const chunks = splitIntoChunks(text, chunkTokens);
+      // About 3 words per 4 tokens, leaving room for the separators between summaries
+      const words = Math.floor(
+        (Math.min(chunkTokens / chunks.length, this.llm.getMaxResponseTokens()) * 3) / 4 - 10,
+      );
+      this.logInfo('Summarizing content in chunks', { round, chunks: chunks.length, words });
+
+      const summaries = [];
+      for (const [index, chunk] of chunks.entries()) {
+        if (onProgress) {
+          await onProgress(
+            round === 1
+              ? `Summarizing part ${index + 1} of ${chunks.length}...`
+              : `Merging summaries, part ${index + 1} of ${chunks.length}...`,
+          );
+        }
+        const prompt = await this.chunkPrompt.format({
+          part: index + 1,
+          parts: chunks.length,
+          words: Math.max(words, 30),
+          content: chunk,
+        });
+        const result = await this.invokeWithRetry(prompt);
+        summaries.push(String(result.content).trim());
+      }
+      text = summaries.map((summary, index) => `Part ${index + 1}: ${summary}`).join('\n\n');
+    }
+
+    if (onProgress) {
+      await onProgress('Writing the final summary and tags...');
+    }
+    return `The content was too long to read at once. These are summaries of its consecutive parts:\n\n${text}`;
+  }
+
+  /**
+   * Builds the LLM input for a prompt, attaching an image when there is one
+   * @param {string} promptContent - Content from {@link ContentSummarizer#buildPromptContent}
+   * @param {Object|null} image - Image to attach
+   * @param {string} image.mimeType - The image's MIME type
+   * @param {Buffer} image.data - The image file
+   * @param {string} [summaryLength='short'] - `short` or `long`, see SUMMARY_LENGTHS
+   * @returns {Promise<string|HumanMessage[]>} The prompt, or a multimodal message with the image
+   */
+  async buildLLMInput(promptContent, image, summaryLength = 'short') {
+    const prompt = await this.structuredPrompt.format({
+      content: promptContent,
+      length: SUMMARY_LENGTHS[summaryLength] || SUMMARY_LENGTHS.short,
+    });
+    if (!image) {
+      return prompt;
+    }
+    return [
+      new HumanMessage({
+        content: [
+          { type: 'text', text: prompt },
+          {
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data.toString('base64')}` },
+          },
+        ],
+      }),
+    ];
+  }
+
+  /**
+   * Turns message content into the text sent to the LLM
+   * Scraped content is an object; only its descriptive fields and main text are kept, so image and
+   * link lists or other metadata do not end up in the prompt.
+   * @param {string|Object} content - A transcript or text, or a scraped content object
+   * @returns {string} The prompt content
+   */
+  buildPromptContent(content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+    if (!content || typeof content !== 'object') {
+      return '';
+    }
+
+    const body = content.content || content.text || content.caption || '';
+    const description =
+      content.description && content.description !== 'No description available'
+        ? content.description
+        : null;
+
+    const lines = [
+      content.title && `Title: ${content.title}`,
+      (content.author || content.username) && `Author: ${content.author || content.username}`,
+      (content.publishedAt || content.timestamp || content.postedAt) &&
+        `Published: ${content.publishedAt || content.timestamp || content.postedAt}`,
+      description && description !== body && `Description: ${description}`,
+      content.pageCount && `Pages: ${content.pageCount}`,
+      content.type === 'image' && 'The attached image is the content to summarize.',
+    ].filter(Boolean);
+
+    if (typeof body === 'string' && body) {
+      lines.push('', body);
+    }
+
+    return lines.length ? lines.join('\n') : JSON.stringify(content, null, 2);
+  }
+
   /**
    * Parses the LLM response into a structured object
    * @private
    * @param {string} content - The raw LLM response content
-   * @param {string} [platform] - The platform the content is from
-   * @param {string} [chatId] - Telegram chat ID for notifications
    * @returns {Promise<Object>} The parsed response object
    */
-  async parseLLMResponse(content, platform, chatId) {
+  async parseLLMResponse(content) {
     try {
       let cleanedContent = content.trim();
 
@@ -248,13 +383,6 @@ class ContentSummarizer extends BaseProcessor {
         response: content,
       });
 
-      if (chatId) {
-        await sendTelegramMessage(
-          chatId,
-          '⚠️ Sorry, could not process the link. LLM did not return valid JSON.',
-        );
-      }
-
       throw new AppError('Failed to parse LLM response', 'PARSE_ERROR', { originalError: error });
     }
   }
@@ -274,6 +402,7 @@ class ContentSummarizer extends BaseProcessor {
       tags: [platform, 'unprocessed'],
       summarizedAt: new Date().toISOString(),
       summarizationFailed: true,
+      error: errorMessage,
     };
   }
 }
@@ -0,0 +1,73 @@
+const ContentSummarizer = require('./content-summarizer');
+const AppError = require('../utils/errors/AppError');
+const { LLM_PROVIDERS } = require('../config/constants');
+
+describe('ContentSummarizer', () => {
+  const summarizer = new ContentSummarizer([{ provider: LLM_PROVIDERS.OPENAI, apiKey: 'test' }]);
+
+  describe('parseLLMResponse', () => {
+    it('parses JSON wrapped in a code block', async () => {
+      const parsed = await summarizer.parseLLMResponse(
+        '```json\n{"summary": "A summary", "tags": ["one"]}\n```',
+      );
+
+      expect(parsed).toEqual({ summary: 'A summary', tags: ['one'] });
+    });
+
+    it('throws PARSE_ERROR when the response is not JSON', async () => {
+      const error = await summarizer.parseLLMResponse('Sorry, I cannot help').catch((e) => e);
+
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.code).toBe('PARSE_ERROR');
+    });
+  });
+
+  describe('condenseContent', () => {
+    /**
+     * Create a summarizer whose LLM answers every chunk with a short summary
+     * @param {number} chunkTokens - Tokens of content per request
+     * @returns {ContentSummarizer} The summarizer, with the fake LLM on `summarizer.llm`
+     */
+    function createSummarizer(chunkTokens) {
+      const chunkSummarizer = new ContentSummarizer([
+        { provider: LLM_PROVIDERS.OPENAI, apiKey: 'test' },
+      ]);
+      chunkSummarizer.llm = {
+        getChunkTokens: () => chunkTokens,
+        getMaxResponseTokens: () => 500,
+        invoke: jest.fn(async () => ({ content: ' Chunk summary ' })),
+      };
+      return chunkSummarizer;
+    }
+
+    it('leaves content that fits in one request alone', async () => {
+      const chunkSummarizer = createSummarizer(1000);
+
+      await expect(chunkSummarizer.condenseContent('Short content')).resolves.toBe('Short content');
+      expect(chunkSummarizer.llm.invoke).not.toHaveBeenCalled();
+    });
+
+    it('summarizes long content part by part', async () => {
+      const chunkSummarizer = createSummarizer(1000);
+      const paragraph = 'word '.repeat(700).trim();
+      const onProgress = jest.fn();
+
+      const condensed = await chunkSummarizer.condenseContent(
+        [paragraph, paragraph, paragraph].join('\n\n'),
+        onProgress,
+      );
+
+      expect(chunkSummarizer.llm.invoke).toHaveBeenCalledTimes(3);
+      expect(condensed).toBe(
+        'The content was too long to read at once. These are summaries of its consecutive parts:' +
+          '\n\nPart 1: Chunk summary\n\nPart 2: Chunk summary\n\nPart 3: Chunk summary',
+      );
+      expect(onProgress.mock.calls.map(([text]) => text)).toEqual([
+        'Summarizing part 1 of 3...',
+        'Summarizing part 2 of 3...',
+        'Summarizing part 3 of 3...',
+        'Writing the final summary and tags...',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const Redis = require('ioredis');
+const BaseProcessor = require('./base-processor');
+const { GROUP_CONFIG, GROUP_MODES } = require('../config/constants');
+
+/**
+ * Stores the settings of the group chats the bot is in
+ * A group's settings are a Redis hash holding its mode (see {@link GROUP_MODES}) and the Notion
+ * database its links are saved to. Groups without settings are in `mention` mode.
+ */
+class GroupStore extends BaseProcessor {
+  /**
+   * Create a new GroupStore
+   * @param {string} [redisUrl=process.env.REDIS_URL] - Redis connection URL
+   */
+  constructor(redisUrl = process.env.REDIS_URL) {
+    super();
+    this.redis = new Redis(redisUrl);
+    this.logInfo('Group store initialized');
+  }
+
+  /**
+   * Generate a prefixed group key
+   * @private
+   * @param {number|string} chatId - Telegram chat ID of the group
+   * @returns {string} Prefixed key
+   */
+  _key(chatId) {
+    return `${GROUP_CONFIG.KEY_PREFIX}${chatId}`;
+  }
+
+  /**
+   * Get the settings of a group
+   * @param {number|string} chatId - Telegram chat ID of the group
+   * @returns {Promise<Object>} `{ mode, databaseId }`; `databaseId` is empty until the group's
+   *   first link is saved
+   */
+  async getGroup(chatId) {
+    const group = await this.redis.hgetall(this._key(chatId));
+    return {
+      mode: (group && group.mode) || GROUP_MODES.MENTION,
+      databaseId: (group && group.databaseId) || '',
+    };
+  }
+
+  /**
+   * Set when the bot processes the links posted in a group
+   * @param {number|string} chatId - Telegram chat ID of the group
+   * @param {string} mode - One of {@link GROUP_MODES}
+   * @returns {Promise<void>}
+   */
+  async setMode(chatId, mode) {
+    await this.redis.hset(this._key(chatId), { mode });
+    this.logInfo('Group mode set', { chatId, mode });
+  }
+
+  /**
+   * Remember the Notion database a group's links are saved to
+   * @param {number|string} chatId - Telegram chat ID of the group
+   * @param {string} databaseId - The database ID, or an empty string to create a new one for the
+   *   next link, e.g. after the group moved to another workspace
+   * @returns {Promise<void>}
+   */
+  async setDatabaseId(chatId, databaseId) {
+    await this.redis.hset(this._key(chatId), { databaseId });
+    this.logInfo('Group database set', { chatId, databaseId });
+  }
+}
+
+module.exports = GroupStore;
@@ -1,19 +1,126 @@
 const BaseProcessor = require('./base-processor');
-const TelegramBot = require('node-telegram-bot-api');
+const { getDocumentFormat } = require('../utils/document-extractor');
+const {
+  STREAMS,
+  JOB_STATES,
+  SCRAPER_CONFIG,
+  INGESTION_CONFIG,
+  RESULT_ACTIONS,
+  ROLES,
+  ACCESS_CONFIG,
+  GROUP_MODES,
+} = require('../config/constants');
+
+/**
+ * Commands shown in Telegram's command menu
+ * @type {Object[]}
+ */
+const BOT_COMMANDS = [
+  { command: 'help', description: 'Show what the bot can do' },
+  { command: 'status', description: 'Show the progress of a job' },
+  { command: 'recent', description: 'List recently saved links' },
+  { command: 'search', description: 'Search saved links' },
+  { command: 'tags', description: 'List the tags of saved links' },
+  { command: 'retry', description: 'Retry a failed job' },
+  { command: 'delete', description: 'Delete a saved link and its Notion page' },
+  { command: 'connect', description: 'Save links to your own Notion workspace' },
+  { command: 'disconnect', description: 'Stop saving links to your Notion workspace' },
+  { command: 'quota', description: 'Show how many links you can still save today' },
+  { command: 'join', description: 'Join with an invite code' },
+];
+
+/**
+ * Commands only admins may use; listed by `/help` for admins rather than in the command menu
+ * @type {Object[]}
+ */
+const ADMIN_COMMANDS = [
+  { command: 'invite', description: 'Create an invite code; add "admin" to invite an admin' },
+  { command: 'users', description: 'List the users who may use the bot' },
+  { command: 'remove', description: 'Revoke the access of a user' },
+  {
+    command: 'groupmode',
+    description: 'In a group, save links only when mentioned ("mention") or all of them ("auto")',
+  },
+];
+
+/** Reply to `/help` */
+const HELP_TEXT = [
+  'Send me links, PDFs or photos and I will summarize them and save them to Notion.',
+  '',
+  ...BOT_COMMANDS.map(({ command, description }) => `/${command} - ${description}`),
+].join('\n');
+
+/** Added to the reply to `/help` for admins */
+const ADMIN_HELP = [
+  'Admin commands:',
+  ...ADMIN_COMMANDS.map(({ command, description }) => `/${command} - ${description}`),
+].join('\n');
+
+/** Reply to users who may not use the bot */
+const ACCESS_HELP = 'This bot is private. Ask an admin for an invite code and send /join <code>.';
+
+/** Reply to `/connect` without arguments, and to links sent before connecting a workspace */
+const CONNECT_HELP = [
+  'To save links to your own Notion workspace:',
+  '1. Create an internal integration at https://www.notion.so/my-integrations and copy its secret.',
+  '2. Open the Notion page to save under and add the integration in ••• → Connections.',
+  '3. Send /connect <integration secret> <page link>',
+  '',
+  'Your message is deleted right away and the secret is stored encrypted.',
+].join('\n');
+
+/** Reply to links sent in a group that has no Notion workspace */
+const GROUP_CONNECT_HELP = [
+  'This group is not connected to Notion yet.',
+  'An admin connects their own workspace with /connect in a private chat with me, then sends /connect here.',
+].join('\n');
+
+/** Start of the prompt sent by the "Change tags" button; replies to it carry the new tags */
+const TAGS_PROMPT = 'Send the new tags for job';
+
+/**
+ * Format a saved link for a command reply
+ * @param {Object} entry - History entry from the job tracker
+ * @returns {string} The title, link and job ID
+ */
+function formatHistoryEntry(entry) {
+  return [
+    entry.title || entry.url || entry.fileName,
+    entry.notionPageUrl || entry.url,
+    `job ${entry.jobId}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Get the name a group member's pages are attributed to
+ * @param {Object} user - Telegram user
+ * @returns {string} The user's full name and username
+ */
+function formatSenderName(user) {
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  if (!user.username) {
+    return name || String(user.id);
+  }
+  return name ? `${name} (@${user.username})` : `@${user.username}`;
+}
 
 /**
  * Processes incoming messages from Telegram
- * Extracts URLs and initiates the workflow
+ * Extracts URLs and uploaded files and initiates the workflow. In group chats only messages that
+ * mention the bot or reply to it are read, unless the group is in `auto` mode.
  */
 class IngestionProcessor extends BaseProcessor {
   /**
    * Create a new IngestionProcessor
-   * @param {string} token - The Telegram bot token
+   * @param {TelegramGateway} telegram - The Telegram gateway that receives updates and sends
+   *   replies
    */
-  constructor(token) {
+  constructor(telegram) {
     super();
-    this.bot = new TelegramBot(token, { polling: true });
-    this.setupWebhook();
+    this.telegram = telegram;
+    this.setupHandlers();
   }
 
   /**
@@ -25,33 +132,376 @@ class IngestionProcessor extends BaseProcessor {
   }
 
   /**
-   * Set up the Telegram webhook to handle incoming messages
+   * Set the store of the Notion workspaces users connect with `/connect`
+   * @param {WorkspaceStore} workspaceStore - The workspace store instance
+   */
+  setWorkspaceStore(workspaceStore) {
+    this.workspaceStore = workspaceStore;
+  }
+
+  /**
+   * Set the job tracker used to assign and look up job IDs
+   * @param {JobTracker} jobTracker - The job tracker instance
+   */
+  setJobTracker(jobTracker) {
+    this.jobTracker = jobTracker;
+  }
+
+  /**
+   * Set the Notion processor used to search and delete saved pages
+   * @param {NotionProcessor} notionProcessor - The Notion processor instance
    */
-  setupWebhook() {
-    this.bot.on('message', async (msg) => {
+  setNotionProcessor(notionProcessor) {
+    this.notionProcessor = notionProcessor;
+  }
+
+  /**
+   * Set the store of group chat settings
+   * @param {GroupStore} groupStore - The group store instance
+   */
+  setGroupStore(groupStore) {
+    this.groupStore = groupStore;
+  }
+
+  /**
+   * Set the access control deciding who may use the bot and counting their daily links
+   * @param {AccessControl} accessControl - The access control instance
+   */
+  setAccessControl(accessControl) {
+    this.accessControl = accessControl;
+  }
+
+  /**
+   * Set the progress reporter that sends each job's status message
+   * @param {ProgressReporter} progressReporter - The progress reporter instance
+   */
+  setProgressReporter(progressReporter) {
+    this.progressReporter = progressReporter;
+  }
+
+  /**
+   * Register the handlers of incoming messages, commands and button presses
+   */
+  setupHandlers() {
+    this.setupCommands();
+    this.telegram.on('callback_query', (query) => this.handleCallbackQuery(query));
+
+    this.telegram.on('message', async (msg) => {
       try {
-        if (msg.text && this.isValidUrl(msg.text)) {
-          const message = {
-            userId: msg.from.id,
-            chatId: msg.chat.id,
-            url: msg.text,
-            timestamp: new Date().toISOString(),
-          };
-
-          // Send acknowledgment to user
-          await this.bot.sendMessage(msg.chat.id, 'Processing your link...');
-
-          // Process and publish to message bus
-          await this.processMessage(message);
+        // Commands are handled by their own listeners
+        if (msg.text && msg.text.startsWith('/')) {
+          return;
+        }
+
+        // In groups, messages not meant for the bot are ignored
+        const isGroup = this.isGroupChat(msg);
+        const addressed = isGroup && (await this.isAddressedToBot(msg));
+        if (isGroup && !addressed && !(await this.isAutoGroup(msg.chat.id))) {
+          return;
+        }
+
+        const role = await this.authorize(msg);
+        if (!role) {
+          // Members of an auto-mode group without access are not answered on every message
+          if (!isGroup || addressed) {
+            await this.telegram.sendMessage(msg.chat.id, ACCESS_HELP);
+          }
+          return;
+        }
+
+        const tagsJobId = await this.getTagsPromptJobId(msg);
+        if (tagsJobId) {
+          const reply = await this.changeTags(tagsJobId, msg.from.id, msg.text || '');
+          await this.telegram.sendMessage(msg.chat.id, reply);
+          return;
+        }
+
+        const { urls, note } = this.parseLinks(msg);
+        const hasFile = Boolean(msg.document || msg.photo);
+        if (!hasFile && !urls.length) {
+          return;
+        }
+
+        // Saving needs a Notion workspace; users without one are shown how to connect theirs
+        const workspaceId = isGroup ? msg.chat.id : msg.from.id;
+        if (this.notionProcessor && !(await this.notionProcessor.isConnected(workspaceId))) {
+          await this.telegram.sendMessage(msg.chat.id, isGroup ? GROUP_CONNECT_HELP : CONNECT_HELP);
+          return;
+        }
+
+        if (hasFile) {
+          await this.handleFile(msg, role);
+        }
+        if (urls.length) {
+          await this.handleLinks(msg, urls, isGroup ? await this.removeMention(note) : note, role);
         }
       } catch (error) {
         await this.handleError(error, { messageId: msg.message_id });
         // Notify user of error
-        await this.bot.sendMessage(msg.chat.id, 'Sorry, there was an error processing your link.');
+        await this.telegram.sendMessage(
+          msg.chat.id,
+          'Sorry, there was an error processing your link.',
+        );
       }
     });
   }
 
+  /**
+   * Check if a message was sent in a group chat
+   * @param {Object} msg - Telegram message
+   * @returns {boolean} True for groups and supergroups
+   */
+  isGroupChat(msg) {
+    return Boolean(msg.chat) && ['group', 'supergroup'].includes(msg.chat.type);
+  }
+
+  /**
+   * Check if a message mentions the bot or replies to one of its messages
+   * @param {Object} msg - Telegram message
+   * @returns {Promise<boolean>} True if the message is meant for the bot
+   */
+  async isAddressedToBot(msg) {
+    const me = await this.telegram.getMe();
+    const reply = msg.reply_to_message;
+    if (reply && reply.from && reply.from.id === me.id) {
+      return true;
+    }
+
+    const text = msg.text || msg.caption || '';
+    const entities = msg.entities || msg.caption_entities || [];
+    const mention = `@${me.username}`.toLowerCase();
+    return entities.some(
+      (entity) =>
+        (entity.type === 'mention' &&
+          text.slice(entity.offset, entity.offset + entity.length).toLowerCase() === mention) ||
+        (entity.type === 'text_mention' && entity.user && entity.user.id === me.id),
+    );
+  }
+
+  /**
+   * Check if the bot processes every link posted in a group
+   * @param {number} chatId - Telegram chat ID of the group
+   * @returns {Promise<boolean>} True if the group is in `auto` mode
+   */
+  async isAutoGroup(chatId) {
+    if (!this.groupStore) {
+      return false;
+    }
+    const { mode } = await this.groupStore.getGroup(chatId);
+    return mode === GROUP_MODES.AUTO;
+  }
+
+  /**
+   * Remove mentions of the bot from the note saved with a link
+   * @param {string} note - The message text around the links
+   * @returns {Promise<string>} The note without the mentions
+   */
+  async removeMention(note) {
+    const me = await this.telegram.getMe();
+    return note
+      .replace(new RegExp(`@${me.username}\\b`, 'gi'), '')
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Build the pipeline message of a job submitted with a Telegram message
+   * Jobs from group chats also carry the group, whose workspace and database they are saved to,
+   * and the name of the member who sent them.
+   * @param {Object} msg - Telegram message
+   * @param {Object} fields - The job's content, e.g. `url` and `note`
+   * @returns {Object} The pipeline message
+   */
+  createJobMessage(msg, fields) {
+    const group = this.isGroupChat(msg)
+      ? { groupId: msg.chat.id, groupTitle: msg.chat.title, senderName: formatSenderName(msg.from) }
+      : {};
+    return {
+      userId: msg.from.id,
+      chatId: msg.chat.id,
+      ...group,
+      ...fields,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Get the role of the sender of a message
+   * @param {Object} msg - Telegram message
+   * @returns {Promise<string|null>} One of {@link ROLES}, or null if the sender may not use the
+   *   bot; everyone is a member when there is no access control
+   */
+  async authorize(msg) {
+    if (!this.accessControl) {
+      return ROLES.MEMBER;
+    }
+    return this.accessControl.getRole(msg.from.id, msg.chat && msg.chat.id);
+  }
+
+  /**
+   * Publish a job within the sender's daily quota, telling them when it is used up
+   * The link is reserved in the quota before the job is published, and given back if publishing
+   * fails.
+   * @param {Object} msg - Telegram message
+   * @param {string} role - The sender's role
+   * @param {Object} fields - The job's content, see {@link IngestionProcessor#createJobMessage}
+   * @returns {Promise<boolean>} True if the job was published, false if the quota is used up
+   */
+  async publishWithinQuota(msg, role, fields) {
+    if (this.accessControl && !(await this.accessControl.reserveLinkQuota(msg.from.id, role))) {
+      const { limit } = await this.accessControl.getLinkQuota(msg.from.id);
+      await this.telegram.sendMessage(
+        msg.chat.id,
+        `You have saved your ${limit} links for today. The limit resets at midnight.`,
+      );
+      return false;
+    }
+
+    try {
+      await this.processMessage(this.createJobMessage(msg, fields));
+    } catch (error) {
+      if (this.accessControl) {
+        await this.accessControl.releaseLinkQuota(msg.from.id, role);
+      }
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Publish every link of a message as its own job
+   * Each job reports its progress in its own status message. Links past the sender's daily quota
+   * are dropped.
+   * @param {Object} msg - Telegram message
+   * @param {string[]} urls - Links found in the message
+   * @param {string} note - The message text around the links
+   * @param {string} role - The sender's role
+   * @returns {Promise<void>}
+   */
+  async handleLinks(msg, urls, note, role) {
+    const accepted = urls.slice(0, INGESTION_CONFIG.MAX_URLS_PER_MESSAGE);
+    for (const url of accepted) {
+      if (!(await this.publishWithinQuota(msg, role, { url, note }))) {
+        return;
+      }
+    }
+
+    if (urls.length > accepted.length) {
+      await this.telegram.sendMessage(
+        msg.chat.id,
+        `Only the first ${accepted.length} links of a message are processed.`,
+      );
+    }
+  }
+
+  /**
+   * Find the links in a message's text or caption
+   * Uses Telegram's `url` and `text_link` entities, falling back to matching URLs in the text.
+   * @param {Object} msg - Telegram message
+   * @returns {{urls: string[], note: string}} The unique http(s) links in order, and the text
+   *   with bare URLs removed
+   */
+  parseLinks(msg) {
+    const text = msg.text || msg.caption || '';
+    const entities = msg.entities || msg.caption_entities || [];
+    const urls = [];
+    // Character ranges of bare URLs, removed from the note
+    const ranges = [];
+
+    for (const entity of entities) {
+      if (entity.type === 'url') {
+        const url = text.slice(entity.offset, entity.offset + entity.length);
+        urls.push(/^[a-z][\w+.-]*:\/\//i.test(url) ? url : `https://${url}`);
+        ranges.push([entity.offset, entity.offset + entity.length]);
+      } else if (entity.type === 'text_link') {
+        urls.push(entity.url);
+      }
+    }
+
+    if (!entities.length) {
+      for (const match of text.matchAll(/https?:\/\/[^\s<>"]+[^\s<>".,;:!?)\]'}]/gi)) {
+        urls.push(match[0]);
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+    }
+
+    let note = text;
+    for (const [start, end] of ranges.sort((a, b) => b[0] - a[0])) {
+      note = note.slice(0, start) + note.slice(end);
+    }
+
+    return {
+      urls: Array.from(new Set(urls)).filter(
+        (url) => this.isValidUrl(url) && /^https?:$/.test(new URL(url).protocol),
+      ),
+      note: note
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ ([,.;:!?])/g, '$1')
+        .replace(/ *\n */g, '\n')
+        .trim(),
+    };
+  }
+
+  /**
+   * Publish a document or photo sent to the bot
+   * Only the file's ID travels through the pipeline; the scraper downloads it from Telegram.
+   * @param {Object} msg - Telegram message with a `document` or `photo`
+   * @param {string} role - The sender's role
+   * @returns {Promise<void>}
+   */
+  async handleFile(msg, role) {
+    const file = this.getFileInfo(msg);
+    if (!file) {
+      await this.telegram.sendMessage(
+        msg.chat.id,
+        'Sorry, I can only read PDF, DOCX and text files and images.',
+      );
+      return;
+    }
+    if (file.fileSize > SCRAPER_CONFIG.TELEGRAM_FILE_MAX_BYTES) {
+      await this.telegram.sendMessage(
+        msg.chat.id,
+        'Sorry, that file is too large. Telegram only lets bots download files up to 20 MB.',
+      );
+      return;
+    }
+    await this.publishWithinQuota(msg, role, { file, caption: msg.caption || '' });
+  }
+
+  /**
+   * Describe the file attached to a Telegram message
+   * @param {Object} msg - Telegram message with a `document` or `photo`
+   * @returns {Object|null} The file's ID, name, MIME type, size and kind (`document` or `image`),
+   *   or null if the file type is not supported
+   */
+  getFileInfo(msg) {
+    if (msg.photo && msg.photo.length) {
+      // Telegram sends every resolution of a photo, smallest first
+      const photo = msg.photo[msg.photo.length - 1];
+      return {
+        fileId: photo.file_id,
+        fileName: `photo-${photo.file_unique_id}.jpg`,
+        mimeType: 'image/jpeg',
+        fileSize: photo.file_size || 0,
+        kind: 'image',
+      };
+    }
+
+    const { document } = msg;
+    const mimeType = document.mime_type || '';
+    const fileName = document.file_name || 'file';
+    let kind = null;
+    if (mimeType.startsWith('image/')) {
+      kind = 'image';
+    } else if (getDocumentFormat(mimeType, fileName)) {
+      kind = 'document';
+    }
+
+    return kind
+      ? { fileId: document.file_id, fileName, mimeType, fileSize: document.file_size || 0, kind }
+      : null;
+  }
+
   /**
    * Check if a string is a valid URL
    * @param {string} string - The string to check
@@ -66,14 +516,734 @@ class IngestionProcessor extends BaseProcessor {
     }
   }
 
+  /**
+   * Register the bot commands and publish them to Telegram's command menu
+   */
+  setupCommands() {
+    this.onCommand(
+      'start',
+      async (msg, args, role) => {
+        if (!role) {
+          return `Welcome to Omnichannel Bot!\n\n${ACCESS_HELP}`;
+        }
+        const connected =
+          !this.notionProcessor || (await this.notionProcessor.isConnected(msg.from.id));
+        return [`Welcome to Omnichannel Bot!\n\n${HELP_TEXT}`, !connected && CONNECT_HELP]
+          .filter(Boolean)
+          .join('\n\n');
+      },
+      { public: true },
+    );
+    this.onCommand(
+      'help',
+      (msg, args, role) => (role === ROLES.ADMIN ? `${HELP_TEXT}\n\n${ADMIN_HELP}` : HELP_TEXT),
+      { public: true },
+    );
+    this.onCommand('join', (msg, code, role) => this.joinWithInvite(msg.from.id, code, role), {
+      public: true,
+    });
+    this.onCommand('status', (msg, jobId) => this.formatJobStatus(jobId, msg.from.id));
+    this.onCommand('recent', (msg) => this.formatRecent(msg.from.id));
+    this.onCommand('search', (msg, query) => this.formatSearch(query, msg.from.id));
+    this.onCommand('tags', (msg) => this.formatTags(msg.from.id));
+    this.onCommand('retry', (msg, jobId) => this.retryJob(jobId, msg.from.id));
+    this.onCommand('delete', (msg, jobId) => this.deleteJob(jobId, msg.from.id));
+    this.onCommand('connect', (msg, args, role) =>
+      this.isGroupChat(msg) ? this.connectGroup(msg, args, role) : this.connectWorkspace(msg, args),
+    );
+    this.onCommand('disconnect', (msg, args, role) =>
+      this.isGroupChat(msg)
+        ? this.disconnectGroup(msg.chat.id, role)
+        : this.disconnectWorkspace(msg.from.id),
+    );
+    this.onCommand('quota', (msg, args, role) => this.formatQuota(msg.from.id, role));
+    this.onCommand('invite', (msg, args) => this.createInvite(msg.from.id, args), {
+      role: ROLES.ADMIN,
+    });
+    this.onCommand('users', () => this.formatUsers(), { role: ROLES.ADMIN });
+    this.onCommand('remove', (msg, userId) => this.removeUser(userId), { role: ROLES.ADMIN });
+    this.onCommand('groupmode', (msg, mode) => this.setGroupMode(msg, mode), {
+      role: ROLES.ADMIN,
+    });
+
+    this.telegram.setMyCommands(BOT_COMMANDS).catch((error) => {
+      this.logWarning('Could not set bot commands', { error: error.message });
+    });
+  }
+
+  /**
+   * Listen for a command and reply with the handler's result
+   * Commands are limited to members unless they are public or need another role. Commands
+   * addressed to another bot, e.g. `/help@other_bot` in a group, are ignored.
+   * @param {string} command - Command name without the slash
+   * @param {Function} handler - Called with the message, the text after the command and the
+   *   sender's role; returns the reply
+   * @param {Object} [options] - Command options
+   * @param {boolean} [options.public=false] - Also answer users who may not use the bot
+   * @param {string} [options.role] - Role required besides membership, e.g. `ROLES.ADMIN`
+   */
+  onCommand(command, handler, options = {}) {
+    const pattern = new RegExp(`^\\/${command}(?:@(\\w+))?(?:\\s+([\\s\\S]*))?$`);
+    this.telegram.onText(pattern, async (msg, match) => {
+      try {
+        if (match[1]) {
+          const me = await this.telegram.getMe();
+          if (match[1].toLowerCase() !== me.username.toLowerCase()) {
+            return;
+          }
+        }
+
+        const role = await this.authorize(msg);
+        if (!role && !options.public) {
+          await this.telegram.sendMessage(msg.chat.id, ACCESS_HELP);
+          return;
+        }
+        if (options.role && role !== options.role) {
+          await this.telegram.sendMessage(msg.chat.id, `Only admins can use /${command}.`);
+          return;
+        }
+
+        const reply = await handler(msg, (match[2] || '').trim(), role);
+        await this.telegram.sendMessage(msg.chat.id, reply);
+      } catch (error) {
+        this.logError(`Error handling /${command} command`, {
+          error: error.message,
+          messageId: msg.message_id,
+        });
+        await this.telegram.sendMessage(
+          msg.chat.id,
+          `Sorry, /${command} failed. Please try again.`,
+        );
+      }
+    });
+  }
+
+  /**
+   * Build the reply to a `/recent` command
+   * @param {number} userId - Telegram ID of the user asking
+   * @returns {Promise<string>} The user's most recently saved links
+   */
+  async formatRecent(userId) {
+    const history = this.jobTracker
+      ? await this.jobTracker.getHistory(userId, INGESTION_CONFIG.LIST_LIMIT)
+      : [];
+    if (!history.length) {
+      return 'Nothing saved yet. Send me a link to get started.';
+    }
+    return ['Recently saved:', ...history.map(formatHistoryEntry)].join('\n\n');
+  }
+
+  /**
+   * Build the reply to a `/search` command
+   * Searches page titles in Notion, keeping only the user's own pages, and the URLs and titles in
+   * the user's history.
+   * @param {string} query - Text to search for
+   * @param {number} userId - Telegram ID of the user asking
+   * @returns {Promise<string>} The matching saved links
+   */
+  async formatSearch(query, userId) {
+    if (!query) {
+      return 'Usage: /search <text>';
+    }
+
+    const history = this.jobTracker ? await this.jobTracker.getHistory(userId) : [];
+    const byPageId = new Map(history.map((entry) => [entry.notionPageId, entry]));
+
+    const matches = new Map();
+    if (this.notionProcessor) {
+      for (const page of await this.notionProcessor.searchPages(userId, query)) {
+        const entry = byPageId.get(page.id);
+        if (entry) {
+          matches.set(entry.jobId, { ...entry, title: page.title, notionPageUrl: page.url });
+        }
+      }
+    }
+    const lowerQuery = query.toLowerCase();
+    for (const entry of history) {
+      const text = `${entry.title} ${entry.url} ${entry.fileName}`.toLowerCase();
+      if (!matches.has(entry.jobId) && text.includes(lowerQuery)) {
+        matches.set(entry.jobId, entry);
+      }
+    }
+
+    if (!matches.size) {
+      return `No saved links match "${query}".`;
+    }
+    const results = [...matches.values()].slice(0, INGESTION_CONFIG.LIST_LIMIT);
+    return [`Saved links matching "${query}":`, ...results.map(formatHistoryEntry)].join('\n\n');
+  }
+
+  /**
+   * Build the reply to a `/tags` command
+   * @param {number} userId - Telegram ID of the user asking
+   * @returns {Promise<string>} The tags of the user's saved links, most used first
+   */
+  async formatTags(userId) {
+    const history = this.jobTracker ? await this.jobTracker.getHistory(userId) : [];
+    const counts = new Map();
+    for (const tag of history.flatMap((entry) => entry.tags)) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+    if (!counts.size) {
+      return 'No tags yet.';
+    }
+
+    return [
+      'Your tags:',
+      ...[...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([tag, count]) => `${tag} (${count})`),
+    ].join('\n');
+  }
+
+  /**
+   * Handle a `/retry` command by putting a failed job back at the start of the pipeline
+   * @param {string} jobId - The job ID given by the user
+   * @param {number} userId - Telegram ID of the user asking
+   * @returns {Promise<string>} The reply
+   */
+  async retryJob(jobId, userId) {
+    if (!jobId) {
+      return 'Usage: /retry <job id>';
+    }
+
+    const job = this.jobTracker ? await this.jobTracker.getJob(jobId) : null;
+    if (!job || job.userId !== String(userId) || !job.message) {
+      return `No job found with ID ${jobId}.`;
+    }
+    if (job.state !== JOB_STATES.FAILED) {
+      return `Job ${jobId} is ${job.state}; only failed jobs can be retried.`;
+    }
+
+    await this.requeueJob(job);
+    this.logInfo('Job retried', { jobId, userId });
+    return `Retrying job ${jobId}... (check it with /status ${jobId})`;
+  }
+
+  /**
+   * Put a job back at the start of the pipeline
+   * @private
+   * @param {Object} job - Job record from the job tracker
+   * @param {Object} [fields={}] - Fields to add to the job's original message
+   * @returns {Promise<void>}
+   */
+  async requeueJob(job, fields = {}) {
+    await this.jobTracker.updateState(job.id, JOB_STATES.QUEUED, { error: '' });
+    await this.messageBus.publish(STREAMS.INGESTION, {
+      ...JSON.parse(job.message),
+      ...fields,
+      jobId: job.id,
+    });
+  }
+
+  /**
+   * Handle a press on a result message button
+   * Button presses are always answered so Telegram stops showing a loading indicator.
+   * @param {Object} query - Telegram callback query
+   * @returns {Promise<void>}
+   */
+  async handleCallbackQuery(query) {
+    const [action, jobId] = (query.data || '').split(':');
+    const userId = query.from.id;
+    const { chat, message_id: messageId } = query.message || {};
+    let answer;
+
+    try {
+      const role = await this.authorize({ from: query.from, chat });
+      switch (role ? action : null) {
+        case null:
+          answer = 'You no longer have access to this bot.';
+          break;
+        case RESULT_ACTIONS.RESUMMARIZE:
+          answer = await this.resummarizeJob(jobId, userId, role, messageId, 'short');
+          break;
+        case RESULT_ACTIONS.LONGER_SUMMARY:
+          answer = await this.resummarizeJob(jobId, userId, role, messageId, 'long');
+          break;
+        case RESULT_ACTIONS.CHANGE_TAGS:
+          answer = await this.promptForTags(jobId, userId, chat.id);
+          break;
+        case RESULT_ACTIONS.DELETE:
+          answer = await this.deleteResult(jobId, userId, chat.id, messageId);
+          break;
+        default:
+          answer = 'Unknown action.';
+      }
+    } catch (error) {
+      this.logError('Error handling button press', { error: error.message, action, jobId });
+      answer = 'Sorry, that failed. Please try again.';
+    }
+
+    await this.telegram.answerCallbackQuery(query.id, { text: answer }).catch((error) => {
+      this.logWarning('Could not answer button press', { error: error.message });
+    });
+  }
+
+  /**
+   * Run a saved link through the pipeline again, replacing its Notion page
+   * The job keeps its result message, which shows the progress again and then the new result. Counts
+   * against the user's daily link quota.
+   * @param {string} jobId - The job ID
+   * @param {number} userId - Telegram ID of the user asking
+   * @param {string} role - The user's role
+   * @param {number} [progressMessageId] - The job's result message
+   * @param {string} summaryLength - `short` or `long`
+   * @returns {Promise<string>} The answer to show the user
+   */
+  async resummarizeJob(jobId, userId, role, progressMessageId, summaryLength) {
+    const job = this.jobTracker ? await this.jobTracker.getJob(jobId) : null;
+    if (!job || job.userId !== String(userId) || !job.message) {
+      return `No job found with ID ${jobId}.`;
+    }
+    if (job.state !== JOB_STATES.DONE) {
+      return `Job ${jobId} is ${job.state}; wait for it to finish.`;
+    }
+    if (this.accessControl && !(await this.accessControl.reserveLinkQuota(userId, role))) {
+      return 'You have used up your links for today.';
+    }
+
+    try {
+      await this.requeueJob(job, {
+        progressMessageId,
+        summaryLength,
+        replacesPageId: job.notionPageId || undefined,
+      });
+    } catch (error) {
+      if (this.accessControl) {
+        await this.accessControl.releaseLinkQuota(userId, role);
+      }
+      throw error;
+    }
+    this.logInfo('Job re-summarized', { jobId, userId, summaryLength });
+    return summaryLength === 'long' ? 'Writing a longer summary...' : 'Re-summarizing...';
+  }
+
+  /**
+   * Ask the user for the new tags of a saved link
+   * The prompt forces a reply; {@link IngestionProcessor#getTagsPromptJobId} finds the job again.
+   * @param {string} jobId - The job ID
+   * @param {number} userId - Telegram ID of the user asking
+   * @param {number} chatId - The chat to ask in
+   * @returns {Promise<string>} The answer to show the user
+   */
+  async promptForTags(jobId, userId, chatId) {
+    const job = this.jobTracker ? await this.jobTracker.getJob(jobId) : null;
+    if (!job || job.userId !== String(userId) || !job.notionPageId) {
+      return `No saved link found for job ${jobId}.`;
+    }
+
+    await this.telegram.sendMessage(chatId, `${TAGS_PROMPT} ${jobId}, separated by commas.`, {
+      reply_markup: { force_reply: true, input_field_placeholder: 'tag one, tag two' },
+    });
+    return 'Send the new tags.';
+  }
+
+  /**
+   * Find the job a message answers the "Change tags" prompt for
+   * @param {Object} msg - Telegram message
+   * @returns {Promise<string|null>} The job ID, or null if the message is not a reply to this
+   *   bot's prompt
+   */
+  async getTagsPromptJobId(msg) {
+    const prompt = msg.reply_to_message;
+    if (!prompt || !prompt.from || !prompt.text) {
+      return null;
+    }
+    const me = await this.telegram.getMe();
+    if (prompt.from.id !== me.id) {
+      return null;
+    }
+    const match = prompt.text.match(new RegExp(`^${TAGS_PROMPT} ([0-9a-f]+)`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Replace the tags of a saved link on its Notion page, in the history and on its result message
+   * @param {string} jobId - The job ID
+   * @param {number} userId - Telegram ID of the user asking
+   * @param {string} text - The new tags, separated by commas or new lines
+   * @returns {Promise<string>} The reply
+   */
+  async changeTags(jobId, userId, text) {
+    const job = this.jobTracker ? await this.jobTracker.getJob(jobId) : null;
+    if (!job || job.userId !== String(userId) || !job.notionPageId || !this.notionProcessor) {
+      return `No saved link found for job ${jobId}.`;
+    }
+
+    const tags = [
+      ...new Set(
+        text
+          .split(/[,\n]/)
+          .map((tag) => tag.trim().replace(/^#/, ''))
+          .filter(Boolean),
+      ),
+    ].slice(0, INGESTION_CONFIG.MAX_TAGS);
+    if (!tags.length) {
+      return 'No tags given. Separate tags with commas, e.g. "ai, research".';
+    }
+
+    await this.notionProcessor.updateTags(job.groupId || userId, job.notionPageId, tags);
+    await this.jobTracker.updateTags(jobId, tags);
+
+    if (this.progressReporter && job.progressMessageId) {
+      await this.progressReporter.complete({
+        jobId,
+        chatId: job.chatId,
+        progressMessageId: Number(job.progressMessageId),
+        url: job.url,
+        title: job.title,
+        summary: job.summary,
+        tags,
+        notionPageUrl: job.notionPageUrl,
+        groupId: job.groupId,
+        senderName: job.senderName,
+      });
+    }
+
+    this.logInfo('Job tags changed', { jobId, userId, tags });
+    return `Updated the tags of job ${jobId}: ${tags.join(', ')}`;
+  }
+
+  /**
+   * Handle a `/delete` command by removing a saved link and moving its Notion page to the trash
+   * @param {string} jobId - The job ID given by the user
+   * @param {number} userId - Telegram ID of the user asking
+   * @returns {Promise<string>} The reply
+   */
+  async deleteJob(jobId, userId) {
+    if (!jobId) {
+      return 'Usage: /delete <job id>';
+    }
+
+    const deleted = await this.removeSavedLink(jobId, userId);
+    if (!deleted) {
+      return `No job found with ID ${jobId}.`;
+    }
+    return deleted.notionPageId
+      ? `Deleted job ${jobId} and moved its Notion page to the trash.`
+      : `Deleted job ${jobId}.`;
+  }
+
+  /**
+   * Handle the "Delete" button of a result message
+   * @param {string} jobId - The job ID
+   * @param {number} userId - Telegram ID of the user asking
+   * @param {number} chatId - The chat of the result message
+   * @param {number} messageId - The result message, replaced by a deletion notice
+   * @returns {Promise<string>} The answer to show the user
+   */
+  async deleteResult(jobId, userId, chatId, messageId) {
+    const deleted = await this.removeSavedLink(jobId, userId);
+    if (!deleted) {
+      return `No job found with ID ${jobId}.`;
+    }
+
+    await this.telegram.editMessage(chatId, messageId, `🗑 Deleted job ${jobId}.`);
+    return 'Deleted.';
+  }
+
+  /**
+   * Remove a saved link from the job tracker and move its Notion page to the trash
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {number} userId - Telegram ID of the user asking
+   * @returns {Promise<Object|null>} `{ notionPageId }` of the removed link, or null if the user
+   *   has no such job
+   */
+  async removeSavedLink(jobId, userId) {
+    if (!this.jobTracker) {
+      return null;
+    }
+
+    // The history outlives job records, so either may identify the user's link
+    const history = await this.jobTracker.getHistory(userId);
+    const entry = history.find((item) => item.jobId === jobId);
+    const job = await this.jobTracker.getJob(jobId);
+    const ownsJob = job && job.userId === String(userId);
+    if (!entry && !ownsJob) {
+      return null;
+    }
+
+    const notionPageId = (entry && entry.notionPageId) || (ownsJob && job.notionPageId);
+    const groupId = (entry && entry.groupId) || (ownsJob && job.groupId);
+    if (notionPageId && this.notionProcessor) {
+      await this.notionProcessor.archivePage(groupId || userId, notionPageId);
+    }
+    await this.jobTracker.removeFromHistory(userId, jobId);
+    if (ownsJob) {
+      await this.jobTracker.deleteJob(jobId);
+    }
+
+    this.logInfo('Job deleted by user', { jobId, userId, notionPageId });
+    return { notionPageId };
+  }
+
+  /**
+   * Handle a `/connect` command by linking the user to their own Notion workspace
+   * The command carries the user's integration secret, so its message is deleted first.
+   * @param {Object} msg - Telegram message with the command
+   * @param {string} args - `<integration secret> <page link>`
+   * @returns {Promise<string>} The reply
+   */
+  async connectWorkspace(msg, args) {
+    if (!this.workspaceStore || !this.notionProcessor) {
+      return 'This bot saves to a shared Notion workspace; connecting your own is not enabled.';
+    }
+
+    const [token, page] = args.split(/\s+/).filter(Boolean);
+    if (!token || !page) {
+      return CONNECT_HELP;
+    }
+
+    await this.telegram.deleteMessage(msg.chat.id, msg.message_id).catch((error) => {
+      this.logWarning('Could not delete /connect message', { error: error.message });
+    });
+
+    const rootPageId = this.notionProcessor.parsePageId(page);
+    if (!rootPageId) {
+      return "That doesn't look like a Notion page link. Copy it with ••• → Copy link.";
+    }
+
+    let rootPageTitle;
+    try {
+      rootPageTitle = await this.notionProcessor.verifyWorkspace(token, rootPageId);
+    } catch (_) {
+      return 'Could not open that page with this secret. Check that the page is shared with the integration in ••• → Connections.';
+    }
+
+    await this.workspaceStore.setWorkspace(msg.from.id, { token, rootPageId, rootPageTitle });
+    return `Connected! Links you send are now saved under "${rootPageTitle}" in your Notion workspace.`;
+  }
+
+  /**
+   * Handle a `/disconnect` command by forgetting the user's Notion workspace
+   * Pages already saved stay in the workspace.
+   * @param {number} userId - Telegram ID of the user asking
+   * @returns {Promise<string>} The reply
+   */
+  async disconnectWorkspace(userId) {
+    if (!this.workspaceStore || !(await this.workspaceStore.deleteWorkspace(userId))) {
+      return 'No Notion workspace is connected.';
+    }
+    return 'Disconnected. Your Notion pages were kept; send /connect to connect a workspace again.';
+  }
+
+  /**
+   * Handle a `/join` command by admitting the user with an invite code
+   * @param {number} userId - Telegram ID of the user joining
+   * @param {string} code - The invite code
+   * @param {string|null} role - The user's current role
+   * @returns {Promise<string>} The reply
+   */
+  async joinWithInvite(userId, code, role) {
+    if (role) {
+      return 'You already have access. Send /help to see what I can do.';
+    }
+    if (!code) {
+      return 'Usage: /join <invite code>';
+    }
+    if (!(await this.accessControl.redeemInvite(code, userId))) {
+      return 'That invite code is invalid, already used or expired. Ask an admin for a new one.';
+    }
+    return `Welcome aboard!\n\n${HELP_TEXT}`;
+  }
+
+  /**
+   * Handle an `/invite` command by creating an invite code
+   * @param {number} userId - Telegram ID of the admin asking
+   * @param {string} args - `admin` to invite an admin, otherwise empty
+   * @returns {Promise<string>} The reply with the code
+   */
+  async createInvite(userId, args) {
+    const role = args.toLowerCase() === ROLES.ADMIN ? ROLES.ADMIN : ROLES.MEMBER;
+    const code = await this.accessControl.createInvite(userId, role);
+    return [
+      `Invite code for a new ${role}: ${code}`,
+      `Share it with them; they send /join <code>. It works once and expires in ${
+        ACCESS_CONFIG.INVITE_TTL_SECONDS / 86400
+      } days.`,
+    ].join('\n');
+  }
+
+  /**
+   * Build the reply to a `/users` command
+   * @returns {Promise<string>} The admins and members
+   */
+  async formatUsers() {
+    const users = await this.accessControl.listUsers();
+    if (!users.length) {
+      return 'No users yet. Create an invite code with /invite.';
+    }
+    return [
+      'Users:',
+      ...users.map(
+        ({ userId, role, configured }) =>
+          `${userId} - ${role}${configured ? ' (from configuration)' : ''}`,
+      ),
+    ].join('\n');
+  }
+
+  /**
+   * Handle a `/remove` command by revoking the access of a user admitted with an invite code
+   * @param {string} userId - Telegram ID of the user to remove
+   * @returns {Promise<string>} The reply
+   */
+  async removeUser(userId) {
+    if (!userId) {
+      return 'Usage: /remove <user id>';
+    }
+    if (this.accessControl.isConfigured(userId)) {
+      return `User ${userId} is allowed by the configuration; remove them from ADMIN_USER_IDS or ALLOWED_CHAT_IDS.`;
+    }
+    if (!(await this.accessControl.removeUser(userId))) {
+      return `No user found with ID ${userId}.`;
+    }
+    return `Removed user ${userId}.`;
+  }
+
+  /**
+   * Build the reply to a `/quota` command
+   * @param {number} userId - Telegram ID of the user asking
+   * @param {string} role - The user's role
+   * @returns {Promise<string>} The links the user saved today and their daily limit
+   */
+  async formatQuota(userId, role) {
+    if (!this.accessControl || role === ROLES.ADMIN) {
+      return 'You can save as many links as you like.';
+    }
+    const { used, limit } = await this.accessControl.getLinkQuota(userId);
+    return `You saved ${used} of ${limit} links today. The limit resets at midnight.`;
+  }
+
+  /**
+   * Handle a `/connect` command in a group by saving the group's links to the admin's workspace
+   * Secrets are never accepted in a group; the admin connects their own workspace in a private
+   * chat first, and the group gets a copy of it.
+   * @param {Object} msg - Telegram message with the command
+   * @param {string} args - Text after the command, expected to be empty
+   * @param {string} role - The sender's role
+   * @returns {Promise<string>} The reply
+   */
+  async connectGroup(msg, args, role) {
+    if (args) {
+      await this.telegram.deleteMessage(msg.chat.id, msg.message_id).catch((error) => {
+        this.logWarning('Could not delete /connect message', { error: error.message });
+      });
+      return 'Never send an integration secret in a group. Send /connect in a private chat with me, then /connect here without arguments.';
+    }
+    if (role !== ROLES.ADMIN) {
+      return 'Only admins can connect a group to Notion.';
+    }
+    if (!this.workspaceStore || !this.notionProcessor) {
+      return 'This bot saves to a shared Notion workspace; connecting your own is not enabled.';
+    }
+
+    const workspace = await this.workspaceStore.getWorkspace(msg.from.id);
+    if (!workspace) {
+      return 'Connect your own workspace first with /connect in a private chat with me, then send /connect here again.';
+    }
+
+    await this.workspaceStore.setWorkspace(msg.chat.id, workspace);
+    // A new database is created in the workspace for the next link
+    if (this.groupStore) {
+      await this.groupStore.setDatabaseId(msg.chat.id, '');
+    }
+    this.logInfo('Group connected', { chatId: msg.chat.id, userId: msg.from.id });
+    return `Connected! Links in this group are now saved to a database under "${workspace.rootPageTitle}" in your Notion workspace.`;
+  }
+
+  /**
+   * Handle a `/disconnect` command in a group by forgetting the group's workspace
+   * @param {number} chatId - Telegram chat ID of the group
+   * @param {string} role - The sender's role
+   * @returns {Promise<string>} The reply
+   */
+  async disconnectGroup(chatId, role) {
+    if (role !== ROLES.ADMIN) {
+      return 'Only admins can disconnect a group from Notion.';
+    }
+    if (!this.workspaceStore || !(await this.workspaceStore.deleteWorkspace(chatId))) {
+      return 'No Notion workspace is connected to this group.';
+    }
+    if (this.groupStore) {
+      await this.groupStore.setDatabaseId(chatId, '');
+    }
+    return 'Disconnected. The pages saved from this group were kept.';
+  }
+
+  /**
+   * Handle a `/groupmode` command by setting when the bot processes the links posted in a group
+   * @param {Object} msg - Telegram message with the command
+   * @param {string} mode - One of {@link GROUP_MODES}, or empty to show the current mode
+   * @returns {Promise<string>} The reply
+   */
+  async setGroupMode(msg, mode) {
+    if (!this.isGroupChat(msg) || !this.groupStore) {
+      return '/groupmode only works in group chats.';
+    }
+
+    const usage = `Usage: /groupmode ${Object.values(GROUP_MODES).join('|')}`;
+    if (!mode) {
+      const group = await this.groupStore.getGroup(msg.chat.id);
+      return `This group is in ${group.mode} mode.\n${usage}`;
+    }
+    if (!Object.values(GROUP_MODES).includes(mode.toLowerCase())) {
+      return usage;
+    }
+
+    await this.groupStore.setMode(msg.chat.id, mode.toLowerCase());
+    return mode.toLowerCase() === GROUP_MODES.AUTO
+      ? 'I now save every link posted in this group.'
+      : 'I now only save links in messages that mention me or reply to me.';
+  }
+
+  /**
+   * Build the reply to a `/status` command
+   * @param {string} [jobId] - The job ID given by the user
+   * @param {number} userId - Telegram ID of the user asking
+   * @returns {Promise<string>} The status reply
+   */
+  async formatJobStatus(jobId, userId) {
+    if (!jobId) {
+      return 'Usage: /status <job id>';
+    }
+
+    const job = this.jobTracker ? await this.jobTracker.getJob(jobId) : null;
+    // Only the user who submitted a link may see its job
+    if (!job || job.userId !== String(userId)) {
+      return `No job found with ID ${jobId}.`;
+    }
+
+    const lines = [
+      `Job ${job.id}: ${job.state}`,
+      job.url ? `URL: ${job.url}` : `File: ${job.fileName}`,
+    ];
+    for (const state of Object.values(JOB_STATES)) {
+      if (job[`${state}At`]) {
+        lines.push(`${state}: ${job[`${state}At`]}`);
+      }
+    }
+    if (job.notionPageId) {
+      lines.push(`Notion page: ${job.notionPageId}`);
+    }
+    if (job.error) {
+      lines.push(`Error: ${job.error}`);
+    }
+    return lines.join('\n');
+  }
+
   /**
    * Process a message and publish it to the message bus
    * @param {Object} message - The message to process
-   * @returns {Promise<Object>} The processed message
+   * @returns {Promise<Object>} The processed message, with its job ID if jobs are tracked and its
+   *   status message ID if progress is reported
    * @throws {Error} If the message bus is not initialized
    */
   async processMessage(message) {
-    this.logInfo('Processing new URL', { url: message.url });
+    this.logInfo('Processing new submission', {
+      url: message.url,
+      fileName: message.file && message.file.fileName,
+    });
 
     if (!this.messageBus) {
       const error = new Error('MessageBus not initialized');
@@ -81,8 +1251,18 @@ class IngestionProcessor extends BaseProcessor {
       throw error;
     }
 
+    // Assign a job ID so the link can be followed through the pipeline
+    if (this.jobTracker) {
+      message.jobId = await this.jobTracker.createJob(message);
+    }
+
+    // Send the status message the pipeline keeps up to date
+    if (this.progressReporter) {
+      message = await this.progressReporter.start(message);
+    }
+
     // Publish to ingestion stream
-    await this.messageBus.publish('stream:ingestion', message);
+    await this.messageBus.publish(STREAMS.INGESTION, message);
     return message;
   }
 }
@@ -0,0 +1,414 @@
+const IngestionProcessor = require('./ingestion-processor');
+const { ROLES, STREAMS } = require('../config/constants');
+
+/**
+ * Create an IngestionProcessor with a fake Telegram gateway and message bus
+ * @returns {IngestionProcessor} The processor
+ */
+function createProcessor() {
+  const telegram = {
+    on: jest.fn(),
+    onText: jest.fn(),
+    setMyCommands: jest.fn().mockResolvedValue(true),
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+    getMe: jest.fn().mockResolvedValue({ id: 100, username: 'omnibot' }),
+  };
+  const processor = new IngestionProcessor(telegram);
+  processor.setMessageBus({ publish: jest.fn().mockResolvedValue('1-0') });
+  return processor;
+}
+
+/**
+ * Send a command to the handler the processor registered for it
+ * @param {IngestionProcessor} processor - The processor
+ * @param {Object} message - Telegram message carrying the command in `text`
+ * @returns {Promise<void>}
+ */
+async function sendCommand(processor, message) {
+  const [pattern, handler] = processor.telegram.onText.mock.calls.find(([regexp]) =>
+    regexp.test(message.text),
+  );
+  await handler(message, message.text.match(pattern));
+}
+
+const msg = { message_id: 5, from: { id: 7, first_name: 'Sam' }, chat: { id: 7, type: 'private' } };
+
+describe('IngestionProcessor', () => {
+  describe('publishWithinQuota', () => {
+    it('publishes the job once a link is reserved in the quota', async () => {
+      const processor = createProcessor();
+      processor.setAccessControl({
+        reserveLinkQuota: jest.fn().mockResolvedValue(true),
+        releaseLinkQuota: jest.fn(),
+      });
+
+      await expect(
+        processor.publishWithinQuota(msg, ROLES.MEMBER, { url: 'https://example.com' }),
+      ).resolves.toBe(true);
+
+      expect(processor.accessControl.reserveLinkQuota).toHaveBeenCalledWith(7, ROLES.MEMBER);
+      expect(processor.messageBus.publish).toHaveBeenCalledWith(
+        STREAMS.INGESTION,
+        expect.objectContaining({ url: 'https://example.com' }),
+      );
+      expect(processor.accessControl.releaseLinkQuota).not.toHaveBeenCalled();
+    });
+
+    it('tells the user and publishes nothing when the quota is used up', async () => {
+      const processor = createProcessor();
+      processor.setAccessControl({
+        reserveLinkQuota: jest.fn().mockResolvedValue(false),
+        getLinkQuota: jest.fn().mockResolvedValue({ used: 50, limit: 50 }),
+      });
+
+      await expect(
+        processor.publishWithinQuota(msg, ROLES.MEMBER, { url: 'https://example.com' }),
+      ).resolves.toBe(false);
+
+      expect(processor.messageBus.publish).not.toHaveBeenCalled();
+      expect(processor.telegram.sendMessage).toHaveBeenCalledWith(
+        7,
+        'You have saved your 50 links for today. The limit resets at midnight.',
+      );
+    });
+
+    it('gives the link back when publishing fails', async () => {
+      const processor = createProcessor();
+      processor.messageBus.publish.mockRejectedValue(new Error('Connection is closed'));
+      processor.setAccessControl({
+        reserveLinkQuota: jest.fn().mockResolvedValue(true),
+        releaseLinkQuota: jest.fn().mockResolvedValue(),
+      });
+
+      await expect(
+        processor.publishWithinQuota(msg, ROLES.MEMBER, { url: 'https://example.com' }),
+      ).rejects.toThrow('Connection is closed');
+
+      expect(processor.accessControl.releaseLinkQuota).toHaveBeenCalledWith(7, ROLES.MEMBER);
+    });
+  });
+
+  describe('getFileInfo', () => {
+    const processor = createProcessor();
+
+    it('picks the largest size of a photo', () => {
+      const photo = [
+        { file_id: 'small', file_unique_id: 's', file_size: 100 },
+        { file_id: 'large', file_unique_id: 'l', file_size: 900 },
+      ];
+
+      expect(processor.getFileInfo({ photo })).toEqual({
+        fileId: 'large',
+        fileName: 'photo-l.jpg',
+        mimeType: 'image/jpeg',
+        fileSize: 900,
+        kind: 'image',
+      });
+    });
+
+    it('accepts supported documents', () => {
+      const document = {
+        file_id: 'doc',
+        file_name: 'paper.pdf',
+        mime_type: 'application/pdf',
+        file_size: 2048,
+      };
+
+      expect(processor.getFileInfo({ document })).toEqual(
+        expect.objectContaining({ fileId: 'doc', fileName: 'paper.pdf', kind: 'document' }),
+      );
+    });
+
+    it('rejects other files', () => {
+      const document = { file_id: 'zip', file_name: 'a.zip', mime_type: 'application/zip' };
+
+      expect(processor.getFileInfo({ document })).toBeNull();
+    });
+  });
+
+  describe('handleFile', () => {
+    it('publishes the file with its caption', async () => {
+      const processor = createProcessor();
+      const document = { file_id: 'doc', file_name: 'notes.txt', mime_type: 'text/plain' };
+
+      await processor.handleFile({ ...msg, document, caption: 'For later' }, ROLES.MEMBER);
+
+      expect(processor.messageBus.publish).toHaveBeenCalledWith(
+        STREAMS.INGESTION,
+        expect.objectContaining({
+          file: expect.objectContaining({ fileId: 'doc', kind: 'document' }),
+          caption: 'For later',
+        }),
+      );
+    });
+
+    it('refuses files Telegram does not let bots download', async () => {
+      const processor = createProcessor();
+      const document = {
+        file_id: 'doc',
+        file_name: 'book.pdf',
+        mime_type: 'application/pdf',
+        file_size: 50 * 1024 * 1024,
+      };
+
+      await processor.handleFile({ ...msg, document }, ROLES.MEMBER);
+
+      expect(processor.messageBus.publish).not.toHaveBeenCalled();
+      expect(processor.telegram.sendMessage).toHaveBeenCalledWith(
+        7,
+        'Sorry, that file is too large. Telegram only lets bots download files up to 20 MB.',
+      );
+    });
+  });
+
+  describe('parseLinks', () => {
+    const processor = createProcessor();
+
+    it('reads links from entities and removes bare URLs from the note', () => {
+      const text = 'Read example.com/a and this, later';
+      const entities = [
+        { type: 'url', offset: 5, length: 13 },
+        { type: 'text_link', offset: 23, length: 4, url: 'https://b.test/post' },
+      ];
+
+      expect(processor.parseLinks({ text, entities })).toEqual({
+        urls: ['https://example.com/a', 'https://b.test/post'],
+        note: 'Read and this, later',
+      });
+    });
+
+    it('matches URLs in the text when there are no entities', () => {
+      const caption = 'See https://a.test/x, https://a.test/x and (https://b.test/y).';
+
+      expect(processor.parseLinks({ caption })).toEqual({
+        urls: ['https://a.test/x', 'https://b.test/y'],
+        note: 'See, and ().',
+      });
+    });
+
+    it('ignores links that are not http(s)', () => {
+      const text = 'ftp://a.test/file';
+      const entities = [{ type: 'url', offset: 0, length: 17 }];
+
+      expect(processor.parseLinks({ text, entities }).urls).toEqual([]);
+    });
+  });
+
+  describe('handleLinks', () => {
+    it('publishes each link as its own job, up to the limit per message', async () => {
+      const processor = createProcessor();
+      const urls = Array.from({ length: 12 }, (_, index) => `https://a.test/${index}`);
+
+      await processor.handleLinks(msg, urls, 'note', ROLES.MEMBER);
+
+      expect(processor.messageBus.publish).toHaveBeenCalledTimes(10);
+      expect(processor.messageBus.publish).toHaveBeenCalledWith(
+        STREAMS.INGESTION,
+        expect.objectContaining({ url: 'https://a.test/0', note: 'note', userId: 7 }),
+      );
+      expect(processor.telegram.sendMessage).toHaveBeenCalledWith(
+        7,
+        'Only the first 10 links of a message are processed.',
+      );
+    });
+  });
+
+  describe('commands', () => {
+    it('answers /help', async () => {
+      const processor = createProcessor();
+
+      await sendCommand(processor, { ...msg, text: '/help' });
+
+      expect(processor.telegram.sendMessage).toHaveBeenCalledWith(
+        7,
+        expect.stringContaining('/recent - List recently saved links'),
+      );
+    });
+
+    it('ignores commands addressed to another bot', async () => {
+      const processor = createProcessor();
+
+      await sendCommand(processor, { ...msg, text: '/help@otherbot' });
+
+      expect(processor.telegram.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('keeps admin commands from members', async () => {
+      const processor = createProcessor();
+
+      await sendCommand(processor, { ...msg, text: '/users' });
+
+      expect(processor.telegram.sendMessage).toHaveBeenCalledWith(7, 'Only admins can use /users.');
+    });
+
+    it('lists tags, most used first', async () => {
+      const processor = createProcessor();
+      processor.setJobTracker({
+        getHistory: jest.fn().mockResolvedValue([
+          { jobId: 'a', tags: ['news', 'ai'] },
+          { jobId: 'b', tags: ['ai'] },
+        ]),
+      });
+
+      await sendCommand(processor, { ...msg, text: '/tags' });
+
+      expect(processor.telegram.sendMessage).toHaveBeenCalledWith(
+        7,
+        'Your tags:\nai (2)\nnews (1)',
+      );
+    });
+
+    it('retries only failed jobs of the user', async () => {
+      const processor = createProcessor();
+      const jobs = {
+        failed: { id: 'failed', userId: '7', state: 'failed', message: '{"url":"https://a.test"}' },
+        done: { id: 'done', userId: '7', state: 'done', message: '{}' },
+        other: { id: 'other', userId: '8', state: 'failed', message: '{}' },
+      };
+      processor.setJobTracker({
+        getJob: jest.fn(async (jobId) => jobs[jobId] || null),
+        updateState: jest.fn().mockResolvedValue(),
+      });
+
+      await expect(processor.retryJob('done', 7)).resolves.toBe(
+        'Job done is done; only failed jobs can be retried.',
+      );
+      await expect(processor.retryJob('other', 7)).resolves.toBe('No job found with ID other.');
+      await expect(processor.retryJob('failed', 7)).resolves.toBe(
+        'Retrying job failed... (check it with /status failed)',
+      );
+      expect(processor.messageBus.publish).toHaveBeenCalledWith(STREAMS.INGESTION, {
+        url: 'https://a.test',
+        jobId: 'failed',
+      });
+    });
+  });
+
+  describe('handleCallbackQuery', () => {
+    it('re-summarizes a saved link into its result message', async () => {
+      const processor = createProcessor();
+      processor.telegram.answerCallbackQuery = jest.fn().mockResolvedValue(true);
+      processor.setJobTracker({
+        getJob: jest.fn().mockResolvedValue({
+          id: 'abc',
+          userId: '7',
+          state: 'done',
+          message: '{"url":"https://a.test"}',
+          notionPageId: 'page-1',
+        }),
+        updateState: jest.fn().mockResolvedValue(),
+      });
+
+      await processor.handleCallbackQuery({
+        id: 'q1',
+        data: 'longer:abc',
+        from: msg.from,
+        message: { message_id: 9, chat: msg.chat },
+      });
+
+      expect(processor.messageBus.publish).toHaveBeenCalledWith(STREAMS.INGESTION, {
+        url: 'https://a.test',
+        progressMessageId: 9,
+        summaryLength: 'long',
+        replacesPageId: 'page-1',
+        jobId: 'abc',
+      });
+      expect(processor.telegram.answerCallbackQuery).toHaveBeenCalledWith('q1', {
+        text: 'Writing a longer summary...',
+      });
+    });
+
+    it('answers presses on unknown buttons', async () => {
+      const processor = createProcessor();
+      processor.telegram.answerCallbackQuery = jest.fn().mockResolvedValue(true);
+
+      await processor.handleCallbackQuery({
+        id: 'q1',
+        data: 'nope:abc',
+        from: msg.from,
+        message: { message_id: 9, chat: msg.chat },
+      });
+
+      expect(processor.telegram.answerCallbackQuery).toHaveBeenCalledWith('q1', {
+        text: 'Unknown action.',
+      });
+    });
+  });
+
+  describe('group chats', () => {
+    const group = { id: -100, type: 'supergroup', title: 'Team' };
+
+    /**
+     * Deliver a message to the processor's message handler
+     * @param {IngestionProcessor} processor - The processor
+     * @param {Object} message - Telegram message
+     * @returns {Promise<void>}
+     */
+    async function receive(processor, message) {
+      const [, handler] = processor.telegram.on.mock.calls.find(([event]) => event === 'message');
+      await handler(message);
+    }
+
+    it('ignores links that do not mention the bot', async () => {
+      const processor = createProcessor();
+
+      await receive(processor, { ...msg, chat: group, text: 'https://a.test' });
+
+      expect(processor.messageBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('saves links that mention the bot, attributed to the sender', async () => {
+      const processor = createProcessor();
+      const text = '@OmniBot save https://a.test';
+
+      await receive(processor, {
+        ...msg,
+        chat: group,
+        text,
+        entities: [
+          { type: 'mention', offset: 0, length: 8 },
+          { type: 'url', offset: 14, length: 14 },
+        ],
+      });
+
+      expect(processor.messageBus.publish).toHaveBeenCalledWith(
+        STREAMS.INGESTION,
+        expect.objectContaining({
+          url: 'https://a.test',
+          note: 'save',
+          userId: 7,
+          groupId: -100,
+          groupTitle: 'Team',
+          senderName: 'Sam',
+        }),
+      );
+    });
+
+    it('treats replies to the bot as addressed to it', async () => {
+      const processor = createProcessor();
+
+      await expect(
+        processor.isAddressedToBot({ ...msg, reply_to_message: { from: { id: 100 } } }),
+      ).resolves.toBe(true);
+      await expect(
+        processor.isAddressedToBot({
+          ...msg,
+          text: '@otherbot hi',
+          entities: [{ type: 'mention', offset: 0, length: 9 }],
+        }),
+      ).resolves.toBe(false);
+    });
+
+    it('finds the job a reply to the tags prompt is for', async () => {
+      const processor = createProcessor();
+      const prompt = { from: { id: 100 }, text: 'Send the new tags for job 0a1b2c, separated' };
+
+      await expect(
+        processor.getTagsPromptJobId({ ...msg, reply_to_message: prompt }),
+      ).resolves.toBe('0a1b2c');
+      await expect(
+        processor.getTagsPromptJobId({ ...msg, reply_to_message: { ...prompt, from: { id: 1 } } }),
+      ).resolves.toBeNull();
+    });
+  });
+});
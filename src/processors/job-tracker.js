@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const BaseProcessor = require('./base-processor');
+const { JOB_STATES, JOB_CONFIG } = require('../config/constants');
+
+/**
+ * Tracks where each submitted link is in the pipeline
+ * Every job is a Redis hash holding its current state, a timestamp per state reached and the
+ * resulting Notion page ID. Completed jobs are also added to the user's history, a Redis list that
+ * outlives the job records.
+ */
+class JobTracker extends BaseProcessor {
+  /**
+   * Create a new JobTracker
+   * @param {string} [redisUrl=process.env.REDIS_URL] - Redis connection URL
+   * @param {number} [ttl=JOB_CONFIG.TTL_SECONDS] - Time-to-live of job records in seconds
+   */
+  constructor(redisUrl = process.env.REDIS_URL, ttl = JOB_CONFIG.TTL_SECONDS) {
+    super();
+    this.redis = new Redis(redisUrl);
+    this.ttl = ttl;
+    this.logInfo('Job tracker initialized');
+  }
+
+  /**
+   * Generate a prefixed job key
+   * @private
+   * @param {string} jobId - Job ID
+   * @returns {string} Prefixed key
+   */
+  _key(jobId) {
+    return `${JOB_CONFIG.KEY_PREFIX}${jobId}`;
+  }
+
+  /**
+   * Create a job record for a newly ingested message
+   * @param {Object} message - The ingested message
+   * @param {string} message.url - The submitted URL
+   * @param {number} [message.userId] - Telegram user ID
+   * @param {number} [message.chatId] - Telegram chat ID
+   * @param {number} [message.groupId] - Chat ID of the group the link was sent in
+   * @param {string} [message.senderName] - Name of the group member who sent the link
+   * @returns {Promise<string>} The new job ID
+   */
+  async createJob(message) {
+    // Short enough for users to type in `/status <job>`
+    const jobId = crypto.randomBytes(6).toString('hex');
+    const now = new Date().toISOString();
+
+    await this.redis
+      .multi()
+      .hset(this._key(jobId), {
+        id: jobId,
+        state: JOB_STATES.QUEUED,
+        url: message.url || '',
+        fileName: message.file ? message.file.fileName : '',
+        // Kept so a failed job can be retried
+        message: JSON.stringify(message),
+        userId: message.userId || '',
+        chatId: message.chatId || '',
+        groupId: message.groupId || '',
+        senderName: message.senderName || '',
+        createdAt: now,
+        updatedAt: now,
+        [`${JOB_STATES.QUEUED}At`]: now,
+      })
+      .expire(this._key(jobId), this.ttl)
+      .exec();
+
+    this.logInfo('Job created', {
+      jobId,
+      url: message.url,
+      fileName: message.file && message.file.fileName,
+    });
+    return jobId;
+  }
+
+  /**
+   * Move a job to a new state
+   * Reaching `done` adds the job to its user's history.
+   * @param {string} jobId - Job ID
+   * @param {string} state - One of JOB_STATES
+   * @param {Object} [fields={}] - Extra fields to record, e.g. notionPageId or error; arrays and
+   *   objects are stored as JSON
+   * @returns {Promise<void>}
+   * @throws {Error} If the state is unknown
+   */
+  async updateState(jobId, state, fields = {}) {
+    if (!Object.values(JOB_STATES).includes(state)) {
+      throw new Error(`Unknown job state: ${state}`);
+    }
+
+    const encodedFields = Object.fromEntries(
+      Object.entries(fields).map(([name, value]) => [
+        name,
+        typeof value === 'object' ? JSON.stringify(value) : value,
+      ]),
+    );
+
+    const now = new Date().toISOString();
+    await this.redis
+      .multi()
+      .hset(this._key(jobId), {
+        ...encodedFields,
+        state,
+        updatedAt: now,
+        [`${state}At`]: now,
+      })
+      .expire(this._key(jobId), this.ttl)
+      .exec();
+
+    this.logInfo('Job state updated', { jobId, state });
+
+    if (state === JOB_STATES.DONE) {
+      await this._addToHistory(jobId);
+    }
+  }
+
+  /**
+   * Replace the tags of a saved link in its job record and its user's history
+   * @param {string} jobId - Job ID
+   * @param {string[]} tags - The new tags
+   * @returns {Promise<void>}
+   */
+  async updateTags(jobId, tags) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      return;
+    }
+
+    await this.redis.hset(this._key(jobId), { tags: JSON.stringify(tags) });
+
+    if (job.userId) {
+      // Rewrite the entry in place so the link keeps its position in the history
+      const key = this._historyKey(job.userId);
+      const entries = await this.redis.lrange(key, 0, -1);
+      const index = entries.findIndex((entry) => JSON.parse(entry).jobId === jobId);
+      if (index !== -1) {
+        await this.redis.lset(key, index, JSON.stringify({ ...JSON.parse(entries[index]), tags }));
+      }
+    }
+
+    this.logInfo('Job tags updated', { jobId, tags });
+  }
+
+  /**
+   * Get a job record
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} The job record or null if not found
+   */
+  async getJob(jobId) {
+    const job = await this.redis.hgetall(this._key(jobId));
+    return job && job.id ? job : null;
+  }
+
+  /**
+   * Delete a job record
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async deleteJob(jobId) {
+    await this.redis.del(this._key(jobId));
+    this.logInfo('Job deleted', { jobId });
+  }
+
+  /**
+   * Get a user's saved links, most recent first
+   * @param {number|string} userId - Telegram user ID
+   * @param {number} [limit=JOB_CONFIG.HISTORY_LIMIT] - Maximum entries to return
+   * @returns {Promise<Object[]>} History entries with the job ID, URL or file name, title, tags,
+   *   Notion page ID and URL, the group it was sent in if any, and when the link was saved
+   */
+  async getHistory(userId, limit = JOB_CONFIG.HISTORY_LIMIT) {
+    const entries = await this.redis.lrange(this._historyKey(userId), 0, limit - 1);
+    return entries.map((entry) => JSON.parse(entry));
+  }
+
+  /**
+   * Remove a job from its user's history
+   * @param {number|string} userId - Telegram user ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} True if the job was in the history
+   */
+  async removeFromHistory(userId, jobId) {
+    const key = this._historyKey(userId);
+    const entries = await this.redis.lrange(key, 0, -1);
+    const matching = entries.filter((entry) => JSON.parse(entry).jobId === jobId);
+    for (const entry of matching) {
+      await this.redis.lrem(key, 0, entry);
+    }
+    return matching.length > 0;
+  }
+
+  /**
+   * Generate the history key of a user
+   * @private
+   * @param {number|string} userId - Telegram user ID
+   * @returns {string} Prefixed key
+   */
+  _historyKey(userId) {
+    return `${JOB_CONFIG.HISTORY_PREFIX}${userId}`;
+  }
+
+  /**
+   * Add a completed job to the front of its user's history
+   * @private
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async _addToHistory(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job || !job.userId) {
+      return;
+    }
+
+    // A redelivered message must not add the job twice
+    await this.removeFromHistory(job.userId, jobId);
+
+    const entry = {
+      jobId,
+      url: job.url,
+      fileName: job.fileName,
+      title: job.title || '',
+      tags: job.tags ? JSON.parse(job.tags) : [],
+      notionPageId: job.notionPageId || '',
+      notionPageUrl: job.notionPageUrl || '',
+      // Pages of links sent in a group are in the group's workspace
+      groupId: job.groupId || '',
+      savedAt: job.doneAt,
+    };
+    const key = this._historyKey(job.userId);
+    await this.redis
+      .multi()
+      .lpush(key, JSON.stringify(entry))
+      .ltrim(key, 0, JOB_CONFIG.HISTORY_LIMIT - 1)
+      .exec();
+  }
+}
+
+module.exports = JobTracker;
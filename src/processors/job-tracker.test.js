@@ -0,0 +1,115 @@
+jest.mock('ioredis');
+
+const JobTracker = require('./job-tracker');
+const { JOB_STATES } = require('../config/constants');
+
+/**
+ * Create an in-memory stand-in for the Redis hash and list commands the tracker uses
+ * @returns {Object} The fake client, with its hashes in `hashes` and lists in `lists`
+ */
+function createRedis() {
+  const redis = {
+    hashes: new Map(),
+    lists: new Map(),
+    hgetall: jest.fn(async (key) => ({ ...redis.hashes.get(key) })),
+    lrange: jest.fn(async (key, start, stop) => {
+      const list = redis.lists.get(key) || [];
+      return list.slice(start, stop === -1 ? undefined : stop + 1);
+    }),
+    lrem: jest.fn(async (key, count, value) => {
+      redis.lists.set(
+        key,
+        (redis.lists.get(key) || []).filter((entry) => entry !== value),
+      );
+    }),
+    multi: jest.fn(() => {
+      const commands = [];
+      const transaction = {
+        hset: (key, fields) => {
+          commands.push(() => redis.hashes.set(key, { ...redis.hashes.get(key), ...fields }));
+          return transaction;
+        },
+        expire: () => transaction,
+        lpush: (key, value) => {
+          commands.push(() => redis.lists.set(key, [value, ...(redis.lists.get(key) || [])]));
+          return transaction;
+        },
+        ltrim: () => transaction,
+        exec: async () => commands.map((command) => [null, command()]),
+      };
+      return transaction;
+    }),
+  };
+  return redis;
+}
+
+describe('JobTracker', () => {
+  /**
+   * Create a tracker backed by the in-memory Redis
+   * @returns {JobTracker} The tracker
+   */
+  function createTracker() {
+    const tracker = new JobTracker();
+    tracker.redis = createRedis();
+    return tracker;
+  }
+
+  it('creates a queued job record', async () => {
+    const tracker = createTracker();
+
+    const jobId = await tracker.createJob({ url: 'https://a.test', userId: 1, chatId: 1 });
+
+    expect(jobId).toMatch(/^[0-9a-f]{12}$/);
+    expect(await tracker.getJob(jobId)).toEqual(
+      expect.objectContaining({
+        id: jobId,
+        state: JOB_STATES.QUEUED,
+        url: 'https://a.test',
+        userId: 1,
+        queuedAt: expect.any(String),
+      }),
+    );
+  });
+
+  it('records each state with its timestamp and extra fields', async () => {
+    const tracker = createTracker();
+    const jobId = await tracker.createJob({ url: 'https://a.test' });
+
+    await tracker.updateState(jobId, JOB_STATES.SUMMARIZING, { tags: ['a', 'b'] });
+
+    const job = await tracker.getJob(jobId);
+    expect(job.state).toBe(JOB_STATES.SUMMARIZING);
+    expect(job.summarizingAt).toEqual(expect.any(String));
+    expect(job.tags).toBe('["a","b"]');
+  });
+
+  it('rejects unknown states', async () => {
+    const tracker = createTracker();
+
+    await expect(tracker.updateState('abc', 'lost')).rejects.toThrow('Unknown job state: lost');
+  });
+
+  it('adds a finished job to its user history once, even when redelivered', async () => {
+    const tracker = createTracker();
+    const jobId = await tracker.createJob({ url: 'https://a.test', userId: 1 });
+
+    await tracker.updateState(jobId, JOB_STATES.DONE, { title: 'A title', notionPageId: 'p1' });
+    await tracker.updateState(jobId, JOB_STATES.DONE, { title: 'A title', notionPageId: 'p1' });
+
+    expect(await tracker.getHistory(1)).toEqual([
+      expect.objectContaining({
+        jobId,
+        url: 'https://a.test',
+        title: 'A title',
+        notionPageId: 'p1',
+        savedAt: expect.any(String),
+      }),
+    ]);
+  });
+
+  it('returns null for an unknown job', async () => {
+    const tracker = createTracker();
+
+    await expect(tracker.getJob('missing')).resolves.toBeNull();
+  });
+});
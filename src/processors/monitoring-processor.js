@@ -1,7 +1,11 @@
 const BaseProcessor = require('./base-processor');
+const AppError = require('../utils/errors/AppError');
 
 /**
  * Handles API quota and rate limiting for external services
+ * The quota of {@link MonitoringProcessor#checkQuota} is counted in the memory of the process. With
+ * a Redis client, {@link MonitoringProcessor#reserveQuota} also counts daily quotas under keys in
+ * Redis, e.g. one per user, which survive restarts and are shared by every process.
  */
 class MonitoringProcessor extends BaseProcessor {
   /**
@@ -10,9 +14,12 @@ class MonitoringProcessor extends BaseProcessor {
    * @param {number} [options.quotaLimit=10000] - Daily quota limit
    * @param {number} [options.rateLimit=100] - Maximum requests per rate window
    * @param {number} [options.rateWindowMs=60000] - Rate limit window in milliseconds
+   * @param {Redis} [options.redis] - Redis client the quotas of {@link MonitoringProcessor#reserveQuota}
+   *   are counted in
    */
-  constructor({ quotaLimit = 10000, rateLimit = 100, rateWindowMs = 60000 } = {}) {
+  constructor({ quotaLimit = 10000, rateLimit = 100, rateWindowMs = 60000, redis } = {}) {
     super();
+    this.redis = redis;
     this.quotaLimit = quotaLimit;
     this.quotaUsed = 0;
     this.quotaResetTime = this._nextMidnight();
@@ -75,6 +82,60 @@ class MonitoringProcessor extends BaseProcessor {
     });
   }
 
+  /**
+   * Count a request against a daily quota kept in Redis
+   * The cost is added first and taken back if it goes over the limit, so concurrent requests from
+   * any process can never exceed the quota together. The key expires at midnight.
+   * @param {string} key - Redis key of the quota, e.g. one per user
+   * @param {number} [cost=1] - Cost of the request in quota units
+   * @param {number} [limit=this.quotaLimit] - Daily quota limit
+   * @returns {Promise<void>}
+   * @throws {AppError} With code `QUOTA_EXCEEDED` if quota would be exceeded
+   */
+  async reserveQuota(key, cost = 1, limit = this.quotaLimit) {
+    const [[incrError, quotaUsed]] = await this.redis
+      .multi()
+      .incrby(key, cost)
+      .expireat(key, Math.floor(this._nextMidnight().getTime() / 1000))
+      .exec();
+    if (incrError) {
+      throw incrError;
+    }
+
+    if (quotaUsed > limit) {
+      await this.redis.decrby(key, cost);
+      this.logWarning('Quota limit exceeded', { key, quotaUsed: quotaUsed - cost, limit, cost });
+      throw new AppError(
+        `Daily quota limit exceeded. Used: ${quotaUsed - cost}/${limit}`,
+        'QUOTA_EXCEEDED',
+        { key, limit },
+      );
+    }
+    this.logDebug('Updated quota usage', { key, quotaUsed, limit, cost });
+  }
+
+  /**
+   * Give back quota reserved with {@link MonitoringProcessor#reserveQuota} for a request that was
+   * never made
+   * @param {string} key - Redis key of the quota
+   * @param {number} [cost=1] - Cost of the request in quota units
+   * @returns {Promise<void>}
+   */
+  async releaseQuota(key, cost = 1) {
+    await this.redis.decrby(key, cost);
+  }
+
+  /**
+   * Get the usage of a daily quota kept in Redis
+   * @param {string} key - Redis key of the quota
+   * @returns {Promise<{used: number, resetTime: Date}>} Quota units used today and when the quota
+   *   resets
+   */
+  async getQuotaUsage(key) {
+    const used = Math.max(Number(await this.redis.get(key)) || 0, 0);
+    return { used, resetTime: this._nextMidnight() };
+  }
+
   /**
    * Check if the request would exceed the rate limit
    * @throws {Error} If rate limit would be exceeded
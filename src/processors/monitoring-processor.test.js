@@ -0,0 +1,102 @@
+const MonitoringProcessor = require('./monitoring-processor');
+
+/**
+ * Create an in-memory stand-in for the Redis commands the quotas use
+ * @returns {Object} The fake client, with its keys in `values` and expiry times in `expiries`
+ */
+function createRedis() {
+  const redis = {
+    values: new Map(),
+    expiries: new Map(),
+    get: jest.fn(async (key) => (redis.values.has(key) ? String(redis.values.get(key)) : null)),
+    decrby: jest.fn(async (key, amount) => {
+      redis.values.set(key, (redis.values.get(key) || 0) - amount);
+      return redis.values.get(key);
+    }),
+    multi: jest.fn(() => {
+      const commands = [];
+      const transaction = {
+        incrby: (key, amount) => {
+          commands.push(() => {
+            redis.values.set(key, (redis.values.get(key) || 0) + amount);
+            return redis.values.get(key);
+          });
+          return transaction;
+        },
+        expireat: (key, timestamp) => {
+          commands.push(() => redis.expiries.set(key, timestamp) && 1);
+          return transaction;
+        },
+        exec: async () => commands.map((command) => [null, command()]),
+      };
+      return transaction;
+    }),
+  };
+  return redis;
+}
+
+describe('MonitoringProcessor', () => {
+  describe('checkQuota', () => {
+    it('throws once the daily quota is used up', () => {
+      const monitor = new MonitoringProcessor({ quotaLimit: 2 });
+
+      monitor.checkQuota();
+      monitor.checkQuota();
+
+      expect(() => monitor.checkQuota()).toThrow('Daily quota limit exceeded. Used: 2/2');
+    });
+  });
+
+  describe('reserveQuota', () => {
+    it('counts requests under a key that expires at midnight', async () => {
+      const redis = createRedis();
+      const monitor = new MonitoringProcessor({ quotaLimit: 5, redis });
+
+      await monitor.reserveQuota('quota:links:1', 2);
+
+      const midnight = new Date();
+      midnight.setHours(24, 0, 0, 0);
+      expect(redis.values.get('quota:links:1')).toBe(2);
+      expect(redis.expiries.get('quota:links:1')).toBe(midnight.getTime() / 1000);
+      await expect(monitor.getQuotaUsage('quota:links:1')).resolves.toEqual({
+        used: 2,
+        resetTime: midnight,
+      });
+    });
+
+    it('takes the cost back and throws QUOTA_EXCEEDED past the limit', async () => {
+      const redis = createRedis();
+      const monitor = new MonitoringProcessor({ redis });
+
+      await monitor.reserveQuota('quota:links:1', 1, 1);
+      const error = await monitor.reserveQuota('quota:links:1', 1, 1).catch((e) => e);
+
+      expect(error.code).toBe('QUOTA_EXCEEDED');
+      expect(redis.values.get('quota:links:1')).toBe(1);
+    });
+
+    it('lets only as many concurrent requests through as the quota allows', async () => {
+      const redis = createRedis();
+      const monitor = new MonitoringProcessor({ redis });
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 5 }, () => monitor.reserveQuota('quota:links:1', 1, 3)),
+      );
+
+      expect(results.filter(({ status }) => status === 'fulfilled')).toHaveLength(3);
+      expect(redis.values.get('quota:links:1')).toBe(3);
+    });
+  });
+
+  describe('releaseQuota', () => {
+    it('gives back reserved units', async () => {
+      const redis = createRedis();
+      const monitor = new MonitoringProcessor({ redis });
+
+      await monitor.reserveQuota('quota:links:1', 2, 5);
+      await monitor.releaseQuota('quota:links:1');
+
+      await expect(monitor.getQuotaUsage('quota:links:1')).resolves.toMatchObject({ used: 1 });
+    });
+  });
+});
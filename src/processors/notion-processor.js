@@ -1,27 +1,110 @@
 const BaseProcessor = require('./base-processor');
 const { Client } = require('@notionhq/client');
-const { sendTelegramMessage } = require('../utils/telegram');
-const { AppError } = require('../utils/errors/AppError');
+const AppError = require('../utils/errors/AppError');
+const { GROUP_CONFIG } = require('../config/constants');
 
 /**
  * Processes content and creates pages in Notion
- * Handles database creation and page formatting
+ * Handles database creation and page formatting. Each user's pages go to the workspace they
+ * connected with `/connect`, or else to the shared workspace of `NOTION_API_KEY`. Links sent in a
+ * group chat go to one database of the group, in the workspace connected to the group.
  */
 class NotionProcessor extends BaseProcessor {
   /**
    * Create a new NotionProcessor
-   * @param {string} apiKey - The Notion API key
-   * @throws {AppError} If API key is not provided
+   * @param {string} [apiKey] - API key of the shared Notion workspace
+   * @param {WorkspaceStore} [workspaceStore] - Per-user and per-group workspaces
+   * @param {GroupStore} [groupStore] - Keeps the database of each group chat
+   * @throws {AppError} If neither a shared workspace nor per-user workspaces are configured
    */
-  constructor(apiKey) {
+  constructor(apiKey, workspaceStore, groupStore) {
     super();
-    if (!apiKey) {
+    if (!apiKey && !workspaceStore) {
       throw new AppError('Notion API key is required', 'NOTION_API_KEY_MISSING');
     }
-    this.notion = new Client({ auth: apiKey });
+    this.notion = apiKey ? new Client({ auth: apiKey }) : null;
+    this.workspaceStore = workspaceStore;
+    this.groupStore = groupStore;
+    // Clients of per-user and per-group workspaces, by user or chat ID
+    this.clients = new Map();
     this.logInfo('Notion processor initialized');
   }
 
+  /**
+   * Get the Notion workspace a user's or group's pages are saved to
+   * @param {number|string} workspaceId - Telegram user ID, or the chat ID of a group
+   * @returns {Promise<Object>} `{ notion, rootPageId }`, the Notion client and the page databases
+   *   are created under
+   * @throws {AppError} If the user or group has no workspace and there is no shared one
+   */
+  async getWorkspace(workspaceId) {
+    const workspace =
+      this.workspaceStore && workspaceId
+        ? await this.workspaceStore.getWorkspace(workspaceId)
+        : null;
+
+    if (workspace) {
+      let cached = this.clients.get(String(workspaceId));
+      if (!cached || cached.token !== workspace.token) {
+        cached = { token: workspace.token, notion: new Client({ auth: workspace.token }) };
+        this.clients.set(String(workspaceId), cached);
+      }
+      return { notion: cached.notion, rootPageId: workspace.rootPageId };
+    }
+
+    if (this.notion) {
+      return { notion: this.notion, rootPageId: process.env.NOTION_ROOT_PAGE_ID };
+    }
+    throw new AppError('No Notion workspace connected', 'NOTION_NOT_CONNECTED', { workspaceId });
+  }
+
+  /**
+   * Check whether a user's or group's pages have a workspace to go to
+   * @param {number|string} workspaceId - Telegram user ID, or the chat ID of a group
+   * @returns {Promise<boolean>} True if a workspace was connected or there is a shared one
+   */
+  async isConnected(workspaceId) {
+    if (this.notion) {
+      return true;
+    }
+    return Boolean(this.workspaceStore && (await this.workspaceStore.getWorkspace(workspaceId)));
+  }
+
+  /**
+   * Check that an integration token can open a page
+   * @param {string} token - Notion integration token
+   * @param {string} pageId - The page ID
+   * @returns {Promise<string>} The page's title
+   * @throws {AppError} If the page cannot be opened with the token
+   */
+  async verifyWorkspace(token, pageId) {
+    try {
+      const page = await new Client({ auth: token }).pages.retrieve({ page_id: pageId });
+      const titleProperty = Object.values(page.properties || {}).find(
+        (property) => property.type === 'title',
+      );
+      return titleProperty
+        ? titleProperty.title.map((text) => text.plain_text).join('') || 'Untitled'
+        : 'Untitled';
+    } catch (error) {
+      this.logWarning('Could not open Notion root page', { error: error.message, pageId });
+      throw new AppError('Cannot open the Notion page with this token', 'NOTION_ACCESS_DENIED', {
+        pageId,
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * Extract a page ID from a Notion page link or ID
+   * @param {string} value - A page URL such as `https://www.notion.so/My-Page-<id>`, or the ID
+   * @returns {string|null} The page ID, or null if there is none
+   */
+  parsePageId(value) {
+    const match = (value || '').replace(/-/g, '').match(/([0-9a-f]{32})(?:[?#]|$)/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+
   /**
    * Process a message and create a Notion page
    * @param {Object} message - The message containing content to process
@@ -30,47 +113,63 @@ class NotionProcessor extends BaseProcessor {
    */
   async processMessage(message) {
     try {
-      const { platform, title, url, summary, tags, resources, chatId } = message;
+      const { platform, title, url, summary, tags, resources } = message;
       this.logInfo('Processing message for Notion', { platform, url });
 
       if (!platform) {
         throw new AppError('Platform is required', 'PLATFORM_MISSING');
       }
 
-      if (!url) {
+      // Files sent on Telegram have no URL
+      if (!url && !message.file) {
         throw new AppError('URL is required', 'URL_MISSING');
       }
 
-      // Get or create database for the platform
-      const databaseId = await this.getOrCreateDatabase(platform);
+      // Get or create database for the platform in the user's workspace, or the group's database
+      const workspace = await this.getWorkspace(message.groupId || message.userId);
+      const databaseId = message.groupId
+        ? await this.getOrCreateGroupDatabase(workspace, message.groupId, message.groupTitle)
+        : await this.getOrCreateDatabase(workspace, platform);
       this.logInfo('Got database ID', { databaseId, platform });
 
       // Create the page in Notion
       const pageTitle = this.formatPageTitle(title, summary);
-      const page = await this.createPage(databaseId, {
+      const page = await this.createPage(workspace.notion, databaseId, {
         title: pageTitle,
         url,
         summary,
         tags: tags || [],
         platform,
-        content: this.formatContent(message),
+        // Scrapers nest their platform fields in `content`
+        content: this.formatContent(
+          message.content && typeof message.content === 'object' ? message.content : message,
+        ),
         createdAt: new Date().toISOString(),
         resources: resources || [],
+        note: message.note,
+        // Only group databases have the property
+        savedBy: message.groupId ? message.senderName : undefined,
       });
 
       this.logInfo('Created Notion page', { pageId: page.id, platform });
 
-      // Notify user of success
-      if (chatId) {
-        await sendTelegramMessage(
-          chatId,
-          `✅ Content saved to Notion!\n\nTitle: ${pageTitle}\nPlatform: ${platform}`,
-        );
+      // A re-summarized link replaces the page saved before
+      if (message.replacesPageId) {
+        try {
+          await this.archivePage(message.groupId || message.userId, message.replacesPageId);
+        } catch (error) {
+          this.logWarning('Could not archive replaced Notion page', {
+            error: error.message,
+            pageId: message.replacesPageId,
+          });
+        }
       }
 
       return {
         ...message,
+        title: pageTitle,
         notionPageId: page.id,
+        notionPageUrl: page.url,
         integratedAt: new Date().toISOString(),
       };
     } catch (error) {
@@ -81,39 +180,84 @@ class NotionProcessor extends BaseProcessor {
 
   /**
    * Get or create a Notion database for a specific platform
+   * @param {Object} workspace - Workspace from {@link NotionProcessor#getWorkspace}
    * @param {string} platform - The platform name
    * @returns {Promise<string>} The database ID
    * @throws {AppError} If database operation fails
    */
-  async getOrCreateDatabase(platform) {
+  async getOrCreateDatabase(workspace, platform) {
+    return this.findOrCreateDatabase(workspace, `Omnichannel ${platform}`);
+  }
+
+  /**
+   * Get or create the Notion database of a group chat
+   * A group saves the links of every platform to one database, whose pages are attributed to the
+   * member who sent the link. Its ID is kept in the group store, so renaming the group or the
+   * database does not start a new one.
+   * @param {Object} workspace - Workspace from {@link NotionProcessor#getWorkspace}
+   * @param {number|string} groupId - Telegram chat ID of the group
+   * @param {string} [groupTitle] - Name of the group, used in the database title
+   * @returns {Promise<string>} The database ID
+   * @throws {AppError} If database operation fails
+   */
+  async getOrCreateGroupDatabase(workspace, groupId, groupTitle) {
+    const group = this.groupStore ? await this.groupStore.getGroup(groupId) : null;
+    if (group && group.databaseId) {
+      return group.databaseId;
+    }
+
+    const databaseId = await this.findOrCreateDatabase(
+      workspace,
+      `Omnichannel ${groupTitle || groupId}`,
+      { [GROUP_CONFIG.SAVED_BY_PROPERTY]: { rich_text: {} } },
+    );
+    if (this.groupStore) {
+      await this.groupStore.setDatabaseId(groupId, databaseId);
+    }
+    return databaseId;
+  }
+
+  /**
+   * Find an Omnichannel database by its title, creating it under the workspace's root page if
+   * there is none
+   * @param {Object} workspace - Workspace from {@link NotionProcessor#getWorkspace}
+   * @param {string} title - The database title
+   * @param {Object} [extraProperties={}] - Properties added to the standard ones
+   * @returns {Promise<string>} The database ID
+   * @throws {AppError} If database operation fails
+   */
+  async findOrCreateDatabase({ notion, rootPageId }, title, extraProperties = {}) {
     try {
-      // Search for existing database
-      const response = await this.notion.search({
-        query: `Omnichannel ${platform}`,
+      // Search for existing database; the search also returns databases with similar titles
+      const response = await notion.search({
+        query: title,
         filter: {
           property: 'object',
           value: 'database',
         },
       });
 
-      if (response.results.length > 0) {
-        this.logInfo('Found existing database', { databaseId: response.results[0].id });
-        return response.results[0].id;
+      const existing = response.results.find(
+        (database) => (database.title || []).map((text) => text.plain_text).join('') === title,
+      );
+      if (existing) {
+        this.logInfo('Found existing database', { databaseId: existing.id });
+        return existing.id;
       }
 
-      this.logInfo('Creating new database', { platform });
+      this.logInfo('Creating new database', { title });
 
       // Create new database if not found
-      const database = await this.notion.databases.create({
+      const database = await notion.databases.create({
         parent: {
           type: 'page_id',
-          page_id: process.env.NOTION_ROOT_PAGE_ID,
+          page_id: rootPageId,
         },
         title: [
           {
             type: 'text',
             text: {
-              content: `Omnichannel ${platform}`,
+              content: title,
             },
           },
         ],
@@ -140,6 +284,8 @@ class NotionProcessor extends BaseProcessor {
                 { name: 'instagram', color: 'purple' },
                 { name: 'twitter', color: 'green' },
                 { name: 'linkedin', color: 'blue' },
+                { name: 'document', color: 'orange' },
+                { name: 'image', color: 'pink' },
                 { name: 'unknown', color: 'gray' },
               ],
             },
@@ -150,6 +296,7 @@ class NotionProcessor extends BaseProcessor {
           Resources: {
             rich_text: {},
           },
+          ...extraProperties,
         },
       });
 
@@ -158,11 +305,11 @@ class NotionProcessor extends BaseProcessor {
     } catch (error) {
       this.logError('Error in database operation', {
         error: error.message,
-        platform,
+        title,
         stack: error.stack,
       });
       throw new AppError('Failed to get or create database', 'DATABASE_OPERATION_FAILED', {
-        platform,
+        title,
         originalError: error,
       });
     }
@@ -170,14 +317,15 @@ class NotionProcessor extends BaseProcessor {
 
   /**
    * Create a new page in a Notion database
+   * @param {Client} notion - Client of the workspace the database is in
    * @param {string} databaseId - The database ID
    * @param {Object} data - The page data
    * @returns {Promise<Object>} The created page
    * @throws {AppError} If page creation fails
    */
-  async createPage(databaseId, data) {
+  async createPage(notion, databaseId, data) {
     try {
-      const page = await this.notion.pages.create({
+      const page = await notion.pages.create({
         parent: {
           database_id: databaseId,
         },
@@ -192,13 +340,14 @@ class NotionProcessor extends BaseProcessor {
             ],
           },
           URL: {
-            url: data.url,
+            url: data.url || null,
           },
           Summary: {
             rich_text: [
               {
                 text: {
-                  content: data.summary || '',
+                  // Notion rejects rich text longer than 2000 characters
+                  content: (data.summary || '').slice(0, 2000),
                 },
               },
             ],
@@ -221,23 +370,16 @@ class NotionProcessor extends BaseProcessor {
               ? data.resources.map((url) => ({ text: { content: url + '\n', link: { url } } }))
               : [{ text: { content: 'No resources found.' } }],
           },
+          ...(data.savedBy && {
+            [GROUP_CONFIG.SAVED_BY_PROPERTY]: {
+              rich_text: [{ text: { content: data.savedBy } }],
+            },
+          }),
         },
         children: [
-          {
-            object: 'block',
-            type: 'paragraph',
-            paragraph: {
-              rich_text: [
-                {
-                  type: 'text',
-                  text: {
-                    content: data.content,
-                  },
-                },
-              ],
-            },
-          },
-        ],
+          ...(data.note ? [this.toNoteBlock(data.note)] : []),
+          ...this.toParagraphBlocks(data.content),
+        ].slice(0, 100),
       });
 
       return page;
@@ -254,6 +396,147 @@ class NotionProcessor extends BaseProcessor {
     }
   }
 
+  /**
+   * Search pages by title across the Omnichannel databases of a user's or group's workspace
+   * @param {number|string} workspaceId - Telegram user ID, or the chat ID of a group
+   * @param {string} query - Text to search for
+   * @returns {Promise<Object[]>} Matching pages as `{ id, title, url, tags }`
+   * @throws {AppError} If the search fails
+   */
+  async searchPages(workspaceId, query) {
+    const { notion } = await this.getWorkspace(workspaceId);
+    try {
+      const response = await notion.search({
+        query,
+        filter: {
+          property: 'object',
+          value: 'page',
+        },
+        page_size: 100,
+      });
+
+      return response.results
+        .filter((page) => page.properties && page.properties.Title)
+        .map((page) => ({
+          id: page.id,
+          title: page.properties.Title.title.map((text) => text.plain_text).join(''),
+          url: page.url,
+          tags: page.properties.Tags
+            ? page.properties.Tags.multi_select.map((option) => option.name)
+            : [],
+        }));
+    } catch (error) {
+      this.logError('Error searching Notion pages', { error: error.message, query });
+      throw new AppError('Failed to search Notion pages', 'NOTION_SEARCH_FAILED', {
+        query,
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * Replace the tags of a page
+   * @param {number|string} workspaceId - Telegram user ID of the page's owner, or the chat ID of
+   *   its group
+   * @param {string} pageId - The page ID
+   * @param {string[]} tags - The new tags
+   * @returns {Promise<void>}
+   * @throws {AppError} If the page cannot be updated
+   */
+  async updateTags(workspaceId, pageId, tags) {
+    const { notion } = await this.getWorkspace(workspaceId);
+    try {
+      await notion.pages.update({
+        page_id: pageId,
+        properties: {
+          Tags: {
+            multi_select: tags.map((tag) => ({ name: tag })),
+          },
+        },
+      });
+      this.logInfo('Updated Notion page tags', { pageId, tags });
+    } catch (error) {
+      this.logError('Error updating Notion page tags', { error: error.message, pageId });
+      throw new AppError('Failed to update Notion page tags', 'PAGE_UPDATE_FAILED', {
+        pageId,
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * Move a page to the Notion trash
+   * @param {number|string} workspaceId - Telegram user ID of the page's owner, or the chat ID of
+   *   its group
+   * @param {string} pageId - The page ID
+   * @returns {Promise<void>}
+   * @throws {AppError} If the page cannot be archived
+   */
+  async archivePage(workspaceId, pageId) {
+    const { notion } = await this.getWorkspace(workspaceId);
+    try {
+      await notion.pages.update({ page_id: pageId, archived: true });
+      this.logInfo('Archived Notion page', { pageId });
+    } catch (error) {
+      this.logError('Error archiving Notion page', { error: error.message, pageId });
+      throw new AppError('Failed to archive Notion page', 'PAGE_ARCHIVE_FAILED', {
+        pageId,
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * Create a callout block for the note the user sent along with a link
+   * @param {string} note - The user's note
+   * @returns {Object} Callout block
+   */
+  toNoteBlock(note) {
+    return {
+      object: 'block',
+      type: 'callout',
+      callout: {
+        icon: { type: 'emoji', emoji: '📝' },
+        rich_text: [
+          {
+            type: 'text',
+            text: {
+              content: note.slice(0, 2000),
+            },
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Split text into paragraph blocks that fit Notion's limits
+   * A rich text item holds at most 2000 characters and a request at most 100 blocks.
+   * @param {string} text - The text to split
+   * @returns {Object[]} Paragraph blocks
+   */
+  toParagraphBlocks(text) {
+    const chunks = [];
+    for (let i = 0; i < text.length && chunks.length < 100; i += 2000) {
+      chunks.push(text.slice(i, i + 2000));
+    }
+
+    return (chunks.length ? chunks : ['']).map((chunk) => ({
+      object: 'block',
+      type: 'paragraph',
+      paragraph: {
+        rich_text: [
+          {
+            type: 'text',
+            text: {
+              content: chunk,
+            },
+          },
+        ],
+      },
+    }));
+  }
+
   /**
    * Format content based on platform type
    * @param {Object} content - The content to format
@@ -272,6 +555,10 @@ class NotionProcessor extends BaseProcessor {
           return `Author: ${content.author}\nPosted: ${content.timestamp}\n\n${content.text}`;
         case 'linkedin':
           return `Author: ${content.author}\nPosted: ${content.timestamp}\n\n${content.description}`;
+        case 'image':
+          return `File: ${content.fileName}\n\n${content.caption || 'No caption'}`;
+        case 'document':
+          return `Format: ${content.format.toUpperCase()}\nPages: ${content.pageCount || 'n/a'}\nAuthor: ${content.author}\n\n${content.content}`;
         default:
           return content.description || 'No content available';
       }
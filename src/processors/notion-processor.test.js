@@ -0,0 +1,42 @@
+const NotionProcessor = require('./notion-processor');
+const AppError = require('../utils/errors/AppError');
+
+describe('NotionProcessor', () => {
+  describe('getWorkspace', () => {
+    it('throws NOTION_NOT_CONNECTED when the user has no workspace and there is no shared one', async () => {
+      const workspaceStore = { getWorkspace: jest.fn().mockResolvedValue(null) };
+      const processor = new NotionProcessor(undefined, workspaceStore);
+
+      const error = await processor.getWorkspace(42).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.code).toBe('NOTION_NOT_CONNECTED');
+      expect(workspaceStore.getWorkspace).toHaveBeenCalledWith(42);
+    });
+
+    it("returns the user's own workspace", async () => {
+      const workspaceStore = {
+        getWorkspace: jest.fn().mockResolvedValue({ token: 'secret', rootPageId: 'page' }),
+      };
+      const processor = new NotionProcessor(undefined, workspaceStore);
+
+      const { notion, rootPageId } = await processor.getWorkspace(42);
+
+      expect(notion).toBeDefined();
+      expect(rootPageId).toBe('page');
+    });
+  });
+
+  describe('verifyWorkspace', () => {
+    it('throws NOTION_ACCESS_DENIED when the page cannot be opened', async () => {
+      const processor = new NotionProcessor('shared-key');
+      const { Client } = require('@notionhq/client');
+      jest.spyOn(Client.prototype, 'request').mockRejectedValue(new Error('Could not find page'));
+
+      const error = await processor.verifyWorkspace('token', 'page').catch((e) => e);
+
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.code).toBe('NOTION_ACCESS_DENIED');
+    });
+  });
+});
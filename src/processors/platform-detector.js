@@ -1,9 +1,12 @@
+const axios = require('axios');
 const BaseProcessor = require('./base-processor');
-const { PLATFORM_PATTERNS } = require('../config/constants');
+const { getDocumentFormat } = require('../utils/document-extractor');
+const { PLATFORM_PATTERNS, SCRAPER_CONFIG } = require('../config/constants');
 
 /**
  * Detects the platform type from a URL
- * Uses predefined patterns to identify various social media and content platforms
+ * Uses predefined patterns to identify various social media and content platforms, and the
+ * Content-Type of unrecognized links to find documents served without a file extension
  */
 class PlatformDetector extends BaseProcessor {
   /**
@@ -18,19 +21,32 @@ class PlatformDetector extends BaseProcessor {
   }
 
   /**
-   * Process a message to detect the platform from its URL
-   * @param {Object} message - The message containing a URL
-   * @param {string} message.url - The URL to detect platform from
+   * Process a message to detect the platform from its URL, or from the kind of file sent
+   * @param {Object} message - The message containing a URL or file
+   * @param {string} [message.url] - The URL to detect platform from
+   * @param {Object} [message.file] - A file sent on Telegram, whose `kind` is the platform
    * @returns {Promise<Object>} The message with platform information added
    * @throws {Error} If URL is missing or invalid
    */
   async processMessage(message) {
     try {
+      // Files sent on Telegram were classified when they were received
+      if (message.file) {
+        return {
+          ...message,
+          platform: message.file.kind,
+          detectedAt: new Date().toISOString(),
+        };
+      }
+
       if (!message.url) {
         throw new Error('URL is required for platform detection');
       }
 
-      const platform = this.detectPlatform(message.url);
+      let platform = this.detectPlatform(message.url);
+      if (platform === 'unknown' && (await this.isDocument(message.url))) {
+        platform = 'document';
+      }
       this.logInfo('Platform detected', {
         url: message.url,
         platform,
@@ -81,6 +97,27 @@ class PlatformDetector extends BaseProcessor {
     return 'unknown';
   }
 
+  /**
+   * Check whether a URL serves a supported document, using a HEAD request
+   * @param {string} url - The URL to check
+   * @returns {Promise<boolean>} True if the Content-Type is a PDF, DOCX or plain text document;
+   *   false if it is not or the request fails
+   */
+  async isDocument(url) {
+    try {
+      const response = await axios.head(url, {
+        headers: { 'User-Agent': SCRAPER_CONFIG.USER_AGENT },
+        timeout: SCRAPER_CONFIG.REQUEST_TIMEOUT_MS,
+        maxRedirects: 5,
+      });
+      const contentType = response.headers['content-type'];
+      return Boolean(contentType) && getDocumentFormat(contentType, url) !== null;
+    } catch (error) {
+      this.logDebug('Content-Type check failed', { url, error: error.message });
+      return false;
+    }
+  }
+
   /**
    * Get list of supported platforms
    * @returns {string[]} Array of supported platform names
@@ -0,0 +1,36 @@
+const PlatformDetector = require('./platform-detector');
+
+describe('PlatformDetector', () => {
+  const detector = new PlatformDetector();
+
+  describe('detectPlatform', () => {
+    it.each([
+      ['https://twitter.com/jack/status/20', 'twitter'],
+      ['https://x.com/jack/status/20', 'twitter'],
+      ['https://mobile.twitter.com/jack', 'twitter'],
+      ['https://www.instagram.com/p/Cabc123/', 'instagram'],
+      ['https://instagr.am/p/Cabc123', 'instagram'],
+      ['https://www.youtube.com/watch?v=abc', 'youtube'],
+      ['https://www.linkedin.com/posts/someone_activity-123', 'linkedin'],
+      ['https://example.com/paper.pdf', 'document'],
+      ['https://example.com/README.md?plain=1', 'document'],
+      ['https://arxiv.org/pdf/2401.00001', 'document'],
+    ])('detects %s as %s', (url, platform) => {
+      expect(detector.detectPlatform(url)).toBe(platform);
+    });
+
+    it.each([
+      'https://www.dropbox.com/s/abc/notes',
+      'https://www.netflix.com/title/123',
+      'https://example.com/?next=https://x.com/jack/status/20',
+      'https://notinstagram.com/p/Cabc123',
+      'https://example.com/pdf-guide',
+    ])('does not detect %s as a known platform', (url) => {
+      expect(detector.detectPlatform(url)).toBe('unknown');
+    });
+
+    it('throws on an invalid URL', () => {
+      expect(() => detector.detectPlatform('not a url')).toThrow('Invalid URL format');
+    });
+  });
+});
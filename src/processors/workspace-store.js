@@ -0,0 +1,93 @@
+const Redis = require('ioredis');
+const BaseProcessor = require('./base-processor');
+const AppError = require('../utils/errors/AppError');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { WORKSPACE_CONFIG } = require('../config/constants');
+
+/**
+ * Stores the Notion workspace each Telegram user connected
+ * A workspace is a Redis hash holding the user's Notion integration token, encrypted, and the root
+ * page their databases are created under. Workspaces do not expire.
+ */
+class WorkspaceStore extends BaseProcessor {
+  /**
+   * Create a new WorkspaceStore
+   * @param {string} [redisUrl=process.env.REDIS_URL] - Redis connection URL
+   * @param {string} encryptionKey - Secret the integration tokens are encrypted with
+   * @throws {AppError} If the encryption key is missing
+   */
+  constructor(redisUrl = process.env.REDIS_URL, encryptionKey) {
+    super();
+    if (!encryptionKey) {
+      throw new AppError('An encryption key is required to store Notion tokens', 'INVALID_CONFIG');
+    }
+    this.redis = new Redis(redisUrl);
+    this.encryptionKey = encryptionKey;
+    this.logInfo('Workspace store initialized');
+  }
+
+  /**
+   * Generate a prefixed workspace key
+   * @private
+   * @param {number|string} userId - Telegram user ID
+   * @returns {string} Prefixed key
+   */
+  _key(userId) {
+    return `${WORKSPACE_CONFIG.KEY_PREFIX}${userId}`;
+  }
+
+  /**
+   * Connect a user to a Notion workspace, replacing any workspace connected before
+   * @param {number|string} userId - Telegram user ID
+   * @param {Object} workspace - The workspace
+   * @param {string} workspace.token - Notion integration token
+   * @param {string} workspace.rootPageId - Page the user's databases are created under
+   * @param {string} [workspace.rootPageTitle] - Title of the root page, shown to the user
+   * @returns {Promise<void>}
+   */
+  async setWorkspace(userId, { token, rootPageId, rootPageTitle }) {
+    await this.redis.hset(this._key(userId), {
+      token: encrypt(token, this.encryptionKey),
+      rootPageId,
+      rootPageTitle: rootPageTitle || '',
+      connectedAt: new Date().toISOString(),
+    });
+    this.logInfo('Workspace connected', { userId, rootPageId });
+  }
+
+  /**
+   * Get the workspace a user connected
+   * @param {number|string} userId - Telegram user ID
+   * @returns {Promise<Object|null>} The workspace with its decrypted token, or null if the user has
+   *   not connected one
+   * @throws {AppError} If the token cannot be decrypted, e.g. after the encryption key changed
+   */
+  async getWorkspace(userId) {
+    const workspace = await this.redis.hgetall(this._key(userId));
+    if (!workspace || !workspace.token) {
+      return null;
+    }
+
+    try {
+      return { ...workspace, token: decrypt(workspace.token, this.encryptionKey) };
+    } catch (error) {
+      throw new AppError('Failed to decrypt Notion token', 'WORKSPACE_DECRYPTION_FAILED', {
+        userId,
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * Disconnect a user from their workspace
+   * @param {number|string} userId - Telegram user ID
+   * @returns {Promise<boolean>} True if the user had connected a workspace
+   */
+  async deleteWorkspace(userId) {
+    const deleted = await this.redis.del(this._key(userId));
+    this.logInfo('Workspace disconnected', { userId });
+    return deleted > 0;
+  }
+}
+
+module.exports = WorkspaceStore;
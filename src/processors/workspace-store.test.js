@@ -0,0 +1,62 @@
+jest.mock('ioredis');
+
+const WorkspaceStore = require('./workspace-store');
+
+describe('WorkspaceStore', () => {
+  /**
+   * Create a store backed by an in-memory hash per key
+   * @param {string} [encryptionKey='key'] - Secret the tokens are encrypted with
+   * @returns {WorkspaceStore} The store, with its hashes in `store.redis.hashes`
+   */
+  function createStore(encryptionKey = 'key') {
+    const store = new WorkspaceStore(undefined, encryptionKey);
+    const hashes = new Map();
+    store.redis = {
+      hashes,
+      hset: jest.fn(async (key, fields) => hashes.set(key, { ...fields })),
+      hgetall: jest.fn(async (key) => ({ ...hashes.get(key) })),
+      del: jest.fn(async (key) => Number(hashes.delete(key))),
+    };
+    return store;
+  }
+
+  it('requires an encryption key', () => {
+    expect(() => new WorkspaceStore(undefined, '')).toThrow(
+      'An encryption key is required to store Notion tokens',
+    );
+  });
+
+  it('stores the token encrypted and returns it decrypted', async () => {
+    const store = createStore();
+
+    await store.setWorkspace(7, { token: 'secret_abc', rootPageId: 'page-1' });
+
+    const stored = store.redis.hashes.get('workspace:7');
+    expect(stored.token).not.toContain('secret_abc');
+    await expect(store.getWorkspace(7)).resolves.toEqual(
+      expect.objectContaining({ token: 'secret_abc', rootPageId: 'page-1', rootPageTitle: '' }),
+    );
+  });
+
+  it('returns null for users without a workspace', async () => {
+    await expect(createStore().getWorkspace(7)).resolves.toBeNull();
+  });
+
+  it('fails when the encryption key changed', async () => {
+    const store = createStore();
+    await store.setWorkspace(7, { token: 'secret_abc', rootPageId: 'page-1' });
+    store.encryptionKey = 'new key';
+
+    await expect(store.getWorkspace(7)).rejects.toMatchObject({
+      code: 'WORKSPACE_DECRYPTION_FAILED',
+    });
+  });
+
+  it('disconnects a workspace', async () => {
+    const store = createStore();
+    await store.setWorkspace(7, { token: 'secret_abc', rootPageId: 'page-1' });
+
+    await expect(store.deleteWorkspace(7)).resolves.toBe(true);
+    await expect(store.deleteWorkspace(7)).resolves.toBe(false);
+  });
+});
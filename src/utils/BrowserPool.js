@@ -0,0 +1,297 @@
+const { chromium } = require('playwright');
+const winston = require('winston');
+const { BROWSER_POOL_CONFIG, SCRAPER_CONFIG } = require('../config/constants');
+
+// Create logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'combined.log' }),
+  ],
+});
+
+/**
+ * Browser context settings by profile name
+ * `headed` makes the headless browser look like a regular desktop Chrome to sites that block
+ * automation, and is used to retry pages that showed a bot challenge.
+ * @type {Object.<string, Object>}
+ */
+const PROFILES = {
+  default: {
+    options: {
+      userAgent: SCRAPER_CONFIG.USER_AGENT,
+      locale: 'en-US',
+      viewport: { width: 1366, height: 768 },
+    },
+  },
+  headed: {
+    options: {
+      userAgent: SCRAPER_CONFIG.USER_AGENT,
+      locale: 'en-US',
+      timezoneId: 'America/New_York',
+      viewport: { width: 1920, height: 1080 },
+      screen: { width: 1920, height: 1080 },
+      extraHTTPHeaders: { 'Accept-Language': 'en-US,en;q=0.9' },
+    },
+    initScript: () => {
+      Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+      Object.defineProperty(navigator, 'languages', { get: () => ['en-US', 'en'] });
+      Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3, 4, 5] });
+      window.chrome = window.chrome || { runtime: {} };
+    },
+  },
+};
+
+/**
+ * Shares one Playwright browser between all scrapes
+ * The browser is launched on first use and closed after a period without open pages. Each domain
+ * gets its own browser context, so cookies and storage never leak between sites but are reused for
+ * later links to the same site. A crashed browser is relaunched on the next request.
+ */
+class BrowserPool {
+  /**
+   * Create a new BrowserPool
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.maxPages] - Maximum pages open at the same time
+   * @param {number} [options.maxContexts] - Maximum domain contexts kept open
+   * @param {number} [options.idleTimeoutMs] - Idle time after which the browser is closed
+   * @param {Object} [options.launchOptions] - Options passed to `chromium.launch`
+   */
+  constructor({
+    maxPages = BROWSER_POOL_CONFIG.MAX_PAGES,
+    maxContexts = BROWSER_POOL_CONFIG.MAX_CONTEXTS,
+    idleTimeoutMs = BROWSER_POOL_CONFIG.IDLE_TIMEOUT_MS,
+    launchOptions = {},
+  } = {}) {
+    this.maxPages = maxPages;
+    this.maxContexts = maxContexts;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.launchOptions = launchOptions;
+
+    this.browser = null;
+    this.browserPromise = null;
+    // `{ context, promise }` by profile and domain, in least recently used order
+    this.contexts = new Map();
+    this.openPages = 0;
+    this.waiting = [];
+    this.idleTimer = null;
+  }
+
+  /**
+   * Open a page for a URL, run a function with it and close the page again
+   * Waits for a free slot when `maxPages` pages are already open.
+   * @param {string} url - The URL that will be loaded; selects the domain context
+   * @param {Function} fn - Async function called with the Playwright page
+   * @param {Object} [options] - Page options
+   * @param {string} [options.profile='default'] - Context profile, `default` or `headed`
+   * @returns {Promise<*>} The function's result
+   */
+  async withPage(url, fn, { profile = 'default' } = {}) {
+    await this._acquireSlot();
+    let page;
+    try {
+      const context = await this._getContext(new URL(url).hostname, profile);
+      page = await context.newPage();
+      page.setDefaultNavigationTimeout(BROWSER_POOL_CONFIG.NAVIGATION_TIMEOUT_MS);
+      return await fn(page);
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
+      }
+      this._releaseSlot();
+    }
+  }
+
+  /**
+   * Close all contexts and the browser
+   * The pool is reset first, so requests made while it closes launch a new browser instead of
+   * getting the closing one. Contexts still being created are closed once they exist.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    const browserPromise = this.browserPromise;
+    const entries = [...this.contexts.values()];
+    this.browserPromise = null;
+    this.browser = null;
+    this.contexts.clear();
+
+    if (!browserPromise) {
+      return;
+    }
+    await Promise.all(
+      entries.map((entry) =>
+        entry.promise
+          .then((context) => context.close())
+          .catch((error) => {
+            logger.warn('Error closing browser context', { error: error.message });
+          }),
+      ),
+    );
+    try {
+      const browser = await browserPromise;
+      await browser.close();
+      logger.info('Browser pool closed');
+    } catch (error) {
+      logger.error('Error closing browser pool', { error: error.message });
+    }
+  }
+
+  /**
+   * Wait until fewer than `maxPages` pages are open and take a slot
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _acquireSlot() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    if (this.openPages >= this.maxPages) {
+      await new Promise((resolve) => this.waiting.push(resolve));
+    } else {
+      this.openPages++;
+    }
+  }
+
+  /**
+   * Give a slot back, handing it to the next waiting caller or starting the idle timer
+   * @private
+   */
+  _releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      // The slot passes straight to the waiting caller
+      next();
+      return;
+    }
+
+    this.openPages--;
+    if (this.openPages === 0 && this.browserPromise) {
+      this.idleTimer = setTimeout(() => {
+        logger.info('Closing idle browser', { idleTimeoutMs: this.idleTimeoutMs });
+        this.close().catch((error) => {
+          logger.error('Error closing idle browser', { error: error.message });
+        });
+      }, this.idleTimeoutMs);
+      // An idle browser should not keep the process alive
+      this.idleTimer.unref();
+    }
+  }
+
+  /**
+   * Get the running browser, launching it if needed
+   * @private
+   * @returns {Promise<Browser>} The Playwright browser
+   */
+  _getBrowser() {
+    if (!this.browserPromise) {
+      logger.info('Launching browser');
+      const browserPromise = chromium.launch(this.launchOptions).then(
+        (browser) => {
+          browser.on('disconnected', () => {
+            // Crashed or killed: forget it so the next request relaunches. A browser closed by
+            // `close` is already forgotten, and must not reset the one launched after it.
+            if (this.browser === browser) {
+              logger.error('Browser disconnected unexpectedly');
+              this.browser = null;
+              this.browserPromise = null;
+              this.contexts.clear();
+            }
+          });
+          // The pool may have been closed while the browser launched
+          if (this.browserPromise === browserPromise) {
+            this.browser = browser;
+          }
+          return browser;
+        },
+        (error) => {
+          if (this.browserPromise === browserPromise) {
+            this.browserPromise = null;
+          }
+          throw error;
+        },
+      );
+      this.browserPromise = browserPromise;
+    }
+    return this.browserPromise;
+  }
+
+  /**
+   * Create a browser context with a profile's settings
+   * @private
+   * @param {Object} settings - The profile's settings from `PROFILES`
+   * @returns {Promise<BrowserContext>} The new browser context
+   */
+  async _createContext(settings) {
+    const browser = await this._getBrowser();
+    const context = await browser.newContext(settings.options);
+    if (settings.initScript) {
+      try {
+        await context.addInitScript(settings.initScript);
+      } catch (error) {
+        context.close().catch(() => {});
+        throw error;
+      }
+    }
+    return context;
+  }
+
+  /**
+   * Get the browser context for a domain and profile, creating it if needed
+   * @private
+   * @param {string} hostname - The page's hostname
+   * @param {string} profile - Context profile name
+   * @returns {Promise<BrowserContext>} The domain's browser context
+   */
+  async _getContext(hostname, profile) {
+    const settings = PROFILES[profile];
+    if (!settings) {
+      throw new Error(`Unknown browser profile: ${profile}`);
+    }
+
+    const key = `${profile}:${hostname.replace(/^www\./, '')}`;
+    const existing = this.contexts.get(key);
+    if (existing) {
+      // Re-insert to keep the map in least recently used order
+      this.contexts.delete(key);
+      this.contexts.set(key, existing);
+      return existing.promise;
+    }
+
+    // Stored before it resolves, so concurrent requests for the domain share one context
+    const entry = { context: null, promise: null };
+    entry.promise = this._createContext(settings).then(
+      (context) => {
+        entry.context = context;
+        return context;
+      },
+      (error) => {
+        if (this.contexts.get(key) === entry) {
+          this.contexts.delete(key);
+        }
+        throw error;
+      },
+    );
+    this.contexts.set(key, entry);
+
+    // Evict the least recently used contexts that have no open pages
+    for (const [oldKey, oldEntry] of this.contexts) {
+      if (this.contexts.size <= this.maxContexts) {
+        break;
+      }
+      if (oldKey !== key && oldEntry.context && oldEntry.context.pages().length === 0) {
+        this.contexts.delete(oldKey);
+        oldEntry.context.close().catch(() => {});
+      }
+    }
+
+    return entry.promise;
+  }
+}
+
+module.exports = BrowserPool;
@@ -0,0 +1,116 @@
+const { EventEmitter } = require('events');
+
+jest.mock('playwright', () => ({ chromium: { launch: jest.fn() } }));
+
+const { chromium } = require('playwright');
+const BrowserPool = require('./BrowserPool');
+
+/**
+ * Create a stand-in for a Playwright browser
+ * @param {number} [closeDelayMs=0] - How long closing the browser takes
+ * @returns {Object} The fake browser, with the contexts it created in `contexts`
+ */
+function createBrowser(closeDelayMs = 0) {
+  const browser = new EventEmitter();
+  browser.contexts = [];
+  browser.closed = false;
+  browser.newContext = jest.fn(async () => {
+    const context = {
+      pages: () => [],
+      newPage: jest.fn(async () => {
+        if (browser.closed) {
+          throw new Error('Target page, context or browser has been closed');
+        }
+        return { setDefaultNavigationTimeout: jest.fn(), close: jest.fn().mockResolvedValue() };
+      }),
+      addInitScript: jest.fn().mockResolvedValue(),
+      close: jest.fn().mockResolvedValue(),
+    };
+    browser.contexts.push(context);
+    return context;
+  });
+  browser.close = jest.fn(async () => {
+    await new Promise((resolve) => setTimeout(resolve, closeDelayMs));
+    browser.closed = true;
+    browser.emit('disconnected');
+  });
+  return browser;
+}
+
+describe('BrowserPool', () => {
+  afterEach(() => {
+    chromium.launch.mockReset();
+  });
+
+  it('shares one context between concurrent pages of a domain', async () => {
+    const browser = createBrowser();
+    chromium.launch.mockResolvedValue(browser);
+    const pool = new BrowserPool();
+
+    await Promise.all([
+      pool.withPage('https://example.com/a', async () => {}),
+      pool.withPage('https://www.example.com/b', async () => {}),
+    ]);
+
+    expect(browser.newContext).toHaveBeenCalledTimes(1);
+    await pool.close();
+  });
+
+  it('closes its contexts and the browser', async () => {
+    const browser = createBrowser();
+    chromium.launch.mockResolvedValue(browser);
+    const pool = new BrowserPool();
+    await pool.withPage('https://example.com', async () => {});
+    await pool.withPage('https://example.org', async () => {}, { profile: 'headed' });
+
+    await pool.close();
+
+    expect(browser.contexts).toHaveLength(2);
+    for (const context of browser.contexts) {
+      expect(context.close).toHaveBeenCalled();
+    }
+    expect(browser.close).toHaveBeenCalled();
+    expect(pool.contexts.size).toBe(0);
+  });
+
+  it('launches a new browser for a page requested while the idle browser closes', async () => {
+    const idleBrowser = createBrowser(50);
+    const nextBrowser = createBrowser();
+    chromium.launch.mockResolvedValueOnce(idleBrowser).mockResolvedValueOnce(nextBrowser);
+    const pool = new BrowserPool({ idleTimeoutMs: 10 });
+    await pool.withPage('https://example.com', async () => {});
+
+    // The idle timer fires and the browser starts closing
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(idleBrowser.close).toHaveBeenCalled();
+    expect(idleBrowser.closed).toBe(false);
+
+    const title = await pool.withPage('https://example.com', async () => {
+      // The idle browser finishes closing while this page is open
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      return 'Example';
+    });
+
+    expect(title).toBe('Example');
+    expect(idleBrowser.closed).toBe(true);
+    expect(idleBrowser.contexts[0].close).toHaveBeenCalled();
+    expect(nextBrowser.newContext).toHaveBeenCalledTimes(1);
+    // The old browser's disconnect does not reset the new one
+    expect(pool.browser).toBe(nextBrowser);
+    expect(pool.contexts.size).toBe(1);
+    await pool.close();
+  });
+
+  it('forgets a browser that crashed', async () => {
+    const browser = createBrowser();
+    chromium.launch.mockResolvedValue(browser);
+    const pool = new BrowserPool();
+    await pool.withPage('https://example.com', async () => {});
+
+    browser.emit('disconnected');
+
+    expect(pool.browser).toBeNull();
+    expect(pool.browserPromise).toBeNull();
+    expect(pool.contexts.size).toBe(0);
+  });
+});
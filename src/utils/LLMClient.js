@@ -0,0 +1,196 @@
+const winston = require('winston');
+const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+const { ChatOpenAI } = require('@langchain/openai');
+const AppError = require('./errors/AppError');
+const { LLM_PROVIDERS, LLM_CONFIG } = require('../config/constants');
+
+// Create logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'combined.log' }),
+  ],
+});
+
+/**
+ * Check if an LLM request failed because the provider is rate limiting or out of quota
+ * @param {Error} error - The error thrown by the chat model
+ * @returns {boolean} True for rate limit errors
+ */
+function isRateLimitError(error) {
+  return error.status === 429 || /\b429\b|rate limit|resource exhausted/i.test(error.message);
+}
+
+/**
+ * Sends prompts to the configured LLM providers, falling back from one to the next
+ * Providers are tried in order until one answers. A provider that is rate limited is skipped for
+ * `LLM_CONFIG.RATE_LIMIT_COOLDOWN_MS` so requests go straight to the fallback, unless every provider
+ * is cooling down. Since any provider may answer, requests must fit the smallest context window
+ * among them; see {@link LLMClient#getChunkTokens}.
+ */
+class LLMClient {
+  /**
+   * Create a new LLMClient
+   * @param {Object[]} providers - Provider settings in the order they are tried, see
+   *   {@link LLMClient.createChatModel}
+   * @throws {AppError} If no provider is given or a provider is misconfigured
+   */
+  constructor(providers) {
+    if (!providers || !providers.length) {
+      throw new AppError('At least one LLM provider is required', 'INVALID_CONFIG');
+    }
+
+    this.providers = providers.map((config) => {
+      const model = config.model || LLM_CONFIG.DEFAULT_MODELS[config.provider];
+      return {
+        name: config.provider,
+        llm: LLMClient.createChatModel(config),
+        contextWindow:
+          config.contextWindow ||
+          LLM_CONFIG.CONTEXT_WINDOWS[model] ||
+          LLM_CONFIG.DEFAULT_CONTEXT_WINDOW,
+        maxTokens: config.maxTokens || LLM_CONFIG.MAX_TOKENS,
+        // Time until which the provider is skipped after a rate limit error
+        cooldownUntil: 0,
+      };
+    });
+    logger.info('LLM client initialized', {
+      providers: this.providers.map(({ name, contextWindow }) => ({ name, contextWindow })),
+    });
+  }
+
+  /**
+   * Get the most content, in tokens, one request may carry
+   * Every provider's context window must hold the content, the prompt's instructions and the
+   * response.
+   * @returns {number} Tokens of content per request
+   */
+  getChunkTokens() {
+    const available = Math.min(
+      ...this.providers.map(
+        ({ contextWindow, maxTokens }) =>
+          contextWindow - maxTokens - LLM_CONFIG.PROMPT_RESERVE_TOKENS,
+      ),
+    );
+    return Math.min(LLM_CONFIG.MAX_CHUNK_TOKENS, Math.max(LLM_CONFIG.MIN_CHUNK_TOKENS, available));
+  }
+
+  /**
+   * Get the longest response, in tokens, every provider may write
+   * @returns {number} Tokens per response
+   */
+  getMaxResponseTokens() {
+    return Math.min(...this.providers.map(({ maxTokens }) => maxTokens));
+  }
+
+  /**
+   * Create the LangChain chat model of a provider
+   * @param {Object} config - Provider settings
+   * @param {string} config.provider - One of {@link LLM_PROVIDERS}
+   * @param {string} [config.model] - Model name; required for OpenAI-compatible servers
+   * @param {string} [config.apiKey] - API key; optional for OpenAI-compatible servers
+   * @param {string} [config.baseUrl] - API base URL, e.g. `http://localhost:11434/v1` for Ollama;
+   *   required for OpenAI-compatible servers
+   * @param {number} [config.temperature=LLM_CONFIG.TEMPERATURE] - Sampling temperature
+   * @param {number} [config.maxTokens=LLM_CONFIG.MAX_TOKENS] - Maximum tokens of a response
+   * @param {number} [config.maxRetries=LLM_CONFIG.MAX_RETRIES] - Retries of a failed request
+   * @returns {BaseChatModel} The chat model
+   * @throws {AppError} If the provider is unknown or a required setting is missing
+   */
+  static createChatModel({
+    provider,
+    model,
+    apiKey,
+    baseUrl,
+    temperature = LLM_CONFIG.TEMPERATURE,
+    maxTokens = LLM_CONFIG.MAX_TOKENS,
+    maxRetries = LLM_CONFIG.MAX_RETRIES,
+  }) {
+    const modelName = model || LLM_CONFIG.DEFAULT_MODELS[provider];
+
+    switch (provider) {
+      case LLM_PROVIDERS.GEMINI:
+        if (!apiKey) {
+          throw new AppError('GEMINI_API_KEY is required', 'INVALID_CONFIG', { provider });
+        }
+        return new ChatGoogleGenerativeAI({
+          model: modelName,
+          maxOutputTokens: maxTokens,
+          temperature,
+          apiKey,
+          maxRetries,
+        });
+      case LLM_PROVIDERS.OPENAI:
+        if (!apiKey) {
+          throw new AppError('OPENAI_API_KEY is required', 'INVALID_CONFIG', { provider });
+        }
+        return new ChatOpenAI({
+          model: modelName,
+          maxTokens,
+          temperature,
+          apiKey,
+          maxRetries,
+          configuration: baseUrl ? { baseURL: baseUrl } : undefined,
+        });
+      case LLM_PROVIDERS.OPENAI_COMPATIBLE:
+        if (!baseUrl || !modelName) {
+          throw new AppError(
+            'A base URL and a model are required for an OpenAI-compatible provider',
+            'INVALID_CONFIG',
+            { provider },
+          );
+        }
+        return new ChatOpenAI({
+          model: modelName,
+          maxTokens,
+          temperature,
+          // Local servers usually ignore the key, but the client refuses to run without one
+          apiKey: apiKey || 'not-needed',
+          maxRetries,
+          configuration: { baseURL: baseUrl },
+        });
+      default:
+        throw new AppError(`Unknown LLM provider: ${provider}`, 'INVALID_CONFIG', { provider });
+    }
+  }
+
+  /**
+   * Send a prompt to the first provider that answers
+   * @param {string|BaseMessage[]} input - The prompt, or messages e.g. with an attached image
+   * @returns {Promise<AIMessage>} The response of the provider that answered
+   * @throws {Error} The last provider's error if every provider failed
+   */
+  async invoke(input) {
+    const now = Date.now();
+    const available = this.providers.filter((provider) => provider.cooldownUntil <= now);
+    let lastError;
+
+    for (const provider of available.length ? available : this.providers) {
+      try {
+        const response = await provider.llm.invoke(input);
+        if (provider !== this.providers[0]) {
+          logger.info('LLM fallback provider answered', { provider: provider.name });
+        }
+        return response;
+      } catch (error) {
+        lastError = error;
+        const rateLimited = isRateLimitError(error);
+        if (rateLimited && this.providers.length > 1) {
+          provider.cooldownUntil = Date.now() + LLM_CONFIG.RATE_LIMIT_COOLDOWN_MS;
+        }
+        logger.warn('LLM provider failed', {
+          provider: provider.name,
+          rateLimited,
+          error: error.message,
+        });
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+module.exports = LLMClient;
@@ -0,0 +1,83 @@
+const LLMClient = require('./LLMClient');
+const { LLM_PROVIDERS } = require('../config/constants');
+
+/**
+ * Create a client whose providers answer through jest mocks
+ * @param {Function[]} invokes - Mock `invoke` of each provider, in order
+ * @returns {LLMClient} The client
+ */
+function createClient(invokes) {
+  const client = new LLMClient(
+    invokes.map(() => ({ provider: LLM_PROVIDERS.OPENAI, apiKey: 'sk-test' })),
+  );
+  client.providers.forEach((provider, index) => {
+    provider.name = `provider-${index}`;
+    provider.llm = { invoke: invokes[index] };
+  });
+  return client;
+}
+
+describe('LLMClient', () => {
+  it('requires a provider', () => {
+    expect(() => new LLMClient([])).toThrow('At least one LLM provider is required');
+  });
+
+  it.each([
+    [{ provider: LLM_PROVIDERS.OPENAI }, 'OPENAI_API_KEY is required'],
+    [
+      { provider: LLM_PROVIDERS.OPENAI_COMPATIBLE, model: 'llama3' },
+      'A base URL and a model are required for an OpenAI-compatible provider',
+    ],
+    [{ provider: 'acme' }, 'Unknown LLM provider: acme'],
+  ])('rejects the misconfigured provider %p', (config, message) => {
+    expect(() => LLMClient.createChatModel(config)).toThrow(message);
+  });
+
+  it('falls back to the next provider when one fails', async () => {
+    const client = createClient([
+      jest.fn().mockRejectedValue(new Error('Service unavailable')),
+      jest.fn().mockResolvedValue({ content: 'Summary' }),
+    ]);
+
+    await expect(client.invoke('Summarize')).resolves.toEqual({ content: 'Summary' });
+  });
+
+  it('skips a rate limited provider until its cooldown is over', async () => {
+    const primary = jest
+      .fn()
+      .mockRejectedValue(Object.assign(new Error('Too many'), { status: 429 }));
+    const fallback = jest.fn().mockResolvedValue({ content: 'Summary' });
+    const client = createClient([primary, fallback]);
+
+    await client.invoke('First');
+    await client.invoke('Second');
+
+    expect(primary).toHaveBeenCalledTimes(1);
+    expect(fallback).toHaveBeenCalledTimes(2);
+  });
+
+  it("throws the last provider's error when every provider fails", async () => {
+    const client = createClient([
+      jest.fn().mockRejectedValue(new Error('First failed')),
+      jest.fn().mockRejectedValue(new Error('Second failed')),
+    ]);
+
+    await expect(client.invoke('Summarize')).rejects.toThrow('Second failed');
+  });
+
+  it('sizes chunks to the smallest context window', () => {
+    const client = new LLMClient([
+      { provider: LLM_PROVIDERS.OPENAI, apiKey: 'sk-test', contextWindow: 128000 },
+      {
+        provider: LLM_PROVIDERS.OPENAI_COMPATIBLE,
+        model: 'llama3',
+        baseUrl: 'http://localhost:11434/v1',
+        contextWindow: 8192,
+        maxTokens: 1024,
+      },
+    ]);
+
+    expect(client.getChunkTokens()).toBe(8192 - 1024 - 1000);
+    expect(client.getMaxResponseTokens()).toBe(1024);
+  });
+});
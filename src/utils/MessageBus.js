@@ -1,5 +1,6 @@
+const os = require('os');
 const Redis = require('ioredis');
-const { STREAMS } = require('../config/constants');
+const { STREAMS, MESSAGE_BUS_CONFIG, WORKER_CONFIG } = require('../config/constants');
 const winston = require('winston');
 
 // Create logger instance
@@ -17,6 +18,9 @@ class MessageBus {
   constructor(redisUrl) {
     this.redis = new Redis(redisUrl);
     this.streams = STREAMS;
+    this.subscriptions = [];
+    this.recoveryTimer = null;
+    this.recovering = false;
   }
 
   async clearStreams() {
@@ -35,9 +39,25 @@ class MessageBus {
     }
   }
 
+  /**
+   * Append a message to a stream
+   * The stream is trimmed to about `MESSAGE_BUS_CONFIG.STREAM_MAX_LENGTH` entries, so acknowledged
+   * messages and their content do not stay in Redis forever.
+   * @param {string} stream - The stream name
+   * @param {Object} message - The message, serialized as JSON
+   * @returns {Promise<string>} The stream entry ID
+   */
   async publish(stream, message) {
     try {
-      const messageId = await this.redis.xadd(stream, '*', 'message', JSON.stringify(message));
+      const messageId = await this.redis.xadd(
+        stream,
+        'MAXLEN',
+        '~',
+        MESSAGE_BUS_CONFIG.STREAM_MAX_LENGTH,
+        '*',
+        'message',
+        JSON.stringify(message),
+      );
       return messageId;
     } catch (error) {
       logger.error(`Error publishing to stream ${stream}`, {
@@ -48,39 +68,97 @@ class MessageBus {
     }
   }
 
-  async subscribe(stream, consumerGroup, consumerName, callback) {
-    try {
-      // Create consumer group if it doesn't exist
-      try {
-        await this.redis.xgroup('CREATE', stream, consumerGroup, '0', 'MKSTREAM');
-      } catch (error) {
-        if (!error.message.includes('BUSYGROUP')) {
-          throw error;
-        }
-      }
+  /**
+   * Consume a stream through a consumer group
+   * Every consumer reads on its own Redis connection, since a blocking XREADGROUP holds the
+   * connection it runs on. Each message is retried with exponential backoff; once the attempts are exhausted it is moved to
+   * the stream's dead-letter stream and acknowledged, so one bad message never stops the consumer.
+   * Failed reads, e.g. while Redis is briefly unreachable, are retried with the same backoff, and a
+   * consumer group that disappeared with its stream (`NOGROUP`) is created again.
+   * @param {string} stream - The stream to consume
+   * @param {string} consumerGroup - The consumer group name
+   * @param {string} consumerName - The consumer name within the group
+   * @param {Function} callback - Async handler called with (message, messageId)
+   * @param {Object} [options] - Delivery options
+   * @param {number} [options.maxAttempts] - Attempts before dead-lettering
+   * @param {number} [options.retryDelayMs] - Initial retry delay in milliseconds
+   * @param {number} [options.maxRetryDelayMs] - Maximum retry delay in milliseconds
+   * @param {Function} [options.onDeadLetter] - Called with (message, error) once a message is
+   *   dead-lettered; `message` is null if the payload could not be parsed
+   */
+  async subscribe(stream, consumerGroup, consumerName, callback, options = {}) {
+    const {
+      retryDelayMs = MESSAGE_BUS_CONFIG.RETRY_DELAY_MS,
+      maxRetryDelayMs = MESSAGE_BUS_CONFIG.MAX_RETRY_DELAY_MS,
+    } = options;
+    // Register before any await so recovery sees every subscription
+    this.subscriptions.push({ stream, consumerGroup, consumerName, callback, options });
+    const reader = this.redis.duplicate();
+    let groupReady = false;
+    let readFailures = 0;
 
+    try {
       // Start consuming messages
       while (true) {
-        const messages = await this.redis.xreadgroup(
-          'GROUP',
-          consumerGroup,
-          consumerName,
-          'COUNT',
-          1,
-          'BLOCK',
-          2000,
-          'STREAMS',
-          stream,
-          '>',
-        );
+        let messages;
+        try {
+          if (!groupReady) {
+            await this.ensureConsumerGroup(stream, consumerGroup);
+            groupReady = true;
+          }
+          messages = await reader.xreadgroup(
+            'GROUP',
+            consumerGroup,
+            consumerName,
+            'COUNT',
+            1,
+            'BLOCK',
+            2000,
+            'STREAMS',
+            stream,
+            '>',
+          );
+          readFailures = 0;
+        } catch (error) {
+          // The group is gone if its stream was deleted; create both again
+          if (error.message.includes('NOGROUP')) {
+            groupReady = false;
+          }
+          readFailures++;
+          const retryDelay = Math.min(
+            retryDelayMs * Math.pow(2, readFailures - 1),
+            maxRetryDelayMs,
+          );
+          logger.error(`Error reading from stream ${stream}`, {
+            consumerGroup,
+            consumerName,
+            error: error.message,
+            retryDelay,
+          });
+          await new Promise((resolve) => setTimeout(resolve, retryDelay));
+          continue;
+        }
 
         if (messages) {
           for (const [streamName, streamMessages] of messages) {
             for (const [messageId, messageData] of streamMessages) {
-              const message = JSON.parse(messageData[1]);
-              await callback(message, messageId);
-              // Acknowledge the message
-              await this.redis.xack(streamName, consumerGroup, messageId);
+              try {
+                await this.handleMessage(
+                  streamName,
+                  consumerGroup,
+                  consumerName,
+                  messageId,
+                  messageData,
+                  callback,
+                  options,
+                );
+              } catch (error) {
+                // Leave the message pending so it can be reclaimed later
+                logger.error(`Error handling message ${messageId} from stream ${streamName}`, {
+                  error: error.message,
+                  stack: error.stack,
+                });
+              }
             }
           }
         }
@@ -91,6 +169,429 @@ class MessageBus {
         stack: error.stack,
       });
       throw error;
+    } finally {
+      reader.disconnect();
+    }
+  }
+
+  /**
+   * Run several consumers of the same group in this process
+   * Consumer names are unique per host and process, so further worker processes can join the same
+   * groups to scale a stage horizontally.
+   * @param {string} stream - The stream to consume
+   * @param {string} consumerGroup - The consumer group name
+   * @param {string} consumerPrefix - Prefix for the consumer names, usually the stage name
+   * @param {Function} callback - Async handler called with (message, messageId)
+   * @param {Object} [options] - Delivery options, see {@link MessageBus#subscribe}
+   * @param {number} [options.concurrency] - Number of consumers, i.e. messages handled in parallel
+   * @returns {Promise<void[]>} Settles only when the consumers stop
+   */
+  subscribeConcurrent(stream, consumerGroup, consumerPrefix, callback, options = {}) {
+    const { concurrency = WORKER_CONFIG.DEFAULT_CONCURRENCY } = options;
+    const consumers = [];
+    for (let index = 1; index <= concurrency; index++) {
+      consumers.push(
+        this.subscribe(
+          stream,
+          consumerGroup,
+          this.getConsumerName(consumerPrefix, index),
+          callback,
+          options,
+        ),
+      );
+    }
+    return Promise.all(consumers);
+  }
+
+  /**
+   * Build a consumer name that is unique to this process
+   * @param {string} prefix - Consumer name prefix, usually the stage name
+   * @param {number} [index=1] - Consumer index within this process
+   * @returns {string} The consumer name, e.g. `summarization-worker-a-4242-1`
+   */
+  getConsumerName(prefix, index = 1) {
+    return `${prefix}-${os.hostname()}-${process.pid}-${index}`;
+  }
+
+  /**
+   * Create a consumer group (and its stream) if it doesn't exist
+   * A group created on an existing stream starts at its end, so a stage added later or a group
+   * that was recreated does not replay the history the stream retains. A group that creates its
+   * stream starts at the beginning, so messages published in the meantime (e.g. by another process
+   * on a first deploy) are still processed.
+   * @param {string} stream - The stream name
+   * @param {string} consumerGroup - The consumer group name
+   */
+  async ensureConsumerGroup(stream, consumerGroup) {
+    try {
+      const exists = await this.redis.exists(stream);
+      await this.redis.xgroup('CREATE', stream, consumerGroup, exists ? '$' : '0', 'MKSTREAM');
+    } catch (error) {
+      if (!error.message.includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Keep a pending message claimed by a consumer while it is being handled
+   * XCLAIM with JUSTID resets the message's idle time without counting a delivery, so
+   * {@link MessageBus#reclaimStaleMessages} leaves it alone however long the handler runs.
+   * @param {string} stream - The stream name
+   * @param {string} consumerGroup - The consumer group name
+   * @param {string} consumerName - The consumer handling the message
+   * @param {string} messageId - The stream entry ID
+   * @returns {Function} Stops refreshing the claim
+   */
+  keepClaimed(stream, consumerGroup, consumerName, messageId) {
+    const timer = setInterval(async () => {
+      try {
+        await this.redis.xclaim(stream, consumerGroup, consumerName, 0, messageId, 'JUSTID');
+      } catch (error) {
+        logger.warn(`Error refreshing claim on message ${messageId} from stream ${stream}`, {
+          error: error.message,
+        });
+      }
+    }, MESSAGE_BUS_CONFIG.CLAIM_REFRESH_MS);
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Run the callback for a single stream entry, retrying and dead-lettering on failure
+   * @param {string} stream - The stream the entry was read from
+   * @param {string} consumerGroup - The consumer group name
+   * @param {string} consumerName - The consumer handling the entry
+   * @param {string} messageId - The stream entry ID
+   * @param {string[]} messageData - The raw stream entry fields
+   * @param {Function} callback - Async handler called with (message, messageId)
+   * @param {Object} [options] - Delivery options, see {@link MessageBus#subscribe}
+   */
+  async handleMessage(
+    stream,
+    consumerGroup,
+    consumerName,
+    messageId,
+    messageData,
+    callback,
+    options = {},
+  ) {
+    const {
+      maxAttempts = MESSAGE_BUS_CONFIG.MAX_ATTEMPTS,
+      retryDelayMs = MESSAGE_BUS_CONFIG.RETRY_DELAY_MS,
+      maxRetryDelayMs = MESSAGE_BUS_CONFIG.MAX_RETRY_DELAY_MS,
+    } = options;
+    const payload = messageData[1];
+
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (error) {
+      // A malformed payload will never succeed, so skip the retries
+      await this.deadLetter(stream, consumerGroup, messageId, payload, error, 0, options);
+      await this.redis.xack(stream, consumerGroup, messageId);
+      return;
+    }
+
+    let lastError;
+    const stopClaiming = this.keepClaimed(stream, consumerGroup, consumerName, messageId);
+    try {
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+          await callback(message, messageId);
+          // Acknowledge the message
+          await this.redis.xack(stream, consumerGroup, messageId);
+          return;
+        } catch (error) {
+          lastError = error;
+          logger.warn(`Error processing message ${messageId} from stream ${stream}`, {
+            attempt,
+            maxAttempts,
+            error: error.message,
+          });
+
+          if (attempt < maxAttempts) {
+            const retryDelay = Math.min(retryDelayMs * Math.pow(2, attempt - 1), maxRetryDelayMs);
+            await new Promise((resolve) => setTimeout(resolve, retryDelay));
+          }
+        }
+      }
+    } finally {
+      stopClaiming();
+    }
+
+    await this.deadLetter(
+      stream,
+      consumerGroup,
+      messageId,
+      payload,
+      lastError,
+      maxAttempts,
+      options,
+    );
+    await this.redis.xack(stream, consumerGroup, messageId);
+  }
+
+  /**
+   * Get the dead-letter stream name for a stream
+   * @param {string} stream - The source stream name
+   * @returns {string} The dead-letter stream name, e.g. `stream:dlq:scraping`
+   */
+  getDeadLetterStream(stream) {
+    return `${MESSAGE_BUS_CONFIG.DLQ_PREFIX}${stream.replace(/^stream:/, '')}`;
+  }
+
+  /**
+   * Move a failed message to its stream's dead-letter stream
+   * @param {string} stream - The source stream name
+   * @param {string} consumerGroup - The consumer group that failed to process the message
+   * @param {string} messageId - The source stream entry ID
+   * @param {string} payload - The original serialized message
+   * @param {Error} error - The last processing error
+   * @param {number} attempts - Number of processing attempts made
+   * @param {Object} [options] - Delivery options, see {@link MessageBus#subscribe}
+   * @returns {Promise<string>} The dead-letter entry ID
+   */
+  async deadLetter(stream, consumerGroup, messageId, payload, error, attempts, options = {}) {
+    const deadLetterStream = this.getDeadLetterStream(stream);
+    try {
+      const deadLetterId = await this.redis.xadd(
+        deadLetterStream,
+        'MAXLEN',
+        '~',
+        MESSAGE_BUS_CONFIG.STREAM_MAX_LENGTH,
+        '*',
+        'message',
+        payload,
+        'error',
+        error.message,
+        'attempts',
+        attempts,
+        'sourceStream',
+        stream,
+        'sourceMessageId',
+        messageId,
+        'consumerGroup',
+        consumerGroup,
+        'failedAt',
+        new Date().toISOString(),
+      );
+      logger.error(`Message ${messageId} from stream ${stream} moved to ${deadLetterStream}`, {
+        error: error.message,
+        attempts,
+      });
+
+      if (options.onDeadLetter) {
+        let message = null;
+        try {
+          message = JSON.parse(payload);
+        } catch (_) {
+          // Malformed payloads are reported without a message
+        }
+        try {
+          await options.onDeadLetter(message, error);
+        } catch (hookError) {
+          logger.error(`Error in dead-letter handler for stream ${stream}`, {
+            error: hookError.message,
+            stack: hookError.stack,
+          });
+        }
+      }
+
+      return deadLetterId;
+    } catch (dlqError) {
+      logger.error(`Error dead-lettering message ${messageId} from stream ${stream}`, {
+        error: dlqError.message,
+        stack: dlqError.stack,
+      });
+      throw dlqError;
+    }
+  }
+
+  /**
+   * Reclaim messages left pending by dead or stuck consumers and reprocess them
+   * Messages idle for longer than `minIdleMs` are claimed for `consumerName` with XAUTOCLAIM and
+   * run through the same retry and dead-letter handling as freshly read messages. Messages still
+   * being handled are never idle that long, since their consumer keeps refreshing its claim.
+   * @param {string} stream - The stream name
+   * @param {string} consumerGroup - The consumer group name
+   * @param {string} consumerName - The live consumer that takes over the messages
+   * @param {Function} callback - Async handler called with (message, messageId)
+   * @param {Object} [options] - Delivery options, see {@link MessageBus#subscribe}
+   * @param {number} [options.minIdleMs] - Idle time after which a message is considered stale
+   * @returns {Promise<number>} Number of messages reclaimed
+   */
+  async reclaimStaleMessages(stream, consumerGroup, consumerName, callback, options = {}) {
+    const { minIdleMs = MESSAGE_BUS_CONFIG.RECLAIM_MIN_IDLE_MS } = options;
+    let cursor = '0-0';
+    let reclaimed = 0;
+
+    await this.ensureConsumerGroup(stream, consumerGroup);
+
+    do {
+      const [nextCursor, entries] = await this.redis.xautoclaim(
+        stream,
+        consumerGroup,
+        consumerName,
+        minIdleMs,
+        cursor,
+        'COUNT',
+        100,
+      );
+      cursor = nextCursor;
+
+      for (const entry of entries) {
+        // Entries deleted from the stream while pending come back empty
+        if (!entry || !entry[1]) {
+          continue;
+        }
+        const [messageId, messageData] = entry;
+        reclaimed++;
+
+        try {
+          const [[, , , deliveries]] = await this.redis.xpending(
+            stream,
+            consumerGroup,
+            messageId,
+            messageId,
+            1,
+          );
+          logger.info(`Reclaimed stale message ${messageId} from stream ${stream}`, {
+            consumerGroup,
+            consumerName,
+            deliveries,
+          });
+
+          // A message that keeps getting stuck (e.g. crashes the worker) is poison
+          if (deliveries > MESSAGE_BUS_CONFIG.MAX_DELIVERIES) {
+            await this.deadLetter(
+              stream,
+              consumerGroup,
+              messageId,
+              messageData[1],
+              new Error(`Exceeded ${MESSAGE_BUS_CONFIG.MAX_DELIVERIES} deliveries`),
+              deliveries,
+              options,
+            );
+            await this.redis.xack(stream, consumerGroup, messageId);
+            continue;
+          }
+
+          await this.handleMessage(
+            stream,
+            consumerGroup,
+            consumerName,
+            messageId,
+            messageData,
+            callback,
+            options,
+          );
+        } catch (error) {
+          logger.error(`Error reprocessing message ${messageId} from stream ${stream}`, {
+            error: error.message,
+            stack: error.stack,
+          });
+        }
+      }
+    } while (cursor !== '0-0');
+
+    return reclaimed;
+  }
+
+  /**
+   * Reclaim stale messages for every registered subscription
+   * @returns {Promise<void>}
+   */
+  async recoverPendingMessages() {
+    // Scans can take as long as the handlers they rerun, so never overlap them
+    if (this.recovering) {
+      return;
+    }
+    this.recovering = true;
+
+    try {
+      const seen = new Set();
+      for (const { stream, consumerGroup, consumerName, callback, options } of this.subscriptions) {
+        // One scan per group is enough; the first consumer takes over the stale messages
+        const key = `${stream}:${consumerGroup}`;
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+
+        try {
+          const reclaimed = await this.reclaimStaleMessages(
+            stream,
+            consumerGroup,
+            consumerName,
+            callback,
+            options,
+          );
+          if (reclaimed > 0) {
+            logger.info(`Recovered ${reclaimed} stale messages from stream ${stream}`, {
+              consumerGroup,
+            });
+          }
+          await this.pruneIdleConsumers(stream, consumerGroup);
+        } catch (error) {
+          logger.error(`Error recovering pending messages from stream ${stream}`, {
+            error: error.message,
+            stack: error.stack,
+          });
+        }
+      }
+    } finally {
+      this.recovering = false;
+    }
+  }
+
+  /**
+   * Remove consumers that hold no pending messages and have been idle past the reclaim threshold
+   * Consumer names change with every process, so without pruning each restart would leave its
+   * consumers behind in the group. A pruned consumer that is still alive is recreated by Redis on
+   * its next read.
+   * @param {string} stream - The stream name
+   * @param {string} consumerGroup - The consumer group name
+   * @returns {Promise<void>}
+   */
+  async pruneIdleConsumers(stream, consumerGroup) {
+    const ownConsumers = new Set(this.subscriptions.map(({ consumerName }) => consumerName));
+    const consumers = await this.redis.xinfo('CONSUMERS', stream, consumerGroup);
+
+    for (const fields of consumers) {
+      const info = {};
+      for (let i = 0; i < fields.length; i += 2) {
+        info[fields[i]] = fields[i + 1];
+      }
+
+      if (
+        !ownConsumers.has(info.name) &&
+        Number(info.pending) === 0 &&
+        Number(info.idle) > MESSAGE_BUS_CONFIG.RECLAIM_MIN_IDLE_MS
+      ) {
+        await this.redis.xgroup('DELCONSUMER', stream, consumerGroup, info.name);
+        logger.info(`Removed idle consumer ${info.name} from stream ${stream}`, { consumerGroup });
+      }
+    }
+  }
+
+  /**
+   * Recover stale pending messages now and then on a fixed interval
+   * @param {number} [intervalMs] - Interval between scans in milliseconds
+   */
+  startRecovery(intervalMs = MESSAGE_BUS_CONFIG.RECLAIM_INTERVAL_MS) {
+    this.stopRecovery();
+    this.recoverPendingMessages();
+    this.recoveryTimer = setInterval(() => this.recoverPendingMessages(), intervalMs);
+    logger.info('Pending message recovery started', { intervalMs });
+  }
+
+  /**
+   * Stop the periodic stale message recovery
+   */
+  stopRecovery() {
+    if (this.recoveryTimer) {
+      clearInterval(this.recoveryTimer);
+      this.recoveryTimer = null;
     }
   }
 
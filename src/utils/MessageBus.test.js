@@ -0,0 +1,305 @@
+jest.mock('ioredis');
+
+const MessageBus = require('./MessageBus');
+
+/**
+ * Create a MessageBus whose Redis client is a set of jest mocks
+ * @param {Object} [commands] - Mock implementations of Redis commands
+ * @returns {MessageBus} The message bus, with the mocks on `bus.redis`
+ */
+function createBus(commands = {}) {
+  const bus = new MessageBus();
+  bus.redis = {
+    exists: jest.fn().mockResolvedValue(0),
+    xgroup: jest.fn().mockResolvedValue('OK'),
+    xack: jest.fn().mockResolvedValue(1),
+    xadd: jest.fn().mockResolvedValue('2-0'),
+    xclaim: jest.fn().mockResolvedValue([]),
+    ...commands,
+  };
+  return bus;
+}
+
+/**
+ * Build a stream entry as XREADGROUP returns it
+ * @param {string} messageId - The stream entry ID
+ * @param {Object|string} message - The message, serialized unless it is a string already
+ * @returns {Array} The entry
+ */
+function entry(messageId, message) {
+  return [messageId, ['message', typeof message === 'string' ? message : JSON.stringify(message)]];
+}
+
+/**
+ * Wait until a condition holds, checking after every timer tick
+ * @param {Function} condition - Returns true once done
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  for (let tick = 0; tick < 100 && !condition(); tick++) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  expect(condition()).toBe(true);
+}
+
+describe('MessageBus', () => {
+  describe('subscribe', () => {
+    it('keeps reading after a read error and recreates a missing group', async () => {
+      const bus = createBus();
+      const reader = {
+        xreadgroup: jest
+          .fn()
+          .mockRejectedValueOnce(new Error('Connection is closed.'))
+          .mockRejectedValueOnce(new Error('NOGROUP No such key or consumer group'))
+          .mockResolvedValueOnce([['stream:scraping', [entry('1-0', { url: 'https://a.test' })]]])
+          // Blocks forever, like XREADGROUP on an empty stream
+          .mockReturnValue(new Promise(() => {})),
+        disconnect: jest.fn(),
+      };
+      bus.redis.duplicate = jest.fn(() => reader);
+      const callback = jest.fn().mockResolvedValue();
+
+      bus.subscribe('stream:scraping', 'scraping-group', 'worker-1', callback, {
+        retryDelayMs: 1,
+      });
+
+      await waitFor(() => callback.mock.calls.length === 1);
+      expect(callback).toHaveBeenCalledWith({ url: 'https://a.test' }, '1-0');
+      expect(bus.redis.xgroup).toHaveBeenCalledTimes(2);
+      expect(bus.redis.xack).toHaveBeenCalledWith('stream:scraping', 'scraping-group', '1-0');
+      expect(reader.disconnect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('subscribeConcurrent', () => {
+    it('starts one uniquely named consumer per unit of concurrency', () => {
+      const bus = createBus();
+      bus.subscribe = jest.fn().mockResolvedValue();
+      const callback = jest.fn();
+
+      bus.subscribeConcurrent('stream:scraping', 'scraping-group', 'scraping', callback, {
+        concurrency: 3,
+      });
+
+      const names = bus.subscribe.mock.calls.map(([, , consumerName]) => consumerName);
+      expect(names).toEqual([1, 2, 3].map((index) => bus.getConsumerName('scraping', index)));
+      expect(new Set(names).size).toBe(3);
+      expect(names[0]).toContain(`-${process.pid}-`);
+    });
+  });
+
+  describe('handleMessage', () => {
+    it('acknowledges a message once the callback succeeds', async () => {
+      const bus = createBus();
+      const callback = jest.fn().mockRejectedValueOnce(new Error('Timeout')).mockResolvedValue();
+
+      await bus.handleMessage(
+        'stream:scraping',
+        'scraping-group',
+        'worker-1',
+        ...entry('1-0', { url: 'https://a.test' }),
+        callback,
+        { retryDelayMs: 1 },
+      );
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(bus.redis.xack).toHaveBeenCalledWith('stream:scraping', 'scraping-group', '1-0');
+      expect(bus.redis.xadd).not.toHaveBeenCalled();
+    });
+
+    it('dead-letters a message after its last attempt', async () => {
+      const bus = createBus();
+      const callback = jest.fn().mockRejectedValue(new Error('Timeout'));
+      const onDeadLetter = jest.fn();
+
+      await bus.handleMessage(
+        'stream:scraping',
+        'scraping-group',
+        'worker-1',
+        ...entry('1-0', { url: 'https://a.test' }),
+        callback,
+        { maxAttempts: 2, retryDelayMs: 1, onDeadLetter },
+      );
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      const fields = bus.redis.xadd.mock.calls[0];
+      expect(fields.slice(0, 5)).toEqual(['stream:dlq:scraping', 'MAXLEN', '~', 10000, '*']);
+      expect(fields).toEqual(
+        expect.arrayContaining(['error', 'Timeout', 'attempts', 2, 'sourceMessageId', '1-0']),
+      );
+      expect(onDeadLetter).toHaveBeenCalledWith({ url: 'https://a.test' }, expect.any(Error));
+      expect(bus.redis.xack).toHaveBeenCalledWith('stream:scraping', 'scraping-group', '1-0');
+    });
+
+    it('dead-letters a malformed payload without calling the handler', async () => {
+      const bus = createBus();
+      const callback = jest.fn();
+
+      await bus.handleMessage(
+        'stream:scraping',
+        'scraping-group',
+        'worker-1',
+        ...entry('1-0', '{not json'),
+        callback,
+      );
+
+      expect(callback).not.toHaveBeenCalled();
+      const fields = bus.redis.xadd.mock.calls[0];
+      expect(fields[0]).toBe('stream:dlq:scraping');
+      expect(fields).toEqual(expect.arrayContaining(['message', '{not json', 'attempts', 0]));
+      expect(bus.redis.xack).toHaveBeenCalledWith('stream:scraping', 'scraping-group', '1-0');
+    });
+  });
+
+  describe('ensureConsumerGroup', () => {
+    it('starts a group that creates its stream at the beginning', async () => {
+      const bus = createBus();
+
+      await bus.ensureConsumerGroup('stream:scraping', 'scraping-group');
+
+      expect(bus.redis.xgroup).toHaveBeenCalledWith(
+        'CREATE',
+        'stream:scraping',
+        'scraping-group',
+        '0',
+        'MKSTREAM',
+      );
+    });
+
+    it('starts a group on an existing stream at its end', async () => {
+      const bus = createBus({ exists: jest.fn().mockResolvedValue(1) });
+
+      await bus.ensureConsumerGroup('stream:scraping', 'scraping-group');
+
+      expect(bus.redis.xgroup).toHaveBeenCalledWith(
+        'CREATE',
+        'stream:scraping',
+        'scraping-group',
+        '$',
+        'MKSTREAM',
+      );
+    });
+
+    it('ignores groups that already exist', async () => {
+      const bus = createBus({
+        exists: jest.fn().mockResolvedValue(1),
+        xgroup: jest
+          .fn()
+          .mockRejectedValue(new Error('BUSYGROUP Consumer Group name already exists')),
+      });
+
+      await expect(bus.ensureConsumerGroup('stream:scraping', 'scraping-group')).resolves.toBe(
+        undefined,
+      );
+    });
+  });
+
+  describe('publish', () => {
+    it('trims the stream as it appends', async () => {
+      const bus = createBus();
+
+      await expect(bus.publish('stream:scraping', { url: 'https://a.test' })).resolves.toBe('2-0');
+
+      expect(bus.redis.xadd).toHaveBeenCalledWith(
+        'stream:scraping',
+        'MAXLEN',
+        '~',
+        10000,
+        '*',
+        'message',
+        JSON.stringify({ url: 'https://a.test' }),
+      );
+    });
+  });
+
+  describe('reclaimStaleMessages', () => {
+    it('reruns stale messages and skips entries deleted while pending', async () => {
+      const bus = createBus({
+        xautoclaim: jest
+          .fn()
+          .mockResolvedValueOnce(['5-0', [entry('1-0', { url: 'https://a.test' }), null]])
+          .mockResolvedValueOnce(['0-0', [entry('6-0', { url: 'https://b.test' })]]),
+        xpending: jest.fn().mockResolvedValue([['1-0', 'worker-0', 300001, 2]]),
+      });
+      const callback = jest.fn().mockResolvedValue();
+
+      await expect(
+        bus.reclaimStaleMessages('stream:scraping', 'scraping-group', 'worker-1', callback),
+      ).resolves.toBe(2);
+
+      expect(bus.redis.xautoclaim).toHaveBeenCalledTimes(2);
+      expect(bus.redis.xautoclaim.mock.calls[1][4]).toBe('5-0');
+      expect(callback).toHaveBeenCalledWith({ url: 'https://a.test' }, '1-0');
+      expect(callback).toHaveBeenCalledWith({ url: 'https://b.test' }, '6-0');
+      expect(bus.redis.xack).toHaveBeenCalledTimes(2);
+    });
+
+    it('dead-letters a message that exceeded its deliveries', async () => {
+      const bus = createBus({
+        xautoclaim: jest.fn().mockResolvedValue(['0-0', [entry('1-0', { url: 'https://a.test' })]]),
+        xpending: jest.fn().mockResolvedValue([['1-0', 'worker-0', 300001, 6]]),
+      });
+      const callback = jest.fn();
+
+      await bus.reclaimStaleMessages('stream:scraping', 'scraping-group', 'worker-1', callback);
+
+      expect(callback).not.toHaveBeenCalled();
+      const fields = bus.redis.xadd.mock.calls[0];
+      expect(fields[0]).toBe('stream:dlq:scraping');
+      expect(fields).toEqual(
+        expect.arrayContaining(['error', 'Exceeded 5 deliveries', 'attempts', 6]),
+      );
+      expect(bus.redis.xack).toHaveBeenCalledWith('stream:scraping', 'scraping-group', '1-0');
+    });
+  });
+
+  describe('keepClaimed', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('refreshes the claim until stopped', () => {
+      jest.useFakeTimers();
+      const bus = createBus();
+
+      const stop = bus.keepClaimed('stream:scraping', 'scraping-group', 'worker-1', '1-0');
+      jest.advanceTimersByTime(120000);
+      stop();
+      jest.advanceTimersByTime(120000);
+
+      expect(bus.redis.xclaim).toHaveBeenCalledTimes(2);
+      expect(bus.redis.xclaim).toHaveBeenCalledWith(
+        'stream:scraping',
+        'scraping-group',
+        'worker-1',
+        0,
+        '1-0',
+        'JUSTID',
+      );
+    });
+  });
+
+  describe('pruneIdleConsumers', () => {
+    it('removes only idle consumers of other processes without pending messages', async () => {
+      const bus = createBus({
+        xinfo: jest.fn().mockResolvedValue([
+          ['name', 'worker-1', 'pending', 0, 'idle', 900000],
+          ['name', 'gone-1', 'pending', 0, 'idle', 900000],
+          ['name', 'gone-2', 'pending', 3, 'idle', 900000],
+          ['name', 'other-1', 'pending', 0, 'idle', 1000],
+        ]),
+      });
+      bus.subscriptions = [{ consumerName: 'worker-1' }];
+
+      await bus.pruneIdleConsumers('stream:scraping', 'scraping-group');
+
+      expect(bus.redis.xgroup).toHaveBeenCalledTimes(1);
+      expect(bus.redis.xgroup).toHaveBeenCalledWith(
+        'DELCONSUMER',
+        'stream:scraping',
+        'scraping-group',
+        'gone-1',
+      );
+    });
+  });
+});
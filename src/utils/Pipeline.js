@@ -0,0 +1,216 @@
+const winston = require('winston');
+const { WORKER_CONFIG, JOB_STATES } = require('../config/constants');
+
+// Create logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'combined.log' }),
+  ],
+});
+
+/**
+ * A pipeline stage definition
+ * @typedef {Object} PipelineStage
+ * @property {string} name - Stage name, also used as consumer name prefix
+ * @property {string} input - Stream the stage consumes
+ * @property {string} [output] - Stream the result is published to; omit for terminal stages
+ * @property {string} [group] - Consumer group name (default: `<name>-group`)
+ * @property {{processMessage: Function}} [processor] - Processor run on each message; omit for
+ *   notification-only stages. `processMessage` is called with the message and
+ *   `{ onProgress }`, a function showing a status text on the job's status message.
+ * @property {Function} [when] - Routing predicate; the stage skips messages it returns false for
+ * @property {string|Function} [progressMessage] - Text shown on the job's status message while
+ *   the stage runs
+ * @property {string|Function} [failureMessage] - Reason shown to the user when the stage ends the
+ *   job as failed (default: the message's `error`)
+ * @property {number} [concurrency] - Consumers for this stage in this process
+ * @property {string} [state] - Job state recorded when the stage starts
+ * @property {string} [finalState] - Job state recorded when the stage finishes
+ */
+
+/**
+ * Wires declaratively defined stages onto the message bus
+ * Every stage gets its own consumer group, so several stages can read the same stream and pick
+ * their messages with a routing predicate.
+ */
+class Pipeline {
+  /**
+   * Create a new Pipeline
+   * @param {MessageBus} messageBus - The message bus instance
+   * @param {Object} [options] - Pipeline options
+   * @param {ProgressReporter} [options.progress] - Keeps the user's status message up to date
+   * @param {number} [options.concurrency] - Default consumers per stage
+   * @param {JobTracker} [options.jobTracker] - Records job state as stages run
+   */
+  constructor(
+    messageBus,
+    { progress, concurrency = WORKER_CONFIG.DEFAULT_CONCURRENCY, jobTracker } = {},
+  ) {
+    this.messageBus = messageBus;
+    this.progress = progress;
+    this.jobTracker = jobTracker;
+    this.concurrency = concurrency;
+    this.stages = [];
+  }
+
+  /**
+   * Register a stage
+   * @param {PipelineStage} stage - The stage definition
+   * @returns {Pipeline} This pipeline, for chaining
+   * @throws {Error} If the stage has no name or input stream
+   */
+  register(stage) {
+    if (!stage.name || !stage.input) {
+      throw new Error('Pipeline stage requires a name and an input stream');
+    }
+    this.stages.push(stage);
+    return this;
+  }
+
+  /**
+   * Start consuming for every registered stage
+   */
+  start() {
+    for (const stage of this.stages) {
+      this.messageBus
+        .subscribeConcurrent(
+          stage.input,
+          stage.group || `${stage.name}-group`,
+          stage.name,
+          (message) => this.runStage(stage, message),
+          {
+            concurrency: stage.concurrency || this.concurrency,
+            onDeadLetter: async (message, error) => {
+              if (message) {
+                await this.trackJob(message, JOB_STATES.FAILED, { error: error.message });
+                await this.reportResult(message, JOB_STATES.FAILED, error.message);
+              }
+            },
+          },
+        )
+        .catch((error) => {
+          logger.error(`Pipeline stage ${stage.name} stopped`, {
+            error: error.message,
+            stack: error.stack,
+          });
+        });
+    }
+
+    logger.info('Pipeline started', {
+      stages: this.stages.map(({ name, input, output }) => ({ name, input, output })),
+    });
+  }
+
+  /**
+   * Run one stage on one message
+   * @param {PipelineStage} stage - The stage definition
+   * @param {Object} message - The message read from the stage's input stream
+   * @returns {Promise<void>}
+   */
+  async runStage(stage, message) {
+    if (stage.when && !stage.when(message)) {
+      return;
+    }
+
+    await this.trackJob(message, stage.state);
+    const input = await this.reportProgress(message, stage.state, stage.progressMessage);
+    let result = stage.processor
+      ? await stage.processor.processMessage(input, {
+          onProgress: (text) => this.reportProgress(input, stage.state, text),
+        })
+      : input;
+    await this.trackJob(result, stage.finalState, {
+      notionPageId: result.notionPageId,
+      notionPageUrl: result.notionPageUrl,
+      title: result.title,
+      summary: result.summary,
+      tags: result.tags,
+      progressMessageId: result.progressMessageId,
+      error: result.error,
+    });
+    result = await this.reportResult(
+      result,
+      stage.finalState,
+      typeof stage.failureMessage === 'function'
+        ? stage.failureMessage(result)
+        : stage.failureMessage || result.error,
+    );
+
+    if (stage.output) {
+      await this.messageBus.publish(stage.output, result);
+    }
+  }
+
+  /**
+   * Record a job state change for the message's job
+   * Tracking is best effort and never fails the stage.
+   * @private
+   * @param {Object} message - The pipeline message
+   * @param {string} [state] - The job state to record
+   * @param {Object} [fields={}] - Extra fields to record; undefined values are skipped
+   * @returns {Promise<void>}
+   */
+  async trackJob(message, state, fields = {}) {
+    if (!state || !this.jobTracker || !message.jobId) {
+      return;
+    }
+
+    const definedFields = Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value !== undefined && value !== null),
+    );
+
+    try {
+      await this.jobTracker.updateState(message.jobId, state, definedFields);
+    } catch (error) {
+      logger.error('Error tracking job state', {
+        error: error.message,
+        jobId: message.jobId,
+        state,
+      });
+    }
+  }
+
+  /**
+   * Show the stage a job has reached on the user's status message
+   * @private
+   * @param {Object} message - The pipeline message
+   * @param {string} [state] - The job state the stage records
+   * @param {string|Function} [template] - Status text, or a function building it from the message
+   * @returns {Promise<Object>} The message, with the status message ID once one was sent
+   */
+  async reportProgress(message, state, template) {
+    if (!state || !this.progress) {
+      return message;
+    }
+
+    const text = typeof template === 'function' ? template(message) : template;
+    return this.progress.update(message, state, text);
+  }
+
+  /**
+   * Replace the user's status message with the job's outcome when a stage finishes it
+   * @private
+   * @param {Object} message - The stage's result
+   * @param {string} [finalState] - The job state the stage finishes with
+   * @param {string} [reason] - Why the job failed
+   * @returns {Promise<Object>} The message, with the status message ID once one was sent
+   */
+  async reportResult(message, finalState, reason) {
+    if (!this.progress) {
+      return message;
+    }
+    if (finalState === JOB_STATES.DONE) {
+      return this.progress.complete(message);
+    }
+    if (finalState === JOB_STATES.FAILED) {
+      return this.progress.fail(message, reason);
+    }
+    return message;
+  }
+}
+
+module.exports = Pipeline;
@@ -0,0 +1,115 @@
+const Pipeline = require('./Pipeline');
+const { JOB_STATES } = require('../config/constants');
+
+/**
+ * Create a message bus whose methods are jest mocks
+ * @returns {Object} The message bus
+ */
+function createMessageBus() {
+  return {
+    subscribeConcurrent: jest.fn().mockResolvedValue([]),
+    publish: jest.fn().mockResolvedValue('1-0'),
+  };
+}
+
+describe('Pipeline', () => {
+  it('rejects a stage without an input stream', () => {
+    const pipeline = new Pipeline(createMessageBus());
+
+    expect(() => pipeline.register({ name: 'scraping' })).toThrow(
+      'Pipeline stage requires a name and an input stream',
+    );
+  });
+
+  it('subscribes every stage with its own consumer group', () => {
+    const messageBus = createMessageBus();
+    const pipeline = new Pipeline(messageBus, { concurrency: 3 });
+
+    pipeline
+      .register({ name: 'scraping', input: 'stream:scraping' })
+      .register({ name: 'notify', input: 'stream:scraping', group: 'notify', concurrency: 1 })
+      .start();
+
+    expect(messageBus.subscribeConcurrent).toHaveBeenCalledWith(
+      'stream:scraping',
+      'scraping-group',
+      'scraping',
+      expect.any(Function),
+      expect.objectContaining({ concurrency: 3 }),
+    );
+    expect(messageBus.subscribeConcurrent).toHaveBeenCalledWith(
+      'stream:scraping',
+      'notify',
+      'notify',
+      expect.any(Function),
+      expect.objectContaining({ concurrency: 1 }),
+    );
+  });
+
+  it('runs the processor, records job state and publishes the result', async () => {
+    const messageBus = createMessageBus();
+    const jobTracker = { updateState: jest.fn().mockResolvedValue() };
+    const pipeline = new Pipeline(messageBus, { jobTracker });
+    const processor = {
+      processMessage: jest.fn(async (message) => ({ ...message, title: 'A title' })),
+    };
+
+    await pipeline.runStage(
+      {
+        name: 'scraping',
+        input: 'stream:scraping',
+        output: 'stream:summarization',
+        processor,
+        state: JOB_STATES.SCRAPING,
+      },
+      { jobId: 'job-1', url: 'https://a.test' },
+    );
+
+    expect(processor.processMessage).toHaveBeenCalledWith(
+      { jobId: 'job-1', url: 'https://a.test' },
+      { onProgress: expect.any(Function) },
+    );
+    expect(jobTracker.updateState).toHaveBeenCalledWith('job-1', JOB_STATES.SCRAPING, {});
+    expect(messageBus.publish).toHaveBeenCalledWith('stream:summarization', {
+      jobId: 'job-1',
+      url: 'https://a.test',
+      title: 'A title',
+    });
+  });
+
+  it('skips messages the routing predicate rejects', async () => {
+    const messageBus = createMessageBus();
+    const pipeline = new Pipeline(messageBus);
+    const processor = { processMessage: jest.fn() };
+
+    await pipeline.runStage(
+      {
+        name: 'youtube',
+        input: 'stream:detection',
+        output: 'stream:summarization',
+        processor,
+        when: (message) => message.platform === 'youtube',
+      },
+      { url: 'https://a.test', platform: 'generic' },
+    );
+
+    expect(processor.processMessage).not.toHaveBeenCalled();
+    expect(messageBus.publish).not.toHaveBeenCalled();
+  });
+
+  it('reports a dead-lettered job as failed', async () => {
+    const messageBus = createMessageBus();
+    const jobTracker = { updateState: jest.fn().mockResolvedValue() };
+    const progress = { fail: jest.fn(async (message) => message) };
+    const pipeline = new Pipeline(messageBus, { jobTracker, progress });
+
+    pipeline.register({ name: 'scraping', input: 'stream:scraping' }).start();
+    const { onDeadLetter } = messageBus.subscribeConcurrent.mock.calls[0][4];
+    await onDeadLetter({ jobId: 'job-1' }, new Error('Timeout'));
+
+    expect(jobTracker.updateState).toHaveBeenCalledWith('job-1', JOB_STATES.FAILED, {
+      error: 'Timeout',
+    });
+    expect(progress.fail).toHaveBeenCalledWith({ jobId: 'job-1' }, 'Timeout');
+  });
+});
@@ -0,0 +1,259 @@
+const winston = require('winston');
+const { JOB_STATES, RESULT_ACTIONS, TELEGRAM_CONFIG } = require('../config/constants');
+
+// Create logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'combined.log' }),
+  ],
+});
+
+/**
+ * Steps shown on a job's status message, in pipeline order
+ * @type {Object[]}
+ */
+const STEPS = [
+  { state: JOB_STATES.QUEUED, label: 'Queued' },
+  {
+    state: JOB_STATES.DETECTING,
+    label: 'Detecting platform',
+    doneLabel: (message) => message.platform && `Platform: ${message.platform}`,
+  },
+  { state: JOB_STATES.SCRAPING, label: 'Fetching content' },
+  { state: JOB_STATES.SUMMARIZING, label: 'Summarizing' },
+  { state: JOB_STATES.SAVING, label: 'Saving to Notion' },
+];
+
+/** Telegram options for status messages */
+const MESSAGE_OPTIONS = { parse_mode: 'HTML', disable_web_page_preview: true };
+
+/** Longest summary shown on a result card, once escaped */
+const MAX_SUMMARY_LENGTH = 3000;
+
+/**
+ * Escape text for Telegram's HTML parse mode
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for Telegram's HTML parse mode, cutting it short to fit a length once escaped
+ * @param {string} text - Plain text
+ * @param {number} maxLength - Longest escaped text, including the `…` marking a cut
+ * @returns {string} Escaped text
+ */
+function escapeHtmlWithin(text, maxLength) {
+  const escaped = escapeHtml(text);
+  if (escaped.length <= maxLength) {
+    return escaped;
+  }
+
+  // An escaped character is at most 6 long (`&quot;`), so this never cuts more than needed
+  let end = Math.min(text.length, maxLength - 1);
+  let cut = escapeHtml(text.slice(0, end));
+  while (cut.length > maxLength - 1) {
+    end -= Math.ceil((cut.length - (maxLength - 1)) / 6);
+    // Never separate the halves of a surrogate pair
+    if (/[\ud800-\udbff]/.test(text[end - 1] || '')) {
+      end--;
+    }
+    cut = escapeHtml(text.slice(0, end));
+  }
+  return `${cut}…`;
+}
+
+/**
+ * Keeps one Telegram status message per job and edits it as the job advances
+ * The status message ID travels with the pipeline message as `progressMessageId`, so any worker
+ * can update it. Reporting is best effort: failures are logged and never fail the job.
+ */
+class ProgressReporter {
+  /**
+   * Create a new ProgressReporter
+   * @param {TelegramGateway} telegram - The Telegram gateway that sends and edits status messages
+   */
+  constructor(telegram) {
+    this.telegram = telegram;
+  }
+
+  /**
+   * Send the status message of a newly queued job
+   * @param {Object} message - The ingested message
+   * @returns {Promise<Object>} The message with its `progressMessageId`
+   */
+  async start(message) {
+    return this.update(message, JOB_STATES.QUEUED);
+  }
+
+  /**
+   * Show the step a job has reached
+   * @param {Object} message - The pipeline message
+   * @param {string} state - The job state of the running step
+   * @param {string} [text] - Description of the running step, e.g. "Extracting content..."
+   * @returns {Promise<Object>} The message with its `progressMessageId`
+   */
+  async update(message, state, text) {
+    const current = STEPS.findIndex((step) => step.state === state);
+    const lines = STEPS.map((step, index) => {
+      if (index < current) {
+        return `✅ ${escapeHtml((step.doneLabel && step.doneLabel(message)) || step.label)}`;
+      }
+      if (index === current) {
+        return `⏳ ${escapeHtml(text || `${step.label}...`)}`;
+      }
+      return `▫️ ${step.label}`;
+    });
+
+    return this._show(message, [...this._header(message), '', ...lines].join('\n'));
+  }
+
+  /**
+   * Replace the status message with the saved page's card
+   * The card carries buttons to open, re-summarize, retag or delete the page; see
+   * {@link RESULT_ACTIONS}.
+   * @param {Object} message - The message returned by the Notion stage
+   * @returns {Promise<Object>} The message with its `progressMessageId`
+   */
+  async complete(message) {
+    const tags = (message.tags || []).map((tag) => `#${String(tag).replace(/[\s-]+/g, '_')}`);
+
+    const lines = [`✅ <b>${escapeHtml(message.title || 'Saved to Notion')}</b>`];
+    if (tags.length) {
+      lines.push('', `🏷 ${escapeHtml(tags.join(' '))}`);
+    }
+    if (message.groupId && message.senderName) {
+      lines.push('', `👤 Saved by ${escapeHtml(message.senderName)}`);
+    }
+    if (message.url) {
+      lines.push('', `<a href="${escapeHtml(message.url)}">Source</a>`);
+    }
+    if (message.summary) {
+      // Measured once escaped, so the gateway never has to cut the card's HTML
+      const room = TELEGRAM_CONFIG.MAX_MESSAGE_LENGTH - lines.join('\n').length - 2;
+      lines.splice(
+        1,
+        0,
+        '',
+        escapeHtmlWithin(message.summary, Math.max(1, Math.min(MAX_SUMMARY_LENGTH, room))),
+      );
+    }
+
+    return this._show(message, lines.join('\n'), {
+      ...MESSAGE_OPTIONS,
+      reply_markup: { inline_keyboard: this._resultKeyboard(message) },
+    });
+  }
+
+  /**
+   * Replace the status message with the reason the job failed
+   * @param {Object} message - The pipeline message
+   * @param {string} reason - Why the job failed
+   * @returns {Promise<Object>} The message with its `progressMessageId`
+   */
+  async fail(message, reason) {
+    const lines = [
+      `❌ <b>Couldn't process</b> ${escapeHtml(message.url || (message.file && message.file.fileName) || '')}`,
+      '',
+      escapeHtml(reason || 'Something went wrong.'),
+    ];
+    if (message.jobId) {
+      lines.push('', `Retry with /retry ${message.jobId}`);
+    }
+
+    return this._show(message, lines.join('\n'));
+  }
+
+  /**
+   * Build the first lines of a status message
+   * @private
+   * @param {Object} message - The pipeline message
+   * @returns {string[]} The source and job ID lines
+   */
+  _header(message) {
+    const source = message.url || (message.file && message.file.fileName) || 'your link';
+    const header = [`🔗 ${escapeHtml(source)}`];
+    if (message.jobId) {
+      header.push(`Job <code>${message.jobId}</code> · /status ${message.jobId}`);
+    }
+    return header;
+  }
+
+  /**
+   * Build the buttons of a result card
+   * @private
+   * @param {Object} message - The message returned by the Notion stage
+   * @returns {Object[][]} Rows of inline keyboard buttons
+   */
+  _resultKeyboard(message) {
+    const rows = [];
+    if (message.notionPageUrl) {
+      rows.push([{ text: '📖 Open in Notion', url: message.notionPageUrl }]);
+    }
+    // The other actions look the job up by its ID
+    if (message.jobId) {
+      const button = (text, action) => ({ text, callback_data: `${action}:${message.jobId}` });
+      rows.push(
+        [
+          button('🔄 Re-summarize', RESULT_ACTIONS.RESUMMARIZE),
+          button('📝 Longer summary', RESULT_ACTIONS.LONGER_SUMMARY),
+        ],
+        [
+          button('🏷 Change tags', RESULT_ACTIONS.CHANGE_TAGS),
+          button('🗑 Delete', RESULT_ACTIONS.DELETE),
+        ],
+      );
+    }
+    return rows;
+  }
+
+  /**
+   * Edit the job's status message, or send it if there is none yet
+   * @private
+   * @param {Object} message - The pipeline message
+   * @param {string} text - The new status text
+   * @param {Object} [options=MESSAGE_OPTIONS] - Telegram options, e.g. with a `reply_markup`
+   * @returns {Promise<Object>} The message with its `progressMessageId`
+   */
+  async _show(message, text, options = MESSAGE_OPTIONS) {
+    if (!message.chatId) {
+      return message;
+    }
+
+    if (message.progressMessageId) {
+      try {
+        await this.telegram.editMessage(message.chatId, message.progressMessageId, text, options);
+        return message;
+      } catch (error) {
+        // The status message may have been deleted; send a new one instead
+        logger.warn('Could not edit progress message', {
+          error: error.message,
+          jobId: message.jobId,
+        });
+      }
+    }
+
+    try {
+      const sent = await this.telegram.sendMessage(message.chatId, text, options);
+      return { ...message, progressMessageId: sent.message_id };
+    } catch (error) {
+      logger.error('Could not send progress message', {
+        error: error.message,
+        jobId: message.jobId,
+      });
+      return message;
+    }
+  }
+}
+
+module.exports = ProgressReporter;
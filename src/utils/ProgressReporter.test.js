@@ -0,0 +1,134 @@
+const ProgressReporter = require('./ProgressReporter');
+const { JOB_STATES, TELEGRAM_CONFIG } = require('../config/constants');
+
+/**
+ * Create a reporter whose Telegram gateway is a set of jest mocks
+ * @returns {ProgressReporter} The reporter, with the mocked gateway on `reporter.telegram`
+ */
+function createReporter() {
+  return new ProgressReporter({
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 42 }),
+    editMessage: jest.fn().mockResolvedValue(),
+  });
+}
+
+const message = { chatId: 7, jobId: 'abc', url: 'https://a.test/?a=1&b=2' };
+
+describe('ProgressReporter', () => {
+  it('sends the status message of a new job and keeps its ID', async () => {
+    const reporter = createReporter();
+
+    await expect(reporter.start(message)).resolves.toEqual({ ...message, progressMessageId: 42 });
+
+    const [chatId, text, options] = reporter.telegram.sendMessage.mock.calls[0];
+    expect(chatId).toBe(7);
+    expect(text).toContain('🔗 https://a.test/?a=1&amp;b=2');
+    expect(text).toContain('⏳ Queued...');
+    expect(options.parse_mode).toBe('HTML');
+  });
+
+  it('edits the status message as the job advances', async () => {
+    const reporter = createReporter();
+    const running = { ...message, platform: 'article', progressMessageId: 42 };
+
+    await reporter.update(running, JOB_STATES.SCRAPING, 'Reading <page>...');
+
+    expect(reporter.telegram.sendMessage).not.toHaveBeenCalled();
+    const [, messageId, text] = reporter.telegram.editMessage.mock.calls[0];
+    expect(messageId).toBe(42);
+    expect(text).toContain(
+      [
+        '✅ Queued',
+        '✅ Platform: article',
+        '⏳ Reading &lt;page&gt;...',
+        '▫️ Summarizing',
+        '▫️ Saving to Notion',
+      ].join('\n'),
+    );
+  });
+
+  it('sends a new status message when the old one cannot be edited', async () => {
+    const reporter = createReporter();
+    reporter.telegram.editMessage.mockRejectedValue(new Error('message to edit not found'));
+
+    await expect(
+      reporter.update({ ...message, progressMessageId: 1 }, JOB_STATES.SUMMARIZING),
+    ).resolves.toEqual(expect.objectContaining({ progressMessageId: 42 }));
+    expect(reporter.telegram.sendMessage).toHaveBeenCalled();
+  });
+
+  it('never fails the job when Telegram is unreachable', async () => {
+    const reporter = createReporter();
+    reporter.telegram.sendMessage.mockRejectedValue(new Error('ETIMEDOUT'));
+
+    await expect(reporter.start(message)).resolves.toBe(message);
+  });
+
+  it('shows why a job failed and how to retry it', async () => {
+    const reporter = createReporter();
+
+    await reporter.fail({ ...message, progressMessageId: 42 }, 'Page is <private>');
+
+    const [, , text] = reporter.telegram.editMessage.mock.calls[0];
+    expect(text).toBe(
+      [
+        "❌ <b>Couldn't process</b> https://a.test/?a=1&amp;b=2",
+        '',
+        'Page is &lt;private&gt;',
+        '',
+        'Retry with /retry abc',
+      ].join('\n'),
+    );
+  });
+
+  describe('complete', () => {
+    it('shows the saved page with its actions', async () => {
+      const reporter = createReporter();
+
+      await reporter.complete({
+        ...message,
+        progressMessageId: 42,
+        title: 'Q&A',
+        tags: ['machine learning', 'ai'],
+        summary: 'Short',
+        notionPageUrl: 'https://notion.so/page',
+      });
+
+      const [, , text, options] = reporter.telegram.editMessage.mock.calls[0];
+      expect(text).toBe(
+        [
+          '✅ <b>Q&amp;A</b>',
+          '',
+          'Short',
+          '',
+          '🏷 #machine_learning #ai',
+          '',
+          '<a href="https://a.test/?a=1&amp;b=2">Source</a>',
+        ].join('\n'),
+      );
+      expect(options.reply_markup.inline_keyboard).toEqual([
+        [{ text: '📖 Open in Notion', url: 'https://notion.so/page' }],
+        [
+          { text: '🔄 Re-summarize', callback_data: 'resummarize:abc' },
+          { text: '📝 Longer summary', callback_data: 'longer:abc' },
+        ],
+        [
+          { text: '🏷 Change tags', callback_data: 'tags:abc' },
+          { text: '🗑 Delete', callback_data: 'delete:abc' },
+        ],
+      ]);
+    });
+
+    it('cuts a long summary once escaped, never inside an entity', async () => {
+      const reporter = createReporter();
+
+      await reporter.complete({ ...message, title: 'Long', summary: '<&>'.repeat(2000) });
+
+      const [, text] = reporter.telegram.sendMessage.mock.calls[0];
+      const summary = text.split('\n')[2];
+      expect(text.length).toBeLessThanOrEqual(TELEGRAM_CONFIG.MAX_MESSAGE_LENGTH);
+      expect(summary.length).toBeLessThanOrEqual(3000);
+      expect(summary).toMatch(/^(?:&lt;&amp;&gt;)+(?:&lt;|&lt;&amp;)?…$/);
+    });
+  });
+});
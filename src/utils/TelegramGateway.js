@@ -0,0 +1,515 @@
+const TelegramBot = require('node-telegram-bot-api');
+const axios = require('axios');
+const winston = require('winston');
+const TelegramError = require('./errors/TelegramError');
+const {
+  LOG_CONFIG,
+  SCRAPER_CONFIG,
+  INGESTION_CONFIG,
+  INGESTION_MODES,
+  TELEGRAM_CONFIG,
+} = require('../config/constants');
+
+// Create logger instance
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || LOG_CONFIG.DEFAULT_LEVEL,
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json(),
+  ),
+  defaultMeta: { service: 'telegram-bot' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(winston.format.colorize(), winston.format.simple()),
+    }),
+    new winston.transports.File({
+      filename: 'error.log',
+      level: 'error',
+      maxsize: LOG_CONFIG.MAX_FILE_SIZE,
+      maxFiles: LOG_CONFIG.MAX_FILES,
+    }),
+    new winston.transports.File({
+      filename: 'combined.log',
+      maxsize: LOG_CONFIG.MAX_FILE_SIZE,
+      maxFiles: LOG_CONFIG.MAX_FILES,
+    }),
+  ],
+});
+
+// Handle uncaught exceptions and rejections
+logger.exceptions.handle(new winston.transports.File({ filename: 'exceptions.log' }));
+logger.rejections.handle(new winston.transports.File({ filename: 'rejections.log' }));
+
+/** Characters MarkdownV2 requires to be escaped outside of entities */
+const MARKDOWN_V2_SPECIAL = /[_*[\]()~`>#+\-=|{}.!\\]/g;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Find the elements left open at the end of a piece of Telegram HTML
+ * @param {string} html - The HTML
+ * @returns {Object[]} `{ name, tag }` of every open element, outermost first, with `tag` being
+ *   its opening tag
+ */
+function getOpenElements(html) {
+  const open = [];
+  for (const [tag, closing, name] of html.matchAll(/<(\/?)([a-z][\w-]*)[^>]*>/gi)) {
+    if (!closing) {
+      open.push({ name: name.toLowerCase(), tag });
+      continue;
+    }
+    const index = open.map((element) => element.name).lastIndexOf(name.toLowerCase());
+    if (index !== -1) {
+      open.splice(index, 1);
+    }
+  }
+  return open;
+}
+
+/**
+ * Move the end of an HTML part back so it does not fall inside a tag or an entity
+ * @param {string} html - The HTML
+ * @param {number} end - Where the part would end
+ * @returns {number} Where the part ends
+ */
+function backOffMarkup(html, end) {
+  const tagStart = html.lastIndexOf('<', end - 1);
+  if (tagStart > 0 && tagStart > html.lastIndexOf('>', end - 1)) {
+    end = tagStart;
+  }
+  const entityStart = html.lastIndexOf('&', end - 1);
+  if (entityStart > 0 && !/[;\s]/.test(html.slice(entityStart, end))) {
+    end = entityStart;
+  }
+  return end;
+}
+
+/**
+ * Move the end of a MarkdownV2 part back so it does not separate a `\` from the character it
+ * escapes
+ * @param {string} text - The MarkdownV2 text
+ * @param {number} end - Where the part would end
+ * @returns {number} Where the part ends
+ */
+function backOffEscape(text, end) {
+  let backslashes = 0;
+  while (backslashes < end && text[end - 1 - backslashes] === '\\') {
+    backslashes++;
+  }
+  return backslashes % 2 ? end - 1 : end;
+}
+
+/**
+ * Split a message into parts Telegram accepts
+ * Parts end at a paragraph break, line break or space when there is one, so formatting on a line
+ * is not cut in half. HTML is never cut inside a tag or entity, and elements left open at the end
+ * of a part are closed there and opened again in the next part. MarkdownV2 is never cut between a
+ * `\` and the character it escapes.
+ * @param {string} text - The message text
+ * @param {number} [maxLength=TELEGRAM_CONFIG.MAX_MESSAGE_LENGTH] - Longest part
+ * @param {Object} [options={}] - Telegram options of the message; its `parse_mode` decides how
+ *   formatting is kept intact
+ * @returns {string[]} The parts, in order
+ */
+function splitMessage(text, maxLength = TELEGRAM_CONFIG.MAX_MESSAGE_LENGTH, options = {}) {
+  const html = options.parse_mode === 'HTML';
+  // Leaves room for the tags closing a part's open elements
+  const limit = html ? maxLength - TELEGRAM_CONFIG.HTML_SPLIT_RESERVE : maxLength;
+  const parts = [];
+  let rest = text;
+  while (rest.length > maxLength) {
+    const window = rest.slice(0, limit);
+    let end = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('\n'));
+    if (end <= 0) {
+      end = window.lastIndexOf(' ');
+    }
+    if (end <= 0) {
+      end = limit;
+    }
+    if (html) {
+      end = backOffMarkup(window, end);
+    } else if (options.parse_mode === 'MarkdownV2') {
+      end = backOffEscape(window, end);
+    }
+
+    let part = rest.slice(0, end).trimEnd();
+    rest = rest.slice(end).trimStart();
+    if (html) {
+      const open = getOpenElements(part);
+      part += open
+        .map(({ name }) => `</${name}>`)
+        .reverse()
+        .join('');
+      rest = open.map(({ tag }) => tag).join('') + rest;
+    }
+    parts.push(part);
+  }
+  if (rest) {
+    parts.push(rest);
+  }
+  return parts;
+}
+
+/**
+ * Get how long Telegram asked to wait after a 429 Too Many Requests answer
+ * @param {Error} error - Error thrown by node-telegram-bot-api
+ * @returns {number|null} Seconds to wait, or null if the error is not a rate limit
+ */
+function getRetryAfter(error) {
+  const body = error.response && error.response.body;
+  if (!body || body.error_code !== 429) {
+    return null;
+  }
+  return (body.parameters && body.parameters.retry_after) || 1;
+}
+
+/**
+ * The bot's single connection to Telegram
+ * Owns receiving updates, by polling or through a webhook, and every request the processors make.
+ * Messages are queued per chat to stay within Telegram's send limits, retried when Telegram
+ * answers 429 with `retry_after`, and split when they are longer than Telegram allows.
+ */
+class TelegramGateway {
+  /**
+   * Create a new TelegramGateway
+   * @param {string} token - The Telegram bot token
+   * @throws {TelegramError} If the token is missing
+   */
+  constructor(token) {
+    if (!token) {
+      throw new TelegramError('TELEGRAM_BOT_TOKEN is not set');
+    }
+
+    // Updates are only received once `start` is called
+    this.bot = new TelegramBot(token, {
+      polling: {
+        autoStart: false,
+        params: { allowed_updates: JSON.stringify(INGESTION_CONFIG.ALLOWED_UPDATES) },
+      },
+    });
+    this.chatQueues = new Map();
+    this.nextGlobalSendAt = 0;
+    // The bot's own user, fetched by `getMe`
+    this.me = null;
+
+    this.bot.on('polling_error', (error) => {
+      logger.error('Telegram polling error', { error: error.message });
+    });
+    this.bot.on('webhook_error', (error) => {
+      logger.error('Telegram webhook error', { error: error.message });
+    });
+  }
+
+  /**
+   * Escape text for Telegram's MarkdownV2 parse mode
+   * Use it on every piece of plain text, such as titles or user input, put into a message sent with
+   * `parse_mode: 'MarkdownV2'`, which Telegram rejects when a special character is not escaped.
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   */
+  static escapeMarkdownV2(text) {
+    return String(text).replace(MARKDOWN_V2_SPECIAL, '\\$&');
+  }
+
+  /**
+   * Start receiving Telegram updates
+   * Register handlers with {@link TelegramGateway#on} and {@link TelegramGateway#onText} first.
+   * @param {Object} [options] - Receiving options
+   * @param {string} [options.mode=INGESTION_MODES.POLLING] - One of INGESTION_MODES
+   * @param {string} [options.webhookUrl] - Full URL Telegram posts updates to, in webhook mode
+   * @param {string} [options.secretToken] - Secret Telegram sends with every update, in webhook
+   *   mode
+   * @returns {Promise<void>}
+   */
+  async start({ mode = INGESTION_MODES.POLLING, webhookUrl, secretToken } = {}) {
+    if (mode === INGESTION_MODES.WEBHOOK) {
+      await this.bot.setWebHook(webhookUrl, {
+        secret_token: secretToken,
+        allowed_updates: JSON.stringify(INGESTION_CONFIG.ALLOWED_UPDATES),
+      });
+      logger.info('Telegram webhook set', { webhookUrl });
+      return;
+    }
+
+    // Telegram refuses to hand out updates by polling while a webhook is set
+    await this.bot.deleteWebHook();
+    await this.bot.startPolling();
+    logger.info('Polling Telegram for updates');
+  }
+
+  /**
+   * Stop polling for Telegram updates
+   * A webhook stays set, so Telegram keeps the updates until a process is back.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.bot.isPolling()) {
+      await this.bot.stopPolling();
+    }
+  }
+
+  /**
+   * Handle an update Telegram posted to the webhook
+   * @param {Object} update - Telegram update
+   */
+  handleUpdate(update) {
+    this.bot.processUpdate(update);
+  }
+
+  /**
+   * Listen for an update type, e.g. `message` or `callback_query`
+   * @param {string} event - The update type
+   * @param {Function} handler - Called with the update's payload
+   */
+  on(event, handler) {
+    this.bot.on(event, handler);
+  }
+
+  /**
+   * Listen for messages whose text matches a pattern
+   * @param {RegExp} pattern - The pattern
+   * @param {Function} handler - Called with the message and the match
+   */
+  onText(pattern, handler) {
+    this.bot.onText(pattern, handler);
+  }
+
+  /**
+   * Publish the bot's commands to Telegram's command menu
+   * @param {Object[]} commands - `{ command, description }` pairs
+   * @returns {Promise<void>}
+   */
+  async setMyCommands(commands) {
+    await this.bot.setMyCommands(commands);
+  }
+
+  /**
+   * Get the bot's own user, e.g. to recognize mentions of it in groups
+   * The user is fetched once and cached.
+   * @returns {Promise<Object>} The bot's Telegram user, with its `id` and `username`
+   * @throws {TelegramError} If the user cannot be fetched
+   */
+  async getMe() {
+    if (!this.me) {
+      try {
+        this.me = await this._withRetry(() => this.bot.getMe());
+      } catch (error) {
+        throw new TelegramError('Failed to get the bot user', error);
+      }
+    }
+    return this.me;
+  }
+
+  /**
+   * Send a message, split into several if it is longer than Telegram allows
+   * Text is sent as is, without a parse mode, unless `options.parse_mode` says otherwise. Escape the
+   * text of formatted messages first, with {@link TelegramGateway.escapeMarkdownV2} for
+   * `MarkdownV2`, so user content never breaks parsing.
+   * @param {string|number} chatId - The chat to send the message to
+   * @param {string} text - The message text
+   * @param {Object} [options={}] - Telegram options, e.g. `parse_mode` or `reply_markup`; a
+   *   keyboard is only attached to the last part
+   * @returns {Promise<Object>} The sent message, or its last part
+   * @throws {TelegramError} If the message cannot be sent
+   */
+  async sendMessage(chatId, text, options = {}) {
+    if (!chatId) {
+      throw new TelegramError('chatId is required');
+    }
+    if (!text) {
+      throw new TelegramError('message is required');
+    }
+
+    const parts = splitMessage(text, TELEGRAM_CONFIG.MAX_MESSAGE_LENGTH, options);
+    const partOptions = { ...options };
+    delete partOptions.reply_markup;
+    try {
+      let sent;
+      for (const [index, part] of parts.entries()) {
+        const isLast = index === parts.length - 1;
+        sent = await this._enqueue(chatId, () =>
+          this.bot.sendMessage(chatId, part, isLast ? options : partOptions),
+        );
+      }
+      logger.info('Telegram message sent successfully', { chatId, parts: parts.length });
+      return sent;
+    } catch (error) {
+      logger.error('Failed to send Telegram message', {
+        error: error.message,
+        chatId,
+      });
+      throw new TelegramError('Failed to send Telegram message', error);
+    }
+  }
+
+  /**
+   * Replace the text of a message the bot sent
+   * An edit cannot be split, so text longer than Telegram allows is cut short, keeping HTML
+   * formatting intact; see {@link splitMessage}.
+   * @param {string|number} chatId - The chat the message is in
+   * @param {number} messageId - The message to edit
+   * @param {string} text - The new text
+   * @param {Object} [options={}] - Telegram options, e.g. `parse_mode` or `reply_markup`
+   * @returns {Promise<void>}
+   * @throws {TelegramError} If the message cannot be edited
+   */
+  async editMessage(chatId, messageId, text, options = {}) {
+    const maxLength = TELEGRAM_CONFIG.MAX_MESSAGE_LENGTH;
+    const fittingText =
+      text.length > maxLength ? `${splitMessage(text, maxLength - 1, options)[0]}…` : text;
+
+    try {
+      await this._enqueue(chatId, () =>
+        this.bot.editMessageText(fittingText, {
+          ...options,
+          chat_id: chatId,
+          message_id: messageId,
+        }),
+      );
+      logger.info('Telegram message edited successfully', { chatId, messageId });
+    } catch (error) {
+      // Telegram rejects edits that leave the text unchanged
+      if (/message is not modified/i.test(error.message)) {
+        return;
+      }
+      logger.error('Failed to edit Telegram message', {
+        error: error.message,
+        chatId,
+        messageId,
+      });
+      throw new TelegramError('Failed to edit Telegram message', error);
+    }
+  }
+
+  /**
+   * Delete a message, e.g. one a user sent with a secret in it
+   * Bots can delete any message in private chats, but only their own in groups unless they are
+   * admins.
+   * @param {string|number} chatId - The chat the message is in
+   * @param {number} messageId - The message to delete
+   * @returns {Promise<void>}
+   * @throws {TelegramError} If the message cannot be deleted
+   */
+  async deleteMessage(chatId, messageId) {
+    try {
+      await this._withRetry(() => this.bot.deleteMessage(chatId, messageId));
+    } catch (error) {
+      throw new TelegramError('Failed to delete Telegram message', error);
+    }
+  }
+
+  /**
+   * Answer a button press so Telegram stops showing a loading indicator
+   * @param {string} queryId - The callback query ID
+   * @param {Object} [options={}] - Telegram options, e.g. the `text` to show
+   * @returns {Promise<void>}
+   * @throws {TelegramError} If the answer cannot be sent
+   */
+  async answerCallbackQuery(queryId, options = {}) {
+    try {
+      await this._withRetry(() => this.bot.answerCallbackQuery(queryId, options));
+    } catch (error) {
+      throw new TelegramError('Failed to answer callback query', error);
+    }
+  }
+
+  /**
+   * Download a file sent to the bot
+   * The Bot API only serves files up to 20 MB.
+   * @param {string} fileId - Telegram file ID
+   * @returns {Promise<Buffer>} The file contents
+   * @throws {TelegramError} If the file cannot be downloaded
+   */
+  async downloadFile(fileId) {
+    try {
+      const fileUrl = await this._withRetry(() => this.bot.getFileLink(fileId));
+      const response = await axios.get(fileUrl, {
+        responseType: 'arraybuffer',
+        timeout: SCRAPER_CONFIG.REQUEST_TIMEOUT_MS,
+        maxContentLength: SCRAPER_CONFIG.TELEGRAM_FILE_MAX_BYTES,
+      });
+      logger.info('Telegram file downloaded', { fileId, size: response.data.byteLength });
+      return Buffer.from(response.data);
+    } catch (error) {
+      // The file URL contains the bot token, so only the message is logged
+      logger.error('Failed to download Telegram file', { error: error.message, fileId });
+      throw new TelegramError('Failed to download Telegram file', error);
+    }
+  }
+
+  /**
+   * Run a request after the chat's previous one, leaving the chat's send interval between them
+   * @private
+   * @param {string|number} chatId - The chat the request sends to
+   * @param {Function} request - Makes the request
+   * @returns {Promise<*>} The request's result
+   */
+  _enqueue(chatId, request) {
+    const key = String(chatId);
+    // Group and channel chat IDs are negative
+    const interval =
+      Number(chatId) < 0
+        ? TELEGRAM_CONFIG.GROUP_SEND_INTERVAL_MS
+        : TELEGRAM_CONFIG.CHAT_SEND_INTERVAL_MS;
+
+    const previous = this.chatQueues.get(key) || Promise.resolve();
+    const result = previous.then(async () => {
+      await this._waitForGlobalSlot();
+      return this._withRetry(request);
+    });
+
+    const tail = result.catch(() => {}).then(() => sleep(interval));
+    this.chatQueues.set(key, tail);
+    // Forget chats with nothing queued so the map does not grow with every chat
+    tail.then(() => {
+      if (this.chatQueues.get(key) === tail) {
+        this.chatQueues.delete(key);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Wait until a request can be made without exceeding the bot's overall send rate
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _waitForGlobalSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextGlobalSendAt);
+    this.nextGlobalSendAt = slot + TELEGRAM_CONFIG.GLOBAL_SEND_INTERVAL_MS;
+    await sleep(slot - now);
+  }
+
+  /**
+   * Make a request, waiting and retrying as long as Telegram asks when it answers 429
+   * @private
+   * @param {Function} request - Makes the request
+   * @returns {Promise<*>} The request's result
+   */
+  async _withRetry(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        const retryAfter = getRetryAfter(error);
+        if (retryAfter === null || attempt >= TELEGRAM_CONFIG.MAX_RATE_LIMIT_RETRIES) {
+          throw error;
+        }
+        logger.warn('Telegram rate limit hit, retrying after delay', { retryAfter, attempt });
+        await sleep(retryAfter * 1000);
+      }
+    }
+  }
+}
+
+module.exports = TelegramGateway;
@@ -0,0 +1,129 @@
+const TelegramGateway = require('./TelegramGateway');
+const { TELEGRAM_CONFIG } = require('../config/constants');
+
+/**
+ * Create a gateway whose requests go to jest mocks instead of Telegram
+ * @returns {TelegramGateway} The gateway, with the mocked bot on `gateway.bot`
+ */
+function createGateway() {
+  const gateway = new TelegramGateway('123:test');
+  gateway._enqueue = (chatId, request) => request();
+  gateway.bot.sendMessage = jest.fn(async (chatId, text) => ({ message_id: 1, text }));
+  gateway.bot.editMessageText = jest.fn().mockResolvedValue(true);
+  return gateway;
+}
+
+/**
+ * Get the texts of the messages the gateway sent
+ * @param {TelegramGateway} gateway - The gateway
+ * @returns {string[]} The sent texts, in order
+ */
+function sentTexts(gateway) {
+  return gateway.bot.sendMessage.mock.calls.map(([, text]) => text);
+}
+
+describe('TelegramGateway', () => {
+  describe('escapeMarkdownV2', () => {
+    it('escapes every MarkdownV2 special character', () => {
+      expect(TelegramGateway.escapeMarkdownV2('_*[]()~`>#+-=|{}.!\\')).toBe(
+        '\\_\\*\\[\\]\\(\\)\\~\\`\\>\\#\\+\\-\\=\\|\\{\\}\\.\\!\\\\',
+      );
+    });
+
+    it('leaves other text alone', () => {
+      expect(TelegramGateway.escapeMarkdownV2('Hello, world')).toBe('Hello, world');
+    });
+  });
+
+  describe('sendMessage', () => {
+    it('sends short messages as one message with their options', async () => {
+      const gateway = createGateway();
+      const options = { reply_markup: { inline_keyboard: [] } };
+
+      await gateway.sendMessage(1, 'Hello', options);
+
+      expect(gateway.bot.sendMessage).toHaveBeenCalledWith(1, 'Hello', options);
+    });
+
+    it('splits long messages at line breaks and attaches the keyboard to the last part', async () => {
+      const gateway = createGateway();
+      const line = 'x'.repeat(99);
+      const text = Array(100).fill(line).join('\n');
+      const keyboard = { inline_keyboard: [[{ text: 'Open', url: 'https://example.com' }]] };
+
+      await gateway.sendMessage(1, text, { reply_markup: keyboard });
+
+      const parts = sentTexts(gateway);
+      expect(parts.length).toBeGreaterThan(1);
+      expect(parts.join('\n')).toBe(text);
+      for (const part of parts) {
+        expect(part.length).toBeLessThanOrEqual(TELEGRAM_CONFIG.MAX_MESSAGE_LENGTH);
+      }
+      const calls = gateway.bot.sendMessage.mock.calls;
+      expect(calls[0][2]).not.toHaveProperty('reply_markup');
+      expect(calls[calls.length - 1][2].reply_markup).toBe(keyboard);
+    });
+
+    it('closes HTML elements at the end of a part and reopens them in the next', async () => {
+      const gateway = createGateway();
+      const text = `<b>${'bold &amp; '.repeat(500)}</b>`;
+
+      await gateway.sendMessage(1, text, { parse_mode: 'HTML' });
+
+      const parts = sentTexts(gateway);
+      expect(parts.length).toBeGreaterThan(1);
+      for (const part of parts) {
+        expect(part.length).toBeLessThanOrEqual(TELEGRAM_CONFIG.MAX_MESSAGE_LENGTH);
+        expect(part).toMatch(/^<b>(?:bold &amp; ?)+<\/b>$/);
+      }
+    });
+
+    it('never separates a MarkdownV2 escape from the character it escapes', async () => {
+      const gateway = createGateway();
+      // The leading `a` puts Telegram's limit between a `\` and its `.`
+      const text = `a${TelegramGateway.escapeMarkdownV2('.'.repeat(5000))}`;
+
+      await gateway.sendMessage(1, text, { parse_mode: 'MarkdownV2' });
+
+      const parts = sentTexts(gateway);
+      expect(parts.length).toBeGreaterThan(1);
+      expect(parts.join('')).toBe(text);
+      for (const part of parts) {
+        expect(part).toMatch(/^a?(?:\\\.)+$/);
+      }
+    });
+  });
+
+  describe('editMessage', () => {
+    it('edits the message with its options', async () => {
+      const gateway = createGateway();
+
+      await gateway.editMessage(1, 2, 'Done', { parse_mode: 'HTML' });
+
+      expect(gateway.bot.editMessageText).toHaveBeenCalledWith('Done', {
+        parse_mode: 'HTML',
+        chat_id: 1,
+        message_id: 2,
+      });
+    });
+
+    it('cuts text longer than Telegram allows', async () => {
+      const gateway = createGateway();
+
+      await gateway.editMessage(1, 2, 'word '.repeat(1000));
+
+      const [text] = gateway.bot.editMessageText.mock.calls[0];
+      expect(text.length).toBeLessThanOrEqual(TELEGRAM_CONFIG.MAX_MESSAGE_LENGTH);
+      expect(text).toMatch(/word…$/);
+    });
+
+    it('ignores edits that leave the text unchanged', async () => {
+      const gateway = createGateway();
+      gateway.bot.editMessageText.mockRejectedValue(
+        new Error('Bad Request: message is not modified'),
+      );
+
+      await expect(gateway.editMessage(1, 2, 'Done')).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Blocked page detection
+ * Recognizes pages that stand in for the requested content, such as bot challenges, CAPTCHAs,
+ * paywalls and login walls, by their markup.
+ */
+const { extractJsonLd } = require('./html');
+const { SCRAPER_CONFIG, SCRAPING_ERROR_CODES } = require('../config/constants');
+
+/**
+ * Interstitial pages of anti-bot services
+ * @type {Object[]}
+ */
+const CHALLENGE_SIGNATURES = [
+  {
+    provider: 'Cloudflare',
+    pattern:
+      /<title>\s*(?:Just a moment\.\.\.|Attention Required! \| Cloudflare)\s*<\/title>|_cf_chl_opt|cf-browser-verification/i,
+  },
+  { provider: 'Akamai', pattern: /<title>\s*Access Denied\s*<\/title>[\s\S]*Reference #/i },
+  { provider: 'Imperva', pattern: /_Incapsula_Resource|<title>\s*Pardon Our Interruption/i },
+  { provider: 'DataDome', pattern: /captcha-delivery\.com/i },
+  { provider: 'PerimeterX', pattern: /px-captcha|_pxAppId/i },
+];
+
+/** CAPTCHA widgets and prompts */
+const CAPTCHA_PATTERN =
+  /class=["'][^"']*\b(?:g-recaptcha|h-captcha|cf-turnstile)\b|hcaptcha\.com\/1\/api\.js|verify (?:that )?you(?:'re| are) (?:a )?human|are you a robot/i;
+
+/** Paywall containers and prompts */
+const PAYWALL_PATTERN =
+  /(?:class|id)=["'][^"']*\b(?:paywall|subscriber-only|subscription-wall|meter-wall)\b|subscribe (?:now )?to (?:continue|keep) reading|(?:article|story|content) is (?:only )?(?:available|reserved) (?:to|for) (?:paying )?subscribers/i;
+
+/** Login forms and prompts */
+const LOGIN_PATTERN =
+  /<input[^>]+type=["']?password|(?:log|sign) ?in to (?:continue|view|see|read)|you must be (?:logged|signed) in/i;
+
+/**
+ * Check whether a page's JSON-LD marks it as not freely accessible
+ * @param {string} html - HTML document
+ * @returns {boolean} True if the page declares a paywall
+ */
+function declaresPaywall(html) {
+  return extractJsonLd(html).some(
+    (item) => String(item.isAccessibleForFree).toLowerCase() === 'false',
+  );
+}
+
+/**
+ * Detect a page that blocks the content it was requested for
+ * Pages with at least `BLOCKED_PAGE_MAX_WORDS` words of main content are never treated as blocked,
+ * so articles that merely contain a login form or mention a CAPTCHA are kept.
+ * @param {string} html - HTML document
+ * @param {Object} options - Page details
+ * @param {string} options.url - The page URL
+ * @param {number} options.wordCount - Words of main content found in the page
+ * @returns {{code: string, reason: string}|null} The scraping error code and a message for the
+ *   user, or null if the page is not blocked
+ */
+function detectBlockedPage(html, { url, wordCount }) {
+  if (!html || wordCount >= SCRAPER_CONFIG.BLOCKED_PAGE_MAX_WORDS) return null;
+
+  const host = new URL(url).hostname.replace(/^www\./, '');
+
+  const challenge = CHALLENGE_SIGNATURES.find(({ pattern }) => pattern.test(html));
+  if (challenge) {
+    return {
+      code: SCRAPING_ERROR_CODES.BOT_CHALLENGE,
+      reason: `${host} blocked the request with a ${challenge.provider} bot check.`,
+    };
+  }
+  if (CAPTCHA_PATTERN.test(html)) {
+    return {
+      code: SCRAPING_ERROR_CODES.CAPTCHA,
+      reason: `${host} asked for a CAPTCHA, which can't be solved automatically.`,
+    };
+  }
+  if (declaresPaywall(html) || PAYWALL_PATTERN.test(html)) {
+    return {
+      code: SCRAPING_ERROR_CODES.PAYWALL,
+      reason: `This page on ${host} is behind a paywall.`,
+    };
+  }
+  if (LOGIN_PATTERN.test(html)) {
+    return {
+      code: SCRAPING_ERROR_CODES.LOGIN_REQUIRED,
+      reason: `This page on ${host} is only visible to logged-in users.`,
+    };
+  }
+  return null;
+}
+
+module.exports = { detectBlockedPage };
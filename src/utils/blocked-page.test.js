@@ -0,0 +1,38 @@
+const { detectBlockedPage } = require('./blocked-page');
+
+describe('detectBlockedPage', () => {
+  const url = 'https://www.news.test/story';
+
+  it.each([
+    ['<title>Just a moment...</title><script>window._cf_chl_opt={}</script>', 'BOT_CHALLENGE'],
+    ['<script src="https://ct.captcha-delivery.com/c.js"></script>', 'BOT_CHALLENGE'],
+    ['<div class="g-recaptcha" data-sitekey="x"></div>', 'CAPTCHA'],
+    ['<div class="article paywall">Subscribe to continue reading</div>', 'PAYWALL'],
+    [
+      '<script type="application/ld+json">{"@type":"NewsArticle","isAccessibleForFree":false}</script>',
+      'PAYWALL',
+    ],
+    ['<form><input type="password" name="pw"></form>', 'LOGIN_REQUIRED'],
+  ])('recognizes %s', (html, code) => {
+    expect(detectBlockedPage(html, { url, wordCount: 20 })).toEqual({
+      code,
+      reason: expect.stringContaining('news.test'),
+    });
+  });
+
+  it('names the challenge provider', () => {
+    expect(detectBlockedPage('<title>Just a moment...</title>', { url, wordCount: 0 }).reason).toBe(
+      'news.test blocked the request with a Cloudflare bot check.',
+    );
+  });
+
+  it('keeps pages with enough content, even with a login form', () => {
+    const html = '<form><input type="password"></form>';
+
+    expect(detectBlockedPage(html, { url, wordCount: 300 })).toBeNull();
+  });
+
+  it('keeps ordinary pages', () => {
+    expect(detectBlockedPage('<p>Hello</p>', { url, wordCount: 1 })).toBeNull();
+  });
+});
@@ -0,0 +1,471 @@
+/**
+ * Main content extraction
+ * A Readability-style extractor that finds the article in an HTML page and drops navigation,
+ * scripts, cookie banners and other boilerplate, without needing a DOM.
+ */
+const { decodeEntities, getAttribute } = require('./html');
+
+/** Elements whose content is never part of the article */
+const SKIPPED_TAGS = new Set([
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'svg',
+  'canvas',
+  'iframe',
+  'form',
+  'button',
+  'select',
+  'textarea',
+  'aside',
+  'dialog',
+]);
+
+/** Elements without a closing tag */
+const VOID_TAGS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr',
+]);
+
+/** Elements that start a new block of text */
+const BLOCK_TAGS = new Set([
+  'p',
+  'div',
+  'section',
+  'article',
+  'main',
+  'li',
+  'dd',
+  'dt',
+  'pre',
+  'blockquote',
+  'figcaption',
+  'td',
+  'th',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+]);
+
+/** Class and ID patterns of boilerplate containers */
+const UNLIKELY_CANDIDATES =
+  /-ad-|ad-break|agegate|banner|breadcrumb|combx|comment|consent|cookie|disqus|footer|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental/i;
+
+/** Class and ID patterns that rescue a container matching {@link UNLIKELY_CANDIDATES} */
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow/i;
+
+/** Minimum text length of an `<article>` or `<main>` element to be trusted as the article */
+const MIN_ARTICLE_LENGTH = 250;
+
+/** Longest HTML parsed, in characters; the rest of a larger page is ignored */
+const MAX_HTML_LENGTH = 2000000;
+
+/** Deepest element nesting kept; deeper elements are treated as part of their parent */
+const MAX_DEPTH = 128;
+
+/** Elements whose content is raw text, skipped up to their end tag */
+const RAW_TEXT_END_TAGS = new Map(
+  ['script', 'style', 'noscript', 'template', 'svg'].map((tag) => [
+    tag,
+    new RegExp(`</${tag}\\s*>`, 'gi'),
+  ]),
+);
+
+/** Elements skipped as page chrome unless they are inside an `<article>` or `<main>` element */
+const PAGE_CHROME_TAGS = new Set(['nav', 'header', 'footer']);
+
+/** Elements that close an open `<p>` when they start */
+const CLOSES_PARAGRAPH = new Set([
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'dd',
+  'details',
+  'div',
+  'dl',
+  'dt',
+  'fieldset',
+  'figcaption',
+  'figure',
+  'footer',
+  'form',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'header',
+  'li',
+  'main',
+  'nav',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'table',
+  'ul',
+]);
+
+/** Elements whose end tag may be omitted, by the start tags that close them */
+const IMPLICITLY_CLOSED_BY = {
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  option: new Set(['option', 'optgroup']),
+  optgroup: new Set(['optgroup']),
+  tr: new Set(['tr']),
+  td: new Set(['td', 'th', 'tr']),
+  th: new Set(['td', 'th', 'tr']),
+};
+
+/** Elements an implicit end tag never reaches past, e.g. the `<ul>` of a nested list */
+const SCOPE_TAGS = new Set(['html', 'body', 'table', 'ul', 'ol', 'dl', 'select', 'button']);
+
+/**
+ * Check whether an element is boilerplate that should be skipped with its children
+ * @param {string} tag - Tag name
+ * @param {string} attributes - Raw attribute string of the opening tag
+ * @param {boolean} inArticle - Whether the element is inside an `<article>` or `<main>` element
+ * @returns {boolean} True if the element should be skipped
+ */
+function isBoilerplate(tag, attributes, inArticle) {
+  if (SKIPPED_TAGS.has(tag)) return true;
+  if (PAGE_CHROME_TAGS.has(tag) && !inArticle) return true;
+  if (tag === 'body' || tag === 'html' || tag === 'article' || tag === 'main') return false;
+  if (!attributes.trim()) return false;
+
+  const tagString = ` ${attributes}`;
+  const role = getAttribute(tagString, 'role') || '';
+  if (
+    getAttribute(tagString, 'hidden') !== null ||
+    getAttribute(tagString, 'aria-hidden') === 'true' ||
+    /^(navigation|banner|complementary|contentinfo|dialog)$/.test(role)
+  ) {
+    return true;
+  }
+  // An article's own header holds its title, even when classed like `entry-header`
+  if (tag === 'header') return false;
+
+  const classAndId = `${getAttribute(tagString, 'class') || ''} ${getAttribute(tagString, 'id') || ''}`;
+  return UNLIKELY_CANDIDATES.test(classAndId) && !MAYBE_CANDIDATES.test(classAndId);
+}
+
+/**
+ * Resolve a possibly relative URL against the page URL
+ * @param {string} href - The URL found in the page
+ * @param {string} [baseUrl] - The page URL
+ * @returns {string|null} The absolute http(s) URL or null if it is not one
+ */
+function resolveUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Find the open element a start tag implicitly closes, like `<li>` closes the previous `<li>`
+ * @param {Object|null} current - The innermost open element
+ * @param {string} tag - Tag name of the start tag
+ * @returns {Object|null} The element to close along with its children, or null
+ */
+function findImplicitlyClosed(current, tag) {
+  for (let element = current; element; element = element.parent) {
+    const closedBy = IMPLICITLY_CLOSED_BY[element.tag];
+    if ((element.tag === 'p' && CLOSES_PARAGRAPH.has(tag)) || (closedBy && closedBy.has(tag))) {
+      return element;
+    }
+    if (SCOPE_TAGS.has(element.tag)) return null;
+  }
+  return null;
+}
+
+/**
+ * Check whether an item is inside an element
+ * @param {Object|null} element - The innermost element the item is in
+ * @param {Object} container - The possible container
+ * @returns {boolean} True if `element` is `container` or nested in it
+ */
+function isInside(element, container) {
+  for (let ancestor = element; ancestor; ancestor = ancestor.parent) {
+    if (ancestor === container) return true;
+  }
+  return false;
+}
+
+/**
+ * Walk the document and collect its text blocks, images and links
+ * Elements form a tree through their `parent`, so every item can later be filtered down to the
+ * chosen article container. End tags that HTML allows to be omitted, such as those of `<p>` and
+ * `<li>`, are implied the way a browser's parser does. Text is added to the block of its innermost
+ * block element, which is started by the first text in it, so blocks come out in document order;
+ * text that follows a child block, as in `<div>One<p>Two</p>Three</div>`, starts another block.
+ * @param {string} html - HTML document
+ * @param {string} [baseUrl] - The page URL
+ * @returns {{blocks: Object[], images: Object[], links: Object[]}} Parsed document
+ */
+function parseDocument(html, baseUrl) {
+  const source = html.slice(0, MAX_HTML_LENGTH);
+  const tokenRegex = /<!--|<(\/?)([a-zA-Z][\w:-]*)([^>]*)>|([^<]+)/g;
+  const openCounts = new Map();
+  const blocks = [];
+  const images = [];
+  const links = [];
+  let current = null;
+  let openLink = null;
+
+  // Close an element along with any unclosed children
+  const close = (element) => {
+    for (let closed = current; closed !== element.parent; closed = closed.parent) {
+      openCounts.set(closed.tag, openCounts.get(closed.tag) - 1);
+      // Text after a child block goes to a new block of the enclosing block element
+      if (closed.owner === closed && closed.parent && closed.parent.owner) {
+        closed.parent.owner.block = null;
+      }
+    }
+    current = element.parent;
+  };
+
+  // Get the block text in the current element goes to, starting one if needed
+  const getBlock = () => {
+    const owner = current && current.owner;
+    if (!owner) return null;
+    if (!owner.block) {
+      owner.block = { element: owner, tag: owner.tag, text: '', linkText: 0 };
+      blocks.push(owner.block);
+    }
+    return owner.block;
+  };
+
+  let token;
+  while ((token = tokenRegex.exec(source))) {
+    const [match, closing, rawTag, attributes, text] = token;
+
+    if (match === '<!--') {
+      const end = source.indexOf('-->', tokenRegex.lastIndex);
+      tokenRegex.lastIndex = end === -1 ? source.length : end + 3;
+      continue;
+    }
+
+    if (text !== undefined) {
+      if (current && current.skip) continue;
+      const block = getBlock();
+      const decoded =
+        current && current.pre ? decodeEntities(text) : decodeEntities(text).replace(/\s+/g, ' ');
+      if (block) {
+        block.text += decoded;
+        if (openLink) block.linkText += decoded.length;
+      }
+      if (openLink) openLink.text += decoded;
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+
+    if (closing) {
+      if (!openCounts.get(tag)) continue;
+      let element = current;
+      while (element.tag !== tag) element = element.parent;
+      close(element);
+      if (tag === 'a' && openLink) {
+        openLink.text = openLink.text.replace(/\s+/g, ' ').trim();
+        links.push(openLink);
+        openLink = null;
+      }
+      continue;
+    }
+
+    if (RAW_TEXT_END_TAGS.has(tag) && !attributes.trim().endsWith('/')) {
+      const endRegex = RAW_TEXT_END_TAGS.get(tag);
+      endRegex.lastIndex = tokenRegex.lastIndex;
+      tokenRegex.lastIndex = endRegex.test(source) ? endRegex.lastIndex : source.length;
+      continue;
+    }
+
+    const implicitlyClosed = findImplicitlyClosed(current, tag);
+    if (implicitlyClosed) close(implicitlyClosed);
+
+    const selfClosing = VOID_TAGS.has(tag) || attributes.trim().endsWith('/');
+    if (current && current.skip) {
+      if (!selfClosing && current.depth < MAX_DEPTH) {
+        current = { tag, parent: current, depth: current.depth + 1, skip: true };
+        openCounts.set(tag, (openCounts.get(tag) || 0) + 1);
+      }
+      continue;
+    }
+
+    if (tag === 'br') {
+      const block = getBlock();
+      if (block) block.text += '\n';
+      continue;
+    }
+    if (tag === 'img') {
+      const src = resolveUrl(
+        getAttribute(` ${attributes}`, 'src') || getAttribute(` ${attributes}`, 'data-src') || '',
+        baseUrl,
+      );
+      if (src) {
+        images.push({ src, alt: getAttribute(` ${attributes}`, 'alt') || '', parent: current });
+      }
+      continue;
+    }
+    if (selfClosing || (current && current.depth >= MAX_DEPTH)) continue;
+
+    const inArticle = !!current && current.inArticle;
+    const element = {
+      tag,
+      parent: current,
+      depth: current ? current.depth + 1 : 1,
+      skip: isBoilerplate(tag, attributes, inArticle),
+      inArticle: inArticle || tag === 'article' || tag === 'main',
+      pre: (!!current && current.pre) || tag === 'pre',
+      // The innermost block element, whose `block` collects the text
+      owner: current && current.owner,
+      block: null,
+    };
+    if (!element.skip && BLOCK_TAGS.has(tag)) {
+      element.owner = element;
+    }
+    if (tag === 'a' && !element.skip) {
+      const href = resolveUrl(getAttribute(` ${attributes}`, 'href') || '', baseUrl);
+      openLink = href ? { href, text: '', parent: current } : null;
+    }
+    openCounts.set(tag, (openCounts.get(tag) || 0) + 1);
+    current = element;
+  }
+
+  for (const block of blocks.filter(({ tag }) => tag !== 'pre')) {
+    block.text = block.text
+      .replace(/[ \t\r\f\v]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .trim();
+  }
+
+  return { blocks: blocks.filter((block) => block.text.trim()), images, links };
+}
+
+/**
+ * Pick the element that most likely holds the article
+ * Uses a trusted `<article>`/`<main>` element when there is one, otherwise scores each element by
+ * the paragraphs nested in it, like Readability does.
+ * @param {Object[]} blocks - Text blocks from {@link parseDocument}
+ * @returns {Object|null} The article element or null to keep everything
+ */
+function findArticleElement(blocks) {
+  const textLengths = new Map();
+  const scores = new Map();
+
+  for (const block of blocks) {
+    for (let ancestor = block.element.parent; ancestor; ancestor = ancestor.parent) {
+      textLengths.set(ancestor, (textLengths.get(ancestor) || 0) + block.text.length);
+    }
+
+    const linkDensity = block.linkText / block.text.length;
+    if (block.text.length < 25 || linkDensity > 0.5) continue;
+
+    // Parents get the full score, grandparents half, great-grandparents a third
+    const score =
+      1 + block.text.split(',').length + Math.min(Math.floor(block.text.length / 100), 3);
+    let ancestor = block.element.parent;
+    for (let level = 0; ancestor && level < 3; level++, ancestor = ancestor.parent) {
+      scores.set(ancestor, (scores.get(ancestor) || 0) + score / (level + 1));
+    }
+  }
+
+  const trusted = [...textLengths.entries()]
+    .filter(
+      ([element, length]) =>
+        ['article', 'main'].includes(element.tag) && length >= MIN_ARTICLE_LENGTH,
+    )
+    .sort((a, b) => b[1] - a[1]);
+  if (trusted.length) {
+    return trusted[0][0];
+  }
+
+  let best = null;
+  for (const [element, score] of scores) {
+    if (!best || score > best.score) best = { element, score };
+  }
+  return best ? best.element : null;
+}
+
+/**
+ * Extract the main content of an HTML page
+ * @param {string} html - HTML document
+ * @param {string} [baseUrl] - The page URL, used to resolve relative image and link URLs
+ * @returns {Object} Extracted content
+ * @returns {string} return.text - Article text, with `#` before headings and `-` before list items
+ * @returns {Object[]} return.headings - Headings as `{ level, text }`
+ * @returns {Object[]} return.images - Images as `{ src, alt }`
+ * @returns {Object[]} return.links - Outbound links as `{ href, text }`
+ * @returns {number} return.wordCount - Number of words in the text
+ */
+function extractMainContent(html, baseUrl) {
+  if (!html || typeof html !== 'string') {
+    return { text: '', headings: [], images: [], links: [], wordCount: 0 };
+  }
+
+  const { blocks, images, links } = parseDocument(html, baseUrl);
+  const article = findArticleElement(blocks);
+  const inArticle = (item) => article === null || isInside(item.element || item.parent, article);
+
+  const articleBlocks = blocks
+    .filter(inArticle)
+    .filter((block) => /^h[1-6]$/.test(block.tag) || block.linkText / block.text.length <= 0.5);
+
+  const headings = articleBlocks
+    .filter((block) => /^h[1-6]$/.test(block.tag))
+    .map((block) => ({ level: Number(block.tag[1]), text: block.text.replace(/\s+/g, ' ') }));
+
+  const text = articleBlocks
+    .map((block) => {
+      if (/^h[1-6]$/.test(block.tag)) {
+        return `${'#'.repeat(Number(block.tag[1]))} ${block.text.replace(/\s+/g, ' ')}`;
+      }
+      return block.tag === 'li' ? `- ${block.text}` : block.text;
+    })
+    .join('\n\n');
+
+  const seenLinks = new Set();
+  const articleLinks = links.filter((link) => {
+    if (
+      !inArticle(link) ||
+      seenLinks.has(link.href) ||
+      (baseUrl && link.href.split('#')[0] === baseUrl.split('#')[0])
+    ) {
+      return false;
+    }
+    seenLinks.add(link.href);
+    return true;
+  });
+
+  return {
+    text,
+    headings,
+    images: images.filter(inArticle).map(({ src, alt }) => ({ src, alt })),
+    links: articleLinks.map(({ href, text: linkText }) => ({ href, text: linkText })),
+    wordCount: text ? text.split(/\s+/).length : 0,
+  };
+}
+
+module.exports = { extractMainContent };
@@ -0,0 +1,83 @@
+const { extractMainContent } = require('./content-extractor');
+
+const PARAGRAPH =
+  '<p>Paragraph text, with commas, and enough words to count as real article content here.</p>';
+
+describe('extractMainContent', () => {
+  it('returns empty content for missing HTML', () => {
+    expect(extractMainContent('')).toEqual({
+      text: '',
+      headings: [],
+      images: [],
+      links: [],
+      wordCount: 0,
+    });
+  });
+
+  it('drops scripts, navigation and page chrome outside the article', () => {
+    const { text } = extractMainContent(
+      `<body><nav><a href="/">Home</a></nav><script>var p = "<p>x</p>";</script>` +
+        `<div class="content"><h1>Title</h1>${PARAGRAPH.repeat(3)}</div>` +
+        `<div class="cookie-banner">We use cookies</div><footer>Site footer</footer></body>`,
+    );
+
+    expect(text).toMatch(/^# Title\n\nParagraph text/);
+    expect(text).not.toMatch(/Home|var p|cookies|Site footer/);
+  });
+
+  describe('mixed inline and block content', () => {
+    it('keeps text around a child block in document order', () => {
+      const { text } = extractMainContent(
+        '<div class="post">First sentence.<p>Second sentence.</p>Third sentence.</div>',
+      );
+
+      expect(text).toBe('First sentence.\n\nSecond sentence.\n\nThird sentence.');
+    });
+
+    it('keeps inline elements within their paragraph', () => {
+      const { text, links } = extractMainContent(
+        '<div>Intro with <a href="/x">a link</a> and <em>emphasis</em>.<br>Next line</div>',
+        'https://example.com/page',
+      );
+
+      expect(text).toBe('Intro with a link and emphasis.\nNext line');
+      expect(links).toEqual([{ href: 'https://example.com/x', text: 'a link' }]);
+    });
+
+    it("keeps an article's header first and its footer last", () => {
+      const { text, headings } = extractMainContent(
+        `<body><article><header><h1>Title</h1>By someone</header>${PARAGRAPH.repeat(4)}` +
+          '<footer>Posted in news</footer></article></body>',
+      );
+
+      expect(text.split('\n\n')[0]).toBe('# Title');
+      expect(text.split('\n\n')[1]).toBe('By someone');
+      expect(text.endsWith('\n\nPosted in news')).toBe(true);
+      expect(headings).toEqual([{ level: 1, text: 'Title' }]);
+    });
+
+    it('separates text after a list from the list items', () => {
+      const { text } = extractMainContent('<div>Before<ul><li>one<li>two</ul>After</div>');
+
+      expect(text).toBe('Before\n\n- one\n\n- two\n\nAfter');
+    });
+  });
+
+  it('implies omitted end tags', () => {
+    const { text } = extractMainContent(
+      '<body><div id="main"><p>First paragraph<p>Second paragraph<ul><li>a<li>b</ul></div></body>',
+    );
+
+    expect(text).toBe('First paragraph\n\nSecond paragraph\n\n- a\n\n- b');
+  });
+
+  it('parses deeply nested pages in linear time', () => {
+    const html = `<body><ul>${'<li>item text here'.repeat(20000)}</ul></body>`;
+    const start = Date.now();
+
+    const { wordCount } = extractMainContent(html);
+
+    expect(wordCount).toBe(80000);
+    expect(Date.now() - start).toBeLessThan(5000);
+  });
+});
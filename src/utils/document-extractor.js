@@ -0,0 +1,104 @@
+/**
+ * Document text extraction
+ * Pulls the text and metadata out of downloaded PDF, DOCX and plain text files.
+ */
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const { DOCUMENT_FORMATS } = require('../config/constants');
+
+/** PDF titles that producers fill in automatically and that say nothing about the document */
+const PLACEHOLDER_TITLE =
+  /^(?:untitled|microsoft (?:word|powerpoint) - .*|.*\.(?:docx?|pdf|tex))$/i;
+
+/**
+ * Work out a document's format from its Content-Type header and URL or file name
+ * @param {string} [contentType] - The response Content-Type or the file's MIME type
+ * @param {string} name - The document URL or file name
+ * @returns {string|null} `pdf`, `docx` or `text`, or null if it is not a supported document
+ */
+function getDocumentFormat(contentType, name) {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  const byType = Object.entries(DOCUMENT_FORMATS).find(([, { mimeTypes }]) =>
+    mimeTypes.includes(mimeType),
+  );
+  if (byType) {
+    return byType[0];
+  }
+
+  // Servers often send documents as application/octet-stream
+  if (mimeType && mimeType !== 'application/octet-stream') {
+    return null;
+  }
+  let pathname;
+  try {
+    pathname = new URL(name).pathname.toLowerCase();
+  } catch (_) {
+    pathname = (name || '').toLowerCase();
+  }
+  const byExtension = Object.entries(DOCUMENT_FORMATS).find(([, { extensions }]) =>
+    extensions.some((extension) => pathname.endsWith(extension)),
+  );
+  return byExtension ? byExtension[0] : null;
+}
+
+/**
+ * Parse a PDF date such as `D:20240131120000Z`
+ * @param {string} [value] - The PDF date string
+ * @returns {string|null} The date as an ISO string, or null if it cannot be parsed
+ */
+function parsePdfDate(value) {
+  const match = (value || '').match(/^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/);
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00'] = match;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Extract the text and metadata of a document
+ * @param {Buffer} buffer - The document file
+ * @param {string} format - The format returned by {@link getDocumentFormat}
+ * @returns {Promise<Object>} Extracted document
+ * @returns {string} return.text - Document text
+ * @returns {string|null} return.title - Title from the document metadata
+ * @returns {string|null} return.author - Author from the document metadata
+ * @returns {string|null} return.createdAt - Creation date from the document metadata
+ * @returns {number|null} return.pageCount - Number of pages, for PDFs
+ */
+async function extractDocument(buffer, format) {
+  if (format === 'pdf') {
+    const { text, numpages, info = {} } = await pdfParse(buffer);
+    const title = (info.Title || '').trim();
+    return {
+      text: text
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim(),
+      title: title && !PLACEHOLDER_TITLE.test(title) ? title : null,
+      author: (info.Author || '').trim() || null,
+      createdAt: parsePdfDate(info.CreationDate),
+      pageCount: numpages,
+    };
+  }
+
+  if (format === 'docx') {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return {
+      text: value.replace(/\n{3,}/g, '\n\n').trim(),
+      title: null,
+      author: null,
+      createdAt: null,
+      pageCount: null,
+    };
+  }
+
+  return {
+    text: buffer.toString('utf8').trim(),
+    title: null,
+    author: null,
+    createdAt: null,
+    pageCount: null,
+  };
+}
+
+module.exports = { getDocumentFormat, extractDocument };
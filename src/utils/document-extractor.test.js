@@ -0,0 +1,32 @@
+const { getDocumentFormat, extractDocument } = require('./document-extractor');
+
+describe('getDocumentFormat', () => {
+  it.each([
+    ['application/pdf', 'https://a.test/download?id=1', 'pdf'],
+    ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'report', 'docx'],
+    ['text/plain; charset=utf-8', 'notes', 'text'],
+    ['application/octet-stream', 'https://a.test/files/paper.PDF', 'pdf'],
+    [undefined, 'notes.md', 'text'],
+  ])('reads %s for %s as %s', (contentType, name, format) => {
+    expect(getDocumentFormat(contentType, name)).toBe(format);
+  });
+
+  it.each([
+    ['text/html', 'https://a.test/paper.pdf'],
+    ['application/octet-stream', 'https://a.test/archive.zip'],
+  ])('rejects %s for %s', (contentType, name) => {
+    expect(getDocumentFormat(contentType, name)).toBeNull();
+  });
+});
+
+describe('extractDocument', () => {
+  it('reads plain text files', async () => {
+    await expect(extractDocument(Buffer.from('  Notes\n'), 'text')).resolves.toEqual({
+      text: 'Notes',
+      title: null,
+      author: null,
+      createdAt: null,
+      pageCount: null,
+    });
+  });
+});
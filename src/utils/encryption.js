@@ -0,0 +1,46 @@
+/**
+ * Encryption of secrets stored in Redis
+ * Uses AES-256-GCM, so a ciphertext that was tampered with or encrypted under another key is
+ * rejected instead of decrypting to garbage.
+ */
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Derive a 256-bit key from the configured secret
+ * @param {string} secret - The encryption secret, e.g. 32 random bytes as hex
+ * @returns {Buffer} The key
+ */
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - The text to encrypt
+ * @param {string} secret - The encryption secret
+ * @returns {string} `<iv>:<auth tag>:<ciphertext>`, each part base64 encoded
+ */
+function encrypt(plaintext, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a string produced by {@link encrypt}
+ * @param {string} payload - The encrypted string
+ * @param {string} secret - The encryption secret
+ * @returns {string} The plaintext
+ * @throws {Error} If the payload was not encrypted with this secret or was modified
+ */
+function decrypt(payload, secret) {
+  const [iv, authTag, ciphertext] = payload.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(secret), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = { encrypt, decrypt };
@@ -0,0 +1,26 @@
+const { encrypt, decrypt } = require('./encryption');
+
+describe('encryption', () => {
+  it('decrypts what it encrypted', () => {
+    const payload = encrypt('secret_abc', 'key');
+
+    expect(payload).not.toContain('secret_abc');
+    expect(decrypt(payload, 'key')).toBe('secret_abc');
+  });
+
+  it('uses a new IV for every encryption', () => {
+    expect(encrypt('secret_abc', 'key')).not.toBe(encrypt('secret_abc', 'key'));
+  });
+
+  it('rejects another key', () => {
+    expect(() => decrypt(encrypt('secret_abc', 'key'), 'other key')).toThrow();
+  });
+
+  it('rejects a modified ciphertext', () => {
+    const [iv, authTag, ciphertext] = encrypt('secret_abc', 'key').split(':');
+    const tampered = Buffer.from(ciphertext, 'base64');
+    tampered[0] ^= 1;
+
+    expect(() => decrypt([iv, authTag, tampered.toString('base64')].join(':'), 'key')).toThrow();
+  });
+});
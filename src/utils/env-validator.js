@@ -22,10 +22,11 @@ class EnvValidationError extends Error {
 
 /**
  * Validates that all required environment variables are present
+ * @param {string[]} [varNames=REQUIRED_ENV_VARS] - The variables to check
  * @throws {EnvValidationError} If any required environment variable is missing
  */
-function validateEnv() {
-  const missingVars = REQUIRED_ENV_VARS.filter((varName) => !process.env[varName]);
+function validateEnv(varNames = REQUIRED_ENV_VARS) {
+  const missingVars = varNames.filter((varName) => !process.env[varName]);
 
   if (missingVars.length > 0) {
     throw new EnvValidationError(
@@ -54,6 +55,53 @@ function getEnvVar(varName, defaultValue) {
   return process.env[varName] || defaultValue;
 }
 
+/**
+ * Gets a positive integer environment variable with a default fallback
+ * @param {string} varName - Name of the environment variable
+ * @param {number} defaultValue - Default value to return if variable is not set
+ * @returns {number} The environment variable value or default value
+ * @throws {EnvValidationError} If the variable is set but is not a positive integer
+ */
+function getPositiveIntEnvVar(varName, defaultValue) {
+  const value = getEnvVar(varName);
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new EnvValidationError(`${varName} must be a positive integer, got "${value}"`, [
+      varName,
+    ]);
+  }
+  return number;
+}
+
+/**
+ * Gets a numeric environment variable with a default fallback
+ * @param {string} varName - Name of the environment variable
+ * @param {number} [defaultValue] - Default value to return if variable is not set
+ * @param {Object} [options] - Allowed values
+ * @param {number} [options.min=-Infinity] - Smallest value allowed
+ * @param {boolean} [options.integer=false] - Only allow whole numbers
+ * @returns {number} The environment variable value or default value
+ * @throws {EnvValidationError} If the variable is set but is not an allowed number
+ */
+function getNumberEnvVar(varName, defaultValue, { min = -Infinity, integer = false } = {}) {
+  const value = getEnvVar(varName);
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min) {
+    const kind = integer ? 'an integer' : 'a number';
+    const range = min > -Infinity ? ` of at least ${min}` : '';
+    throw new EnvValidationError(`${varName} must be ${kind}${range}, got "${value}"`, [varName]);
+  }
+  return number;
+}
+
 /**
  * Gets all environment variables that match a prefix
  * @param {string} prefix - Prefix to filter environment variables
@@ -72,6 +120,8 @@ module.exports = {
   validateEnv,
   isEnvVarSet,
   getEnvVar,
+  getPositiveIntEnvVar,
+  getNumberEnvVar,
   getEnvVarsByPrefix,
   EnvValidationError,
 };
@@ -0,0 +1,32 @@
+const { getPositiveIntEnvVar, EnvValidationError } = require('./env-validator');
+
+describe('getPositiveIntEnvVar', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = {};
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('returns the default when the variable is not set', () => {
+    expect(getPositiveIntEnvVar('WORKER_CONCURRENCY', 2)).toBe(2);
+  });
+
+  it('parses a positive integer', () => {
+    process.env.WORKER_CONCURRENCY = '4';
+
+    expect(getPositiveIntEnvVar('WORKER_CONCURRENCY', 2)).toBe(4);
+  });
+
+  it.each(['0', '-1', '1.5', 'four'])('fails on "%s", naming the variable', (value) => {
+    process.env.WORKER_CONCURRENCY = value;
+
+    expect(() => getPositiveIntEnvVar('WORKER_CONCURRENCY', 2)).toThrow(EnvValidationError);
+    expect(() => getPositiveIntEnvVar('WORKER_CONCURRENCY', 2)).toThrow(
+      `WORKER_CONCURRENCY must be a positive integer, got "${value}"`,
+    );
+  });
+});
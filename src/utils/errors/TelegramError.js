@@ -0,0 +1,17 @@
+/**
+ * Custom error class for Telegram-related errors
+ */
+class TelegramError extends Error {
+  /**
+   * Create a new TelegramError
+   * @param {string} message - Error message
+   * @param {Error} [originalError] - Original error that caused this error
+   */
+  constructor(message, originalError = null) {
+    super(message);
+    this.name = 'TelegramError';
+    this.originalError = originalError;
+  }
+}
+
+module.exports = TelegramError;
@@ -0,0 +1,133 @@
+/**
+ * HTML string helpers
+ * Lightweight utilities for pulling text and metadata out of fetched HTML without a DOM
+ */
+
+/**
+ * Named HTML entities decoded by {@link decodeEntities}
+ * @type {Object.<string, string>}
+ */
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+};
+
+/**
+ * Check whether a numeric entity names a character that can be decoded
+ * @param {number} codePoint - The entity's code point
+ * @returns {boolean} False for invalid numbers, surrogates and code points beyond Unicode
+ */
+function isValidCodePoint(codePoint) {
+  return (
+    Number.isInteger(codePoint) &&
+    codePoint <= 0x10ffff &&
+    !(codePoint >= 0xd800 && codePoint <= 0xdfff)
+  );
+}
+
+/**
+ * Decode HTML entities
+ * Malformed numeric entities are left as they are.
+ * @param {string} text - Text containing HTML entities
+ * @returns {string} The decoded text
+ */
+function decodeEntities(text) {
+  if (!text) return '';
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const codePoint =
+        code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return isValidCodePoint(codePoint) ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Convert an HTML fragment to plain text
+ * Line breaks and block-level elements become newlines; everything else is dropped.
+ * @param {string} html - HTML fragment
+ * @returns {string} The plain text
+ */
+function stripTags(html) {
+  if (!html) return '';
+  const text = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|blockquote|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text)
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Read an attribute value from a single HTML tag
+ * @param {string} tag - The opening tag, e.g. `<meta property="og:title" content="...">`
+ * @param {string} name - Attribute name
+ * @returns {string|null} The decoded attribute value or null if absent
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Read the content of a meta tag by its `property` or `name`
+ * @param {string} html - HTML document
+ * @param {string} key - Meta property or name, e.g. `og:title` or `description`
+ * @returns {string|null} The meta content or null if not found
+ */
+function getMetaContent(html, key) {
+  for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+    const tagKey = getAttribute(tag, 'property') || getAttribute(tag, 'name');
+    if (tagKey && tagKey.toLowerCase() === key.toLowerCase()) {
+      return getAttribute(tag, 'content') || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse all JSON-LD blocks in a document
+ * Arrays and `@graph` containers are flattened; malformed blocks are skipped.
+ * @param {string} html - HTML document
+ * @returns {Object[]} The JSON-LD items
+ */
+function extractJsonLd(html) {
+  const items = [];
+  const scriptRegex = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = scriptRegex.exec(html))) {
+    try {
+      const data = JSON.parse(match[1].trim());
+      for (const item of Array.isArray(data) ? data : [data]) {
+        items.push(...(item['@graph'] || [item]));
+      }
+    } catch (_) {
+      // Ignore malformed JSON-LD
+    }
+  }
+  return items;
+}
+
+module.exports = {
+  decodeEntities,
+  stripTags,
+  getAttribute,
+  getMetaContent,
+  extractJsonLd,
+};
@@ -0,0 +1,64 @@
+/**
+ * Text chunking utilities
+ * Splits long content into chunks that fit an LLM request. Tokens are estimated from the text
+ * length, which is close enough for sizing chunks and needs no model-specific tokenizer.
+ */
+const { LLM_CONFIG } = require('../config/constants');
+
+/**
+ * Estimate the number of tokens of a text
+ * @param {string} text - The text
+ * @returns {number} The estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / LLM_CONFIG.CHARS_PER_TOKEN);
+}
+
+/**
+ * Find where to end a chunk within a window of text
+ * Prefers a paragraph break, then a line break, then the end of a sentence, then a space, as long
+ * as the chunk keeps at least half the window.
+ * @param {string} window - The longest possible chunk
+ * @returns {number} The chunk's length
+ */
+function findChunkEnd(window) {
+  const minEnd = Math.floor(window.length / 2);
+  const paragraph = window.lastIndexOf('\n\n');
+  if (paragraph > minEnd) {
+    return paragraph;
+  }
+  const line = window.lastIndexOf('\n');
+  if (line > minEnd) {
+    return line;
+  }
+  const sentences = [...window.matchAll(/[.!?]["')\]]?\s/g)];
+  const sentence = sentences.length ? sentences[sentences.length - 1] : null;
+  if (sentence && sentence.index > minEnd) {
+    return sentence.index + sentence[0].length - 1;
+  }
+  const space = window.lastIndexOf(' ');
+  return space > minEnd ? space : window.length;
+}
+
+/**
+ * Split a text into chunks of at most a number of tokens
+ * @param {string} text - The text
+ * @param {number} maxTokens - Largest chunk in estimated tokens
+ * @returns {string[]} The chunks, in order
+ */
+function splitIntoChunks(text, maxTokens) {
+  const maxLength = Math.max(1, Math.floor(maxTokens * LLM_CONFIG.CHARS_PER_TOKEN));
+  const chunks = [];
+  let rest = text.trim();
+  while (rest.length > maxLength) {
+    const end = findChunkEnd(rest.slice(0, maxLength));
+    chunks.push(rest.slice(0, end).trim());
+    rest = rest.slice(end).trim();
+  }
+  if (rest) {
+    chunks.push(rest);
+  }
+  return chunks;
+}
+
+module.exports = { estimateTokens, splitIntoChunks };
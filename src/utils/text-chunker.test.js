@@ -0,0 +1,37 @@
+const { estimateTokens, splitIntoChunks } = require('./text-chunker');
+
+describe('estimateTokens', () => {
+  it('counts about four characters per token', () => {
+    expect(estimateTokens('a'.repeat(10))).toBe(3);
+    expect(estimateTokens('')).toBe(0);
+  });
+});
+
+describe('splitIntoChunks', () => {
+  it('keeps short text in one chunk', () => {
+    expect(splitIntoChunks('  Short text.  ', 100)).toEqual(['Short text.']);
+  });
+
+  it('ends chunks at paragraph breaks', () => {
+    const paragraph = 'word '.repeat(30).trim();
+    const text = [paragraph, paragraph, paragraph].join('\n\n');
+
+    const chunks = splitIntoChunks(text, 50);
+
+    expect(chunks).toEqual([paragraph, paragraph, paragraph]);
+  });
+
+  it('ends chunks at sentences when there is no break', () => {
+    const sentence = `${'word '.repeat(9)}end.`;
+    const text = Array(10).fill(sentence).join(' ');
+
+    for (const chunk of splitIntoChunks(text, 40)) {
+      expect(chunk.length).toBeLessThanOrEqual(160);
+      expect(chunk).toMatch(/end\.$/);
+    }
+  });
+
+  it('cuts text without any break at the limit', () => {
+    expect(splitIntoChunks('x'.repeat(10), 1)).toEqual(['xxxx', 'xxxx', 'xx']);
+  });
+});